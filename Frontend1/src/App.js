@@ -9,11 +9,137 @@ const BillVerificationApp = () => {
   const [history, setHistory] = useState([]);
   const [apiAvailable, setApiAvailable] = useState(false);
   const [error, setError] = useState(null);
+  const [processingStage, setProcessingStage] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [quality, setQuality] = useState(null); // { status: 'checking' } or the server's quality report
+  const [additionalPhotos, setAdditionalPhotos] = useState([]); // further photos of the same long receipt, top to bottom
+  const [fileTypes, setFileTypes] = useState(null); // upload types accepted by the server, null while offline
+  const [writingMode, setWritingMode] = useState('auto'); // printed, handwritten or detected by the server
+  const [confirmedValues, setConfirmedValues] = useState({}); // edits of low-confidence handwritten numbers
+  const [isConfirming, setIsConfirming] = useState(false);
   const fileInputRef = useRef(null);
   const cameraInputRef = useRef(null);
+  const partInputRef = useRef(null);
+  const qualityFileRef = useRef(null); // file the running quality check belongs to
 
   // API Functions
   const API_BASE_URL = 'http://localhost:5000';
+  const STATUS_POLL_INTERVAL = 1000;
+  const MAX_STATUS_POLLS = 180;
+  const MAX_RECEIPT_PHOTOS = 5; // photos stitched into one bill, matches the server's STITCH_MAX_PARTS
+  const DOCUMENT_PREVIEW = 'document'; // preview value for PDFs and TIFFs, which an <img> cannot show
+  const CONVERTED_PREVIEW = 'converted'; // preview value for HEIC photos, converted on the server
+  const MAX_FILE_SIZE = fileTypes?.maxFileSize || 5 * 1024 * 1024;
+  // Further parts of a receipt are photos: the server's types without PDF and TIFF documents
+  const PART_PHOTO_ACCEPT = fileTypes
+    ? fileTypes.types
+      .filter(entry => !['pdf', 'tiff'].includes(entry.type))
+      .flatMap(entry => [...entry.mimeTypes, ...entry.extensions])
+      .join(',')
+    : 'image/*';
+
+  const STAGE_LABELS = {
+    uploaded: 'Waiting in queue...',
+    ocr_processing: 'Reading text (OCR)...',
+    parsing: 'Parsing bill...',
+    validating: 'Running validation...'
+  };
+
+  const REPORT_FORMATS = [
+    { format: 'json', label: 'JSON' },
+    { format: 'csv', label: 'CSV' },
+    { format: 'pdf', label: 'PDF' },
+    { format: 'xlsx', label: 'Excel' }
+  ];
+
+  // Printed or handwritten bill, handwritten ones are read by a handwriting recognizer
+  const WRITING_MODES = [
+    { value: 'auto', label: '🔎 Detect' },
+    { value: 'printed', label: '🖨️ Printed' },
+    { value: 'handwritten', label: '✍️ Handwritten' }
+  ];
+
+  // E-invoice QR signature status from the server
+  const SIGNATURE_LABELS = {
+    valid: '✅ Signature verified',
+    invalid: '❌ Signature does not match - the QR data was altered',
+    malformed: '❌ Not a valid signed e-invoice QR',
+    unknown_key: '⚠️ Signed with a key the server does not know',
+    no_keys: '⚠️ Signature not checked (no public keys configured)'
+  };
+
+  // Steps shown in the live progress view, keyed by the server's progress stage names
+  const PROGRESS_STEPS = [
+    { key: 'upload', label: 'Upload' },
+    { key: 'queued', label: 'Waiting in queue' },
+    { key: 'quality', label: 'Photo quality check' },
+    { key: 'receipt', label: 'Receipt detection' },
+    { key: 'preprocessing', label: 'Image preprocessing' },
+    { key: 'ocr', label: 'Text recognition (OCR)' },
+    { key: 'parsing', label: 'Parsing bill' },
+    { key: 'einvoice', label: 'E-invoice QR' },
+    { key: 'validation', label: 'Validation' }
+  ];
+
+  const STEP_STATUS = {
+    started: 'active',
+    progress: 'active',
+    done: 'done',
+    skipped: 'skipped',
+    error: 'error'
+  };
+
+  const createProgress = () => ({
+    steps: Object.fromEntries(PROGRESS_STEPS.map(step => [step.key, { status: 'pending', progress: null }])),
+    algorithms: []
+  });
+
+  const updateStep = (key, changes) => {
+    setProgress(prev => prev && {
+      ...prev,
+      steps: { ...prev.steps, [key]: { ...prev.steps[key], ...changes } }
+    });
+  };
+
+  // Apply one progress event streamed by the backend
+  const applyProgressEvent = (event) => {
+    if (event.stage === 'validation' && event.algorithm) {
+      setProgress(prev => {
+        if (!prev) return prev;
+        const algorithm = { name: event.algorithm, label: event.label, status: event.status, passed: event.passed };
+        const exists = prev.algorithms.some(item => item.name === event.algorithm);
+        return {
+          ...prev,
+          algorithms: exists
+            ? prev.algorithms.map(item => (item.name === event.algorithm ? algorithm : item))
+            : [...prev.algorithms, algorithm]
+        };
+      });
+      return;
+    }
+
+    if (event.stage === 'failed') {
+      setProgress(prev => {
+        if (!prev) return prev;
+        const active = PROGRESS_STEPS.find(step => prev.steps[step.key].status === 'active');
+        if (!active) return prev;
+        return {
+          ...prev,
+          steps: { ...prev.steps, [active.key]: { ...prev.steps[active.key], status: 'error', message: event.message } }
+        };
+      });
+      return;
+    }
+
+    if (PROGRESS_STEPS.some(step => step.key === event.stage)) {
+      const photo = event.part ? `Photo ${event.part}/${event.partCount}: ` : '';
+      updateStep(event.stage, {
+        status: STEP_STATUS[event.status] || 'active',
+        ...(event.progress !== undefined && { progress: event.progress }),
+        ...(event.message && { message: `${photo}${event.message}` })
+      });
+    }
+  };
 
   const checkAPIHealth = async () => {
     try {
@@ -25,22 +151,165 @@ const BillVerificationApp = () => {
     }
   };
 
-  const processBillAPI = async (file) => {
+  // Upload with XMLHttpRequest so the upload step can show real progress
+  // Several photos of one long receipt go to the stitch endpoint and come back as one bill
+  const uploadBill = (files) => new Promise((resolve, reject) => {
+    const stitched = files.length > 1;
     const formData = new FormData();
-    formData.append('billImage', file);
+    files.forEach(file => formData.append(stitched ? 'billImages' : 'billImage', file));
     formData.append('userId', 'demo-user');
+    formData.append('writing', writingMode);
+
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `${API_BASE_URL}/api/bills/${stitched ? 'stitch' : 'process'}`);
+
+    updateStep('upload', { status: 'active', progress: 0 });
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        updateStep('upload', { progress: Math.round((event.loaded * 100) / event.total) });
+      }
+    };
+
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch (parseError) {
+        // Non-JSON error page
+      }
+
+      if (xhr.status >= 200 && xhr.status < 300) {
+        updateStep('upload', { status: 'done', progress: 100 });
+        resolve(data);
+      } else if (xhr.status === 503) {
+        updateStep('upload', { status: 'error' });
+        const retryAfter = data.retryAfter || xhr.getResponseHeader('Retry-After');
+        reject(new Error(`Server is busy, please try again in ${retryAfter} seconds`));
+      } else {
+        updateStep('upload', { status: 'error' });
+        reject(new Error(data.error || 'Processing failed'));
+      }
+    };
+
+    xhr.onerror = () => {
+      updateStep('upload', { status: 'error' });
+      reject(new Error('Network error while uploading the bill'));
+    };
+
+    xhr.send(formData);
+  });
+
+  const fetchBillResult = async (billId) => {
+    const response = await fetch(`${API_BASE_URL}/api/bills/${billId}`);
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Failed to load bill result');
+    }
+    return data;
+  };
+
+  // Follow processing over Server-Sent Events, falling back to status polling
+  const streamProgress = (billId) => new Promise((resolve, reject) => {
+    if (typeof EventSource === 'undefined') {
+      resolve(waitForBill(billId));
+      return;
+    }
+
+    const source = new EventSource(`${API_BASE_URL}/api/bills/${billId}/events`);
 
-    const response = await fetch(`${API_BASE_URL}/api/bills/process`, {
-      method: 'POST',
-      body: formData,
+    source.addEventListener('progress', (message) => {
+      const event = JSON.parse(message.data);
+      applyProgressEvent(event);
+
+      if (event.stage === 'completed') {
+        source.close();
+        resolve(fetchBillResult(billId));
+      } else if (event.stage === 'failed') {
+        source.close();
+        const failure = new Error(event.message || 'Processing failed');
+        failure.hints = event.hints || [];
+        reject(failure);
+      }
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.error || 'Processing failed');
+    source.onerror = () => {
+      source.close();
+      resolve(waitForBill(billId));
+    };
+  });
+
+  const processBillAPI = async (files) => {
+    const queued = await uploadBill(files);
+    setProcessingStage(queued.data.processingStage);
+    return await streamProgress(queued.data.id);
+  };
+
+  const waitForBill = async (billId) => {
+    for (let poll = 0; poll < MAX_STATUS_POLLS; poll++) {
+      await new Promise(resolve => setTimeout(resolve, STATUS_POLL_INTERVAL));
+
+      const response = await fetch(`${API_BASE_URL}/api/bills/${billId}/status`);
+      const status = await response.json();
+      if (!status.success) {
+        throw new Error(status.error || 'Failed to get processing status');
+      }
+
+      setProcessingStage(status.data.processingStage);
+      if (status.data.processingStage === 'completed') {
+        return { success: true, data: status.data.result };
+      }
+      if (status.data.processingStage === 'failed') {
+        const failure = new Error(status.data.error?.message || 'Processing failed');
+        failure.hints = (status.data.quality?.issues || []).map(issue => issue.hint);
+        throw failure;
+      }
     }
 
-    return await response.json();
+    throw new Error('Processing is taking too long, please check your history later');
+  };
+
+  // Check photo quality on the server before the user submits, so a blurred or dark photo can be retaken
+  const checkPhotoQuality = async (file) => {
+    qualityFileRef.current = file;
+    setQuality({ status: 'checking' });
+
+    try {
+      const formData = new FormData();
+      formData.append('billImage', file);
+      const response = await fetch(`${API_BASE_URL}/api/bills/quality`, { method: 'POST', body: formData });
+      const data = await response.json();
+      if (qualityFileRef.current !== file) return;
+      setQuality(data.success && data.data.checked ? { status: 'checked', ...data.data } : null);
+    } catch (error) {
+      console.warn('Photo quality check failed:', error);
+      if (qualityFileRef.current === file) setQuality(null);
+    }
+  };
+
+  // Accepted upload types come from the server, so the picker and the checks below follow its list
+  const getFileTypes = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/bills/file-types`);
+      const data = await response.json();
+      return data.success ? data.data : null;
+    } catch (error) {
+      console.warn('Failed to load accepted file types:', error);
+      return null;
+    }
+  };
+
+  // Entry of the accepted types for a file: known extension, and a mimetype that agrees when the browser sets one
+  // Offline (no list) any image or PDF is accepted, nothing is uploaded then
+  const findFileType = (file) => {
+    if (!fileTypes) {
+      return file.type.startsWith('image/') || file.type === 'application/pdf'
+        ? { type: file.type === 'application/pdf' ? 'pdf' : file.type.replace('image/', '') }
+        : null;
+    }
+    const extension = (file.name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+    const entry = fileTypes.types.find(candidate => candidate.extensions.includes(extension));
+    if (!entry || (file.type && !entry.mimeTypes.includes(file.type))) return null;
+    return entry;
   };
 
   const getBillHistory = async () => {
@@ -62,6 +331,7 @@ const BillVerificationApp = () => {
       console.log(available ? '✅ Backend connected' : '❌ Backend offline');
       
       if (available) {
+        setFileTypes(await getFileTypes());
         const historyData = await getBillHistory();
         if (historyData.success) {
           setHistory(historyData.data.bills);
@@ -80,6 +350,25 @@ const BillVerificationApp = () => {
     }
   };
 
+  // Next photo of the same receipt, for receipts too long to fit in one photo
+  const handleAdditionalPhoto = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const fileType = findFileType(file);
+    if (!fileType || ['pdf', 'tiff'].includes(fileType.type)) {
+      setError('Only photos can be added as further parts of a receipt');
+      return;
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      setError(`File size must be less than ${MAX_FILE_SIZE / (1024 * 1024)}MB`);
+      return;
+    }
+    setError(null);
+    setAdditionalPhotos(prev => [...prev, file]);
+  };
+
   // Camera capture handler
   const handleCameraCapture = (event) => {
     const file = event.target.files[0];
@@ -92,21 +381,39 @@ const BillVerificationApp = () => {
   const validateAndSetFile = (file) => {
     setError(null);
 
-    // Validate file type
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
-    if (!allowedTypes.includes(file.type)) {
-      setError('Please select a valid image file (JPEG, PNG, GIF)');
+    // Validate file type (the server checks the content again)
+    const fileType = findFileType(file);
+    if (!fileType) {
+      setError(`Please select a bill photo, scan or PDF invoice (${fileTypes?.labels || 'images or PDF'})`);
       return;
     }
 
-    // Validate file size (5MB)
-    if (file.size > 5 * 1024 * 1024) {
-      setError('File size must be less than 5MB');
+    // Validate file size
+    if (file.size > MAX_FILE_SIZE) {
+      setError(`File size must be less than ${MAX_FILE_SIZE / (1024 * 1024)}MB`);
       return;
     }
 
     setSelectedFile(file);
+    setAdditionalPhotos([]);
+    setQuality(null);
+    qualityFileRef.current = null;
     
+    if (['pdf', 'tiff'].includes(fileType.type)) {
+      setPreview(DOCUMENT_PREVIEW);
+      return;
+    }
+
+    if (apiAvailable) {
+      checkPhotoQuality(file);
+    }
+
+    // Most browsers cannot show HEIC, the server converts it
+    if (fileType.type === 'heic') {
+      setPreview(CONVERTED_PREVIEW);
+      return;
+    }
+
     // Create preview
     const reader = new FileReader();
     reader.onload = (e) => setPreview(e.target.result);
@@ -119,13 +426,14 @@ const BillVerificationApp = () => {
 
     setIsProcessing(true);
     setError(null);
+    setProgress(apiAvailable ? createProgress() : null);
 
     try {
       console.log('🔄 Processing bill:', selectedFile.name);
       
       let response;
       if (apiAvailable) {
-        response = await processBillAPI(selectedFile);
+        response = await processBillAPI([selectedFile, ...additionalPhotos]);
       } else {
         // Fallback mock processing
         await new Promise(resolve => setTimeout(resolve, 3000));
@@ -190,10 +498,39 @@ const BillVerificationApp = () => {
       setResults({
         error: error.message,
         processed: false,
-        errorType: 'processing_error'
+        errorType: 'processing_error',
+        hints: error.hints || []
       });
     } finally {
       setIsProcessing(false);
+      setProcessingStage(null);
+    }
+  };
+
+  // Send the handwritten numbers the user confirmed or corrected, the server validates the bill again
+  const confirmNumbers = async () => {
+    setIsConfirming(true);
+    try {
+      const values = Object.fromEntries(results.validation.needsConfirmation.map(number => [
+        number.field,
+        Number(confirmedValues[number.field] ?? number.value)
+      ]));
+      const response = await fetch(`${API_BASE_URL}/api/bills/${results.id}/confirm`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ values })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to confirm the numbers');
+      }
+      setResults(prev => ({ ...prev, ...data.data }));
+      setConfirmedValues({});
+    } catch (error) {
+      console.error('❌ Confirming numbers failed:', error);
+      setError(error.message);
+    } finally {
+      setIsConfirming(false);
     }
   };
 
@@ -203,12 +540,38 @@ const BillVerificationApp = () => {
     setPreview(null);
     setResults(null);
     setError(null);
+    setProgress(null);
+    setQuality(null);
+    setAdditionalPhotos([]);
+    setConfirmedValues({});
+    qualityFileRef.current = null;
     if (fileInputRef.current) fileInputRef.current.value = '';
     if (cameraInputRef.current) cameraInputRef.current.value = '';
   };
 
-  // Download report
-  const downloadReport = (result) => {
+  // Download report (server-side report in the chosen format, local JSON when offline)
+  const downloadReport = async (result, format = 'json') => {
+    if (apiAvailable && typeof result.id === 'string') {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/bills/${result.id}/download?format=${format}`);
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || `Report download failed (${response.status})`);
+        }
+
+        const url = window.URL.createObjectURL(await response.blob());
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', url);
+        linkElement.setAttribute('download', `bill-verification-${result.id}.${format}`);
+        linkElement.click();
+        window.URL.revokeObjectURL(url);
+      } catch (error) {
+        console.error('❌ Report download failed:', error);
+        setError(error.message);
+      }
+      return;
+    }
+
     const reportData = {
       timestamp: result.timestamp,
       fileName: result.fileName,
@@ -276,12 +639,12 @@ const BillVerificationApp = () => {
                       <div className="upload-box" onClick={() => fileInputRef.current?.click()}>
                         <div className="upload-icon">📤</div>
                         <p className="upload-title">Upload from Device</p>
-                        <p className="upload-subtitle">Click to select image file</p>
-                        <p className="upload-info">Max size: 5MB • JPG, PNG, GIF</p>
+                        <p className="upload-subtitle">Click to select image or PDF file</p>
+                        <p className="upload-info">Max size: {MAX_FILE_SIZE / (1024 * 1024)}MB • {fileTypes?.labels || 'Images, PDF'}</p>
                         <input
                           ref={fileInputRef}
                           type="file"
-                          accept="image/*"
+                          accept={fileTypes?.accept || 'image/*,application/pdf'}
                           onChange={handleFileUpload}
                           style={{ display: 'none' }}
                         />
@@ -320,7 +683,19 @@ const BillVerificationApp = () => {
                   <div className="preview-area">
                     {/* Image Preview */}
                     <div className="image-preview">
-                      <img src={preview} alt="Bill preview" />
+                      {preview === DOCUMENT_PREVIEW ? (
+                        <div className="document-preview">
+                          <div className="document-icon">📄</div>
+                          <p>{selectedFile?.type === 'application/pdf' ? 'PDF invoice' : 'TIFF scan'} - every page is read</p>
+                        </div>
+                      ) : preview === CONVERTED_PREVIEW ? (
+                        <div className="document-preview">
+                          <div className="document-icon">📷</div>
+                          <p>HEIC photo - converted on the server, no preview in this browser</p>
+                        </div>
+                      ) : (
+                        <img src={preview} alt="Bill preview" />
+                      )}
                       <div className="file-info">
                         <span className="file-name">{selectedFile?.name}</span>
                         <span className="file-size">
@@ -329,6 +704,93 @@ const BillVerificationApp = () => {
                       </div>
                     </div>
 
+                    {/* Photo Quality */}
+                    {quality && (
+                      <div className={`quality-check ${quality.status === 'checking' ? 'checking' : quality.usable ? (quality.issues.length > 0 ? 'warning' : 'good') : 'poor'}`}>
+                        {quality.status === 'checking' ? (
+                          <p className="quality-title">🔍 Checking photo quality...</p>
+                        ) : quality.issues.length === 0 ? (
+                          <p className="quality-title">✅ Photo looks good</p>
+                        ) : (
+                          <>
+                            <p className="quality-title">
+                              {quality.usable ? '⚠️ The photo may not read well' : '📸 Retake recommended - this photo will probably not read'}
+                            </p>
+                            <ul className="quality-issues">
+                              {quality.issues.map(issue => (
+                                <li key={issue.code} className={`quality-issue ${issue.severity}`}>
+                                  <span className="quality-issue-message">{issue.severity === 'error' ? '❌' : '⚠️'} {issue.message}</span>
+                                  <span className="quality-issue-hint">💡 {issue.hint}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          </>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Further photos of a long receipt, stitched into one bill */}
+                    {apiAvailable && preview !== DOCUMENT_PREVIEW && (
+                      <div className="receipt-parts">
+                        {additionalPhotos.length > 0 && (
+                          <ul className="receipt-part-list">
+                            {additionalPhotos.map((photo, index) => (
+                              <li key={`${photo.name}-${index}`} className="receipt-part">
+                                <span>📄 Part {index + 2}: {photo.name}</span>
+                                <button
+                                  className="receipt-part-remove"
+                                  onClick={() => setAdditionalPhotos(prev => prev.filter((unused, i) => i !== index))}
+                                  disabled={isProcessing}
+                                  title="Remove this part"
+                                >
+                                  ✕
+                                </button>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                        {additionalPhotos.length + 1 < MAX_RECEIPT_PHOTOS && (
+                          <button
+                            className="btn btn-secondary receipt-part-add"
+                            onClick={() => partInputRef.current?.click()}
+                            disabled={isProcessing}
+                          >
+                            ➕ Add next part of this receipt
+                          </button>
+                        )}
+                        <p className="receipt-parts-note">
+                          Receipt too long for one photo? Photograph it top to bottom, letting each photo repeat a few lines of the previous one.
+                        </p>
+                        <input
+                          ref={partInputRef}
+                          type="file"
+                          accept={PART_PHOTO_ACCEPT}
+                          onChange={handleAdditionalPhoto}
+                          style={{ display: 'none' }}
+                        />
+                      </div>
+                    )}
+
+                    {/* Printed or handwritten bill */}
+                    {apiAvailable && (
+                      <div className="writing-mode">
+                        <span className="writing-mode-label">Bill is</span>
+                        {WRITING_MODES.map(mode => (
+                          <label key={mode.value} className={`writing-option ${writingMode === mode.value ? 'selected' : ''}`}>
+                            <input
+                              type="radio"
+                              name="writing"
+                              value={mode.value}
+                              checked={writingMode === mode.value}
+                              onChange={() => setWritingMode(mode.value)}
+                              disabled={isProcessing}
+                            />
+                            {mode.label}
+                          </label>
+                        ))}
+                      </div>
+                    )}
+
                     {/* Action Buttons */}
                     <div className="action-buttons">
                       <button
@@ -339,16 +801,59 @@ const BillVerificationApp = () => {
                         {isProcessing ? (
                           <>
                             <span className="spinner"></span>
-                            {apiAvailable ? 'Processing Bill...' : 'Analyzing...'}
+                            {apiAvailable ? (STAGE_LABELS[processingStage] || 'Processing Bill...') : 'Analyzing...'}
                           </>
                         ) : (
-                          <>👁️ Verify Bill</>
+                          <>👁️ {quality?.usable === false ? 'Verify Anyway' : 'Verify Bill'}</>
                         )}
                       </button>
                       <button onClick={resetForm} className="btn btn-secondary" disabled={isProcessing}>
-                        🗑️ Reset
+                        {quality?.issues?.length > 0 ? '📷 Retake Photo' : '🗑️ Reset'}
                       </button>
                     </div>
+
+                    {/* Live Processing Progress */}
+                    {progress && (
+                      <div className="progress-view">
+                        <h4>Processing Progress</h4>
+                        <ul className="progress-steps">
+                          {PROGRESS_STEPS.map(step => {
+                            const state = progress.steps[step.key];
+                            return (
+                              <li key={step.key} className={`progress-step ${state.status}`}>
+                                <div className="progress-step-header">
+                                  <span className="progress-step-icon">
+                                    {state.status === 'done' ? '✅' :
+                                      state.status === 'active' ? '🔄' :
+                                      state.status === 'error' ? '❌' :
+                                      state.status === 'skipped' ? '⏭️' : '⏳'}
+                                  </span>
+                                  <span className="progress-step-label">{step.label}</span>
+                                  {state.progress !== null && state.status === 'active' && (
+                                    <span className="progress-step-percent">{state.progress}%</span>
+                                  )}
+                                </div>
+                                {state.progress !== null && state.status === 'active' && (
+                                  <div className="progress-bar">
+                                    <div className="progress-fill high" style={{ width: `${state.progress}%` }}></div>
+                                  </div>
+                                )}
+                                {state.message && <div className="progress-step-message">{state.message}</div>}
+                                {step.key === 'validation' && progress.algorithms.length > 0 && (
+                                  <ul className="progress-algorithms">
+                                    {progress.algorithms.map(algorithm => (
+                                      <li key={algorithm.name} className={`progress-algorithm ${algorithm.status}`}>
+                                        {algorithm.status === 'started' ? '🔄' : algorithm.passed ? '✅' : '❌'} {algorithm.label}
+                                      </li>
+                                    ))}
+                                  </ul>
+                                )}
+                              </li>
+                            );
+                          })}
+                        </ul>
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -378,6 +883,108 @@ const BillVerificationApp = () => {
                         </div>
                       )}
 
+                      {/* Handwritten bill */}
+                      {results.writing?.style === 'handwritten' && (
+                        <div className="writing-info">
+                          ✍️ Handwritten bill{results.writing.requested === 'auto' ? ' (detected)' : ''} - numbers are trusted less until you confirm them
+                          {!results.writing.handwritingRecognizer && (
+                            <span className="writing-info-note">Read without a handwriting recognizer, expect more misread numbers</span>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Receipt cropped out of the photo */}
+                      {results.receipt?.imageUrl && (
+                        <div className="receipt-crop">
+                          <h4>Detected Receipt</h4>
+                          <img src={`${API_BASE_URL}${results.receipt.imageUrl}`} alt="Receipt cropped from the photo" />
+                          <p className="receipt-crop-note">This crop was read by OCR - check that no part of the bill is missing</p>
+                        </div>
+                      )}
+
+                      {/* Photos stitched into one receipt */}
+                      {results.stitching && (
+                        <div className="stitching-info">
+                          <h4>🧵 Stitched from {results.stitching.photos} photos</h4>
+                          <ul>
+                            {results.stitching.overlaps.map(overlap => (
+                              <li key={overlap.parts.join('-')}>
+                                Photos {overlap.parts[0]} → {overlap.parts[1]}: {overlap.rows > 0 ? `${overlap.rows} repeated lines removed` : 'no overlap found'}
+                              </li>
+                            ))}
+                          </ul>
+                          {results.stitching.warnings.map(warning => (
+                            <p key={warning} className="stitching-warning">⚠️ {warning}</p>
+                          ))}
+                          {results.receipt?.parts?.some(part => part?.imageUrl) && (
+                            <div className="receipt-crop">
+                              {results.receipt.parts.map((part, index) => part?.imageUrl && (
+                                <img key={part.imageUrl} src={`${API_BASE_URL}${part.imageUrl}`} alt={`Receipt cropped from photo ${index + 1}`} />
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      {/* GST e-invoice QR compared with the printed bill */}
+                      {results.einvoice?.found && (
+                        <div className={`einvoice-check ${results.einvoice.mismatches > 0 || ['invalid', 'malformed'].includes(results.einvoice.signature.status) ? 'failed' : 'passed'}`}>
+                          <h4>🧾 E-invoice QR</h4>
+                          <p className="einvoice-signature">{SIGNATURE_LABELS[results.einvoice.signature.status]}</p>
+                          {results.einvoice.fields.length > 0 && (
+                            <table className="einvoice-fields">
+                              <thead>
+                                <tr>
+                                  <th>Field</th>
+                                  <th>QR</th>
+                                  <th>Printed</th>
+                                  <th></th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {results.einvoice.fields.map(field => (
+                                  <tr key={field.field} className={`einvoice-field ${field.status}`}>
+                                    <td>{field.label}</td>
+                                    <td className="einvoice-value">{String(field.qr)}</td>
+                                    <td className="einvoice-value">{field.printed ?? (field.status === 'match' ? 'on the bill' : '-')}</td>
+                                    <td>{field.status === 'match' ? '✅' : field.status === 'mismatch' ? '❌' : '⚠️'}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Low-confidence handwritten numbers for the user to confirm */}
+                      {apiAvailable && results.validation?.needsConfirmation?.length > 0 && (
+                        <div className="confirm-numbers">
+                          <h4>✍️ Please confirm these numbers</h4>
+                          <p className="confirm-note">They were hard to read. Correct any that differ from the bill, then confirm.</p>
+                          {results.validation.needsConfirmation.map(number => (
+                            <label key={number.field} className="confirm-row">
+                              <span className="confirm-label">{number.label}</span>
+                              <span className="confirm-confidence">{Math.round(number.confidence)}% sure</span>
+                              <input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                value={confirmedValues[number.field] ?? number.value}
+                                onChange={(event) => setConfirmedValues(prev => ({ ...prev, [number.field]: event.target.value }))}
+                                disabled={isConfirming}
+                              />
+                            </label>
+                          ))}
+                          <button
+                            className="btn btn-primary"
+                            onClick={confirmNumbers}
+                            disabled={isConfirming || Object.values(confirmedValues).some(value => value === '')}
+                          >
+                            {isConfirming ? 'Saving...' : '✔️ Confirm numbers'}
+                          </button>
+                        </div>
+                      )}
+
                       {/* Confidence Score */}
                       <div className="confidence-score">
                         <div className="score-header">
@@ -405,6 +1012,18 @@ const BillVerificationApp = () => {
                               <span>{results.billData.storeName}</span>
                             </div>
                           )}
+                          {results.billData.sellerGstin && (
+                            <div className="summary-item">
+                              <span>Seller GSTIN:</span>
+                              <span>{results.billData.sellerGstin}</span>
+                            </div>
+                          )}
+                          {results.billData.buyerGstin && (
+                            <div className="summary-item">
+                              <span>Buyer GSTIN:</span>
+                              <span>{results.billData.buyerGstin}</span>
+                            </div>
+                          )}
                           <div className="summary-item">
                             <span>Date:</span>
                             <span>{results.billData.date || 'Not found'}</span>
@@ -421,6 +1040,12 @@ const BillVerificationApp = () => {
                             <span>Tax ({results.billData.taxRate || 0}%):</span>
                             <span>{results.billData.currency || '₹'}{results.billData.tax?.toFixed(2) || '0.00'}</span>
                           </div>
+                          {results.billData.taxComponents?.length > 1 && results.billData.taxComponents.map((component, index) => (
+                            <div key={index} className="summary-item tax-component">
+                              <span>{component.type}{component.rate !== null && component.rate !== undefined ? ` (${component.rate}%)` : ''}:</span>
+                              <span>{results.billData.currency || '₹'}{component.amount?.toFixed(2)}</span>
+                            </div>
+                          ))}
                           {results.billData.discount > 0 && (
                             <div className="summary-item">
                               <span>Discount:</span>
@@ -507,9 +1132,13 @@ const BillVerificationApp = () => {
                       )}
 
                       {/* Download Report */}
-                      <button onClick={() => downloadReport(results)} className="btn btn-download">
-                        💾 Download Report
-                      </button>
+                      <div className="download-options">
+                        {(apiAvailable ? REPORT_FORMATS : REPORT_FORMATS.slice(0, 1)).map(({ format, label }) => (
+                          <button key={format} onClick={() => downloadReport(results, format)} className="btn btn-download">
+                            💾 {label}
+                          </button>
+                        ))}
+                      </div>
                     </div>
                   ) : (
                     <div className="error-state">
@@ -518,6 +1147,13 @@ const BillVerificationApp = () => {
                       {results.errorCode && (
                         <p className="error-code">Error Code: {results.errorCode}</p>
                       )}
+                      {results.hints?.length > 0 && (
+                        <ul className="quality-issues">
+                          {results.hints.map(hint => (
+                            <li key={hint} className="quality-issue-hint">💡 {hint}</li>
+                          ))}
+                        </ul>
+                      )}
                     </div>
                   )}
                 </div>
@@ -41,12 +41,13 @@ api.interceptors.response.use(
 
 // Bill API functions
 export const billAPI = {
-  // Process single bill
-  processBill: async (file, userId = 'anonymous') => {
+  // Process single bill (writing: auto, printed or handwritten)
+  processBill: async (file, userId = 'anonymous', writing = 'auto') => {
     try {
       const formData = new FormData();
       formData.append('billImage', file);
       formData.append('userId', userId);
+      formData.append('writing', writing);
       
       const response = await api.post('/bills/process', formData, {
         headers: {
@@ -64,6 +65,83 @@ export const billAPI = {
     }
   },
 
+  // Check photo quality before submitting (blur, exposure, glare, resolution, framing), nothing is stored
+  checkQuality: async (file) => {
+    try {
+      const formData = new FormData();
+      formData.append('billImage', file);
+
+      const response = await api.post('/bills/quality', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to check photo quality');
+    }
+  },
+
+  // Confirm or correct numbers of a processed bill ({ 'items[0].price': 95, total: 430 }), returns the revalidated bill
+  confirmValues: async (billId, values) => {
+    try {
+      const response = await api.post(`/bills/${billId}/confirm`, { values });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to confirm bill numbers');
+    }
+  },
+
+  // Get processing stage of a queued bill
+  getBillStatus: async (billId) => {
+    try {
+      const response = await api.get(`/bills/${billId}/status`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to get bill status');
+    }
+  },
+
+  // Poll a queued bill until processing completes or fails
+  waitForBill: async (billId, { interval = 1000, maxPolls = 180, onStage } = {}) => {
+    for (let poll = 0; poll < maxPolls; poll++) {
+      await new Promise(resolve => setTimeout(resolve, interval));
+
+      const status = await billAPI.getBillStatus(billId);
+      if (onStage) onStage(status.data.processingStage);
+
+      if (status.data.processingStage === 'completed') {
+        return { success: true, data: status.data.result };
+      }
+      if (status.data.processingStage === 'failed') {
+        throw new Error(status.data.error?.message || 'Failed to process bill');
+      }
+    }
+
+    throw new Error('Bill processing timed out');
+  },
+
+  // Subscribe to live processing progress (Server-Sent Events), returns a function that closes the stream
+  subscribeToProgress: (billId, onEvent, onError) => {
+    const source = new EventSource(`${API_BASE_URL}/bills/${billId}/events`);
+
+    source.addEventListener('progress', (message) => {
+      const event = JSON.parse(message.data);
+      onEvent(event);
+      if (event.stage === 'completed' || event.stage === 'failed') {
+        source.close();
+      }
+    });
+
+    source.onerror = (error) => {
+      source.close();
+      if (onError) onError(error);
+    };
+
+    return () => source.close();
+  },
+
   // Process multiple bills
   processBatch: async (files, userId = 'anonymous') => {
     try {
@@ -80,7 +158,7 @@ export const billAPI = {
         headers: {
           'Content-Type': 'multipart/form-data'
         },
-        timeout: 60000, // Extended timeout for batch processing
+        timeout: 300000, // Extended timeout for batch processing (up to 50 bills)
         onUploadProgress: (progressEvent) => {
           const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
           console.log(`📤 Batch Upload Progress: ${percentCompleted}%`);
@@ -128,9 +206,10 @@ export const billAPI = {
   downloadBillReport: async (billId, format = 'json') => {
     try {
       const response = await api.get(`/bills/${billId}/download?format=${format}`, {
-      }
+        responseType: format === 'json' ? 'json' : 'blob'
+      });
       
-      if (response.type === 'json') {
+      if (format === 'json') {
         return response.data;
       }
     
@@ -161,10 +240,33 @@ export const billAPI = {
     }
   },
   
-  // Get statistics
-  getStatistics: async () => {
+  // Archive bill
+  archiveBill: async (billId) => {
+    try {
+      const response = await api.post(`/bills/${billId}/archive`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to archive bill');
+    }
+  },
+  
+  // Restore an archived or deleted bill
+  restoreBill: async (billId) => {
+    try {
+      const response = await api.post(`/bills/${billId}/restore`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to restore bill');
+    }
+  },
+  
+  // Get statistics (options: from, to, period = day|week|month, timezone, userId)
+  getStatistics: async (options = {}) => {
     try {
-      const response = await api.get('/bills/stats/overview');
+      const params = new URLSearchParams(
+        Object.entries(options).filter(([, value]) => value !== undefined && value !== null && value !== '')
+      );
+      const response = await api.get(`/bills/stats/overview?${params}`);
       return response.data;
     } catch (error) {
       throw new Error(error.response?.data?.error || 'Failed to get statistics');
@@ -181,6 +283,16 @@ export const billAPI = {
     }
   },
   
+  // Upload types accepted by the server ({ types, accept, labels, maxFileSize })
+  getFileTypes: async () => {
+    try {
+      const response = await api.get('/bills/file-types');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.error || 'Failed to get accepted file types');
+    }
+  },
+
   // Get API documentation
   getDocumentation: async () => {
     try {
@@ -216,10 +328,13 @@ export const apiUtils = {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   },
   
-  // Validate file type
-  isValidImageFile: (file) => {
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-    return allowedTypes.includes(file.type);
+  // Validate file type against the server's list (billAPI.getFileTypes), the server checks the content again
+  // Without the list any image is accepted
+  isValidImageFile: (file, fileTypes = null) => {
+    if (!fileTypes) return file.type.startsWith('image/');
+    const extension = (file.name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+    const entry = fileTypes.types.find(candidate => candidate.extensions.includes(extension));
+    return Boolean(entry) && (!file.type || entry.mimeTypes.includes(file.type));
   },
   
   // Check file size limit
@@ -265,6 +380,13 @@ export const apiUtils = {
             message: 'Too many requests. Please try again later.',
             code: data.code
           };
+        case 503:
+          return {
+            type: 'busy',
+            message: `Server is busy. Please try again in ${data.retryAfter || error.response.headers?.['retry-after'] || 'a few'} seconds.`,
+            code: data.code,
+            retryAfter: data.retryAfter
+          };
         case 500:
           return {
             type: 'server',
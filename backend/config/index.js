@@ -0,0 +1,202 @@
+const os = require('os');
+const path = require('path');
+
+// Central runtime configuration for the Cyber Comets backend
+// Values come from environment variables, with command line flags for the most common switches
+
+const hasFlag = (flag) => process.argv.includes(flag);
+
+// Numeric setting where 0 is a meaningful value
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) || value < 0 ? fallback : value;
+};
+
+// Processing mode
+// 'real' runs Tesseract OCR on the uploaded image
+// 'mock' feeds sample receipt text through the same parser + validator (for demos without OCR)
+const resolveProcessingMode = () => {
+  if (hasFlag('--mock')) return 'mock';
+  if (hasFlag('--real')) return 'real';
+
+  const mode = (process.env.PROCESSING_MODE || 'real').toLowerCase();
+  if (!['real', 'mock'].includes(mode)) {
+    console.warn(`⚠️ Unknown PROCESSING_MODE "${mode}", falling back to "real"`);
+    return 'real';
+  }
+  return mode;
+};
+
+const processingMode = resolveProcessingMode();
+
+// Files per batch upload, the processing queue always has room for a whole batch
+const batchMaxFiles = parseInt(process.env.BATCH_MAX_FILES, 10) || 50;
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+const config = {
+  port: parseInt(process.env.PORT, 10) || 5000,
+  processingMode,
+
+  // Bill storage: 'mongo' uses models/Bill.js, 'file' keeps bills in a local JSON file
+  storage: {
+    backend: (process.env.STORAGE_BACKEND || (process.env.MONGODB_URI ? 'mongo' : 'file')).toLowerCase(),
+    mongoUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/cyber-comets',
+    dataDir
+  },
+
+  // OCR providers: fallback chain tried in order, see services/ocrService.js (mock mode only uses 'mock')
+  // A provider reading below minConfidence hands over to the next one
+  ocr: {
+    providers: processingMode === 'mock'
+      ? ['mock']
+      : (process.env.OCR_PROVIDERS || 'tesseract').split(',').map(name => name.trim()).filter(Boolean),
+    minConfidence: envNumber('OCR_MIN_CONFIDENCE', 60),
+    http: {
+      url: process.env.OCR_HTTP_URL || 'http://localhost:5100/ocr',
+      timeoutMs: envNumber('OCR_HTTP_TIMEOUT_MS', 30000) || 30000,
+      apiKey: process.env.OCR_HTTP_API_KEY || ''
+    },
+
+    // Tesseract language packs, read from local <code>.traineddata(.gz) files in langPath
+    // With autoDetectScript a quick probe pass picks the packs matching the scripts on the bill
+    langPath: process.env.OCR_LANG_PATH || path.join(__dirname, '..', 'tessdata'),
+    languages: (process.env.OCR_LANGUAGES || 'eng+hin+ben+tam')
+      .split(/[+,]/)
+      .map(code => code.trim())
+      .filter(Boolean),
+    autoDetectScript: process.env.OCR_AUTO_DETECT_SCRIPT !== 'false',
+    scriptMinShare: envNumber('OCR_SCRIPT_MIN_SHARE', 0.1),
+
+    // Tesseract worker pool (services/ocrWorkerPool.js), one worker per CPU core by default
+    // A worker is recycled after maxJobsPerWorker recognitions, a failed job or a job running past jobTimeoutMs
+    pool: {
+      size: envNumber('OCR_POOL_SIZE', Math.min(os.cpus().length, 4)) || 1,
+      maxJobsPerWorker: envNumber('OCR_WORKER_MAX_JOBS', 50) || 50,
+      jobTimeoutMs: envNumber('OCR_JOB_TIMEOUT_MS', 120000) || 120000,
+      maxWaiting: envNumber('OCR_POOL_MAX_WAITING', 100) || 100
+    },
+
+    // Image preprocessing (services/imagePreprocessor.js)
+    // Every variant is read in turn until one reaches targetConfidence, the most confident one wins
+    preprocessing: {
+      variants: (process.env.OCR_PREPROCESS_VARIANTS || 'standard,adaptive,faded')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean),
+      targetConfidence: envNumber('OCR_TARGET_CONFIDENCE', 85),
+      maxWidth: envNumber('OCR_MAX_IMAGE_WIDTH', 2000) || 2000,
+      deskew: process.env.OCR_DESKEW !== 'false',
+      maxSkew: envNumber('OCR_MAX_SKEW_DEGREES', 15),
+      perspective: process.env.OCR_PERSPECTIVE_CORRECTION !== 'false'
+    }
+  },
+
+  // Receipt detection before OCR (services/receiptDetector.js)
+  // The receipt is cropped out of the photo, squared up and saved next to the upload (bill_123_receipt.png)
+  // maxSaturation: colour saturation (0-1) up to which a bright pixel counts as paper
+  receipt: {
+    enabled: process.env.RECEIPT_CROP !== 'false',
+    maxSaturation: envNumber('RECEIPT_MAX_SATURATION', 0.25),
+    minArea: envNumber('RECEIPT_MIN_AREA', 0.1),
+    minFill: envNumber('RECEIPT_MIN_FILL', 0.7),
+    maxWidth: envNumber('OCR_MAX_IMAGE_WIDTH', 2000) || 2000
+  },
+
+  // Photo quality check before OCR (services/qualityService.js)
+  // rejectUnusable stops processing photos with a severe issue instead of attempting OCR
+  quality: {
+    enabled: process.env.QUALITY_CHECK !== 'false',
+    rejectUnusable: process.env.QUALITY_REJECT_UNUSABLE === 'true',
+    minBlurVariance: envNumber('QUALITY_MIN_BLUR_VARIANCE', 300),
+    minBrightness: envNumber('QUALITY_MIN_BRIGHTNESS', 110),
+    minContrast: envNumber('QUALITY_MIN_CONTRAST', 60),
+    maxGlareShare: envNumber('QUALITY_MAX_GLARE_SHARE', 0.02),
+    minDpi: envNumber('QUALITY_MIN_DPI', 150),
+    receiptWidthMm: envNumber('QUALITY_RECEIPT_WIDTH_MM', 80) || 80
+  },
+
+  // Cache of OCR + parse results by upload content (services/ocrCache.js)
+  ocrCache: {
+    enabled: process.env.OCR_CACHE_ENABLED !== 'false',
+    maxEntries: envNumber('OCR_CACHE_MAX_ENTRIES', 200) || 200,
+    ttlMinutes: envNumber('OCR_CACHE_TTL_MINUTES', 7 * 24 * 60) || 7 * 24 * 60,
+    filePath: process.env.OCR_CACHE_PERSIST === 'false' ? null : path.join(dataDir, 'ocr-cache.json')
+  },
+
+  // Multi-page uploads (services/documentService.js)
+  // PDF pages with at least textLayerMinChars characters of embedded text skip OCR, others are rendered at pdfDpi
+  documents: {
+    maxPages: envNumber('DOCUMENT_MAX_PAGES', 20) || 20,
+    pdfDpi: envNumber('PDF_RENDER_DPI', 200) || 200,
+    textLayerMinChars: envNumber('PDF_TEXT_LAYER_MIN_CHARS', 20),
+    // Several photos of one long receipt (POST /api/bills/stitch), see utils/stitching.js
+    // minSimilarity: how closely (0-1) a row must read in both photos to count as the overlap
+    stitching: {
+      maxParts: envNumber('STITCH_MAX_PARTS', 5) || 5,
+      maxRows: envNumber('STITCH_MAX_OVERLAP_ROWS', 15) || 15,
+      minSimilarity: envNumber('STITCH_MIN_SIMILARITY', 0.75)
+    }
+  },
+
+  // Handwritten bills and kirana estimates (utils/handwriting.js, BillParser handwritten mode)
+  // mode: 'auto' checks the first OCR pass for handwriting, 'printed'/'handwritten' skip the check; uploads may choose
+  // providers: handwriting-capable OCR providers tried first, the regular chain stays the fallback
+  // Numbers read with less than confirmBelow confidence are listed for the user to confirm;
+  // defaultTrust is assumed for numbers the recognizer gave no confidence, baseScore caps the validation score
+  handwriting: {
+    mode: ['printed', 'handwritten'].includes((process.env.HANDWRITING_MODE || '').toLowerCase())
+      ? process.env.HANDWRITING_MODE.toLowerCase()
+      : 'auto',
+    providers: processingMode === 'mock'
+      ? ['mock']
+      : (process.env.OCR_HANDWRITING_PROVIDERS || 'google-vision').split(',').map(name => name.trim()).filter(Boolean),
+    minConfidence: envNumber('HANDWRITING_MIN_CONFIDENCE', 40),
+    detectBelowConfidence: envNumber('HANDWRITING_DETECT_CONFIDENCE', 75),
+    confirmBelow: envNumber('HANDWRITING_CONFIRM_BELOW', 85),
+    defaultTrust: envNumber('HANDWRITING_DEFAULT_TRUST', 60),
+    baseScore: envNumber('HANDWRITING_BASE_SCORE', 80)
+  },
+
+  // GST e-invoice QR codes (services/einvoiceService.js)
+  // The signed QR is searched on the first scanPages pages and compared field by field with the parsed bill
+  // publicKeysPath: JWKS or PEM file with the invoice registration portal's public keys, kept locally
+  // amountTolerance: rupees the printed total may differ from the QR's invoice value (rounding)
+  einvoice: {
+    enabled: process.env.EINVOICE_QR !== 'false',
+    publicKeysPath: process.env.EINVOICE_PUBLIC_KEYS || path.join(dataDir, 'einvoice-keys.json'),
+    scanPages: envNumber('EINVOICE_SCAN_PAGES', 2) || 2,
+    amountTolerance: envNumber('EINVOICE_AMOUNT_TOLERANCE', 1)
+  },
+
+  // Background processing queue
+  // maxLength is raised to batch.maxFiles when set lower, so a valid batch upload never loses files
+  queue: {
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || Math.max(2, Math.min(os.cpus().length, 4)),
+    maxLength: Math.max(parseInt(process.env.QUEUE_MAX_LENGTH, 10) || 20, batchMaxFiles)
+  },
+
+  // Batch uploads
+  batch: {
+    maxFiles: batchMaxFiles
+  },
+
+  // Statistics overview: time zone used to bucket bills by day/week/month
+  stats: {
+    timezone: process.env.STATS_TIMEZONE || 'Asia/Kolkata'
+  },
+
+  // Data retention, enforced by services/retentionService.js
+  // imageHours: 0 removes the uploaded image as soon as processing finishes
+  // receiptHours: the receipt crop stays at least this long for reviewers, also once its upload is gone (0: with the upload)
+  // ocrTextDays, deletedDays, recordDays: 0 keeps that data forever
+  retention: {
+    imageHours: envNumber('RETENTION_IMAGE_HOURS', 0),
+    receiptHours: envNumber('RETENTION_RECEIPT_HOURS', 24),
+    ocrTextDays: envNumber('RETENTION_OCR_TEXT_DAYS', 30),
+    deletedDays: envNumber('RETENTION_DELETED_DAYS', 7),
+    recordDays: envNumber('RETENTION_RECORD_DAYS', 0),
+    sweepMinutes: envNumber('RETENTION_SWEEP_MINUTES', 60)
+  }
+};
+
+module.exports = config;
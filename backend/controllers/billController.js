@@ -0,0 +1,968 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+const billProcessor = require('../services/billProcessor');
+const billParser = require('../services/billParser');
+const validationService = require('../services/validationService');
+const einvoiceService = require('../services/einvoiceService');
+const billStore = require('../services/billStore');
+const processingQueue = require('../services/processingQueue');
+const progressService = require('../services/progressService');
+const reportService = require('../services/reportService');
+const retentionService = require('../services/retentionService');
+const ocrCache = require('../services/ocrCache');
+const qualityService = require('../services/qualityService');
+const documentService = require('../services/documentService');
+const receiptDetector = require('../services/receiptDetector');
+const { declaredType, describeFileTypes } = require('../utils/fileTypes');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const PROCESSING_STAGES = ['uploaded', 'ocr_processing', 'parsing', 'validating', 'completed', 'failed'];
+const MAX_BATCH_FILES = config.batch.maxFiles;
+const MAX_STITCH_PARTS = config.documents.stitching.maxParts;
+
+// Uploads directory
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+// Multer configuration
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, uploadsDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `bill_${Date.now()}_${Math.round(Math.random() * 1E9)}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
+  }
+});
+
+// Name and mimetype only, the content is checked after upload (services/uploadService.js)
+const fileFilter = (req, file, cb) => {
+  if (declaredType(file.originalname, file.mimetype)) {
+    return cb(null, true);
+  }
+  const error = new Error(`Only photos, scans and PDF invoices are allowed (${describeFileTypes().labels})`);
+  error.code = 'UNSUPPORTED_FILE_TYPE';
+  cb(error);
+};
+
+// In a batch a file of another type is kept and marked as rejected, so the other files are still processed
+const batchFileFilter = (req, file, cb) => {
+  if (!declaredType(file.originalname, file.mimetype)) {
+    file.rejected = {
+      status: 415,
+      error: `${file.originalname}: only ${describeFileTypes().labels} files are accepted`,
+      code: 'UNSUPPORTED_FILE_TYPE'
+    };
+  }
+  cb(null, true);
+};
+
+const limits = { fileSize: MAX_FILE_SIZE, files: MAX_BATCH_FILES };
+const multerInstance = multer({ storage, limits, fileFilter });
+
+const upload = multerInstance.single('billImage');
+const uploadMultiple = multerInstance.array('billImages', MAX_BATCH_FILES);
+const uploadBatch = multer({ storage, limits, fileFilter: batchFileFilter }).array('billImages', MAX_BATCH_FILES);
+
+// Helper functions
+function formatFileSize(bytes) {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  return `${(ms / 1000).toFixed(2)}s`;
+}
+
+function removeFile(filePath) {
+  if (!filePath) return;
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') {
+      console.warn('Failed to cleanup file:', err.message);
+    }
+  });
+}
+
+// Receipt detection with a link to each stored crop (one per photo for stitched bills)
+// No link once the crops are removed, or when they are removed as soon as processing ends
+function toReceiptResponse(bill) {
+  const detection = bill.receiptDetection;
+  if (!detection) return null;
+  const { imageHours, receiptHours } = config.retention;
+  const stored = !bill.receiptDeletedAt && (imageHours > 0 || receiptHours > 0);
+  const imageUrl = (available, part) => (available && stored
+    ? `/api/bills/${bill._id}/image?variant=receipt${part ? `&part=${part}` : ''}`
+    : null);
+
+  if (detection.parts) {
+    return {
+      ...detection,
+      parts: detection.parts.map((part, index) => part && { ...part, imageUrl: imageUrl(part.found, index + 1) })
+    };
+  }
+  return { ...detection, imageUrl: imageUrl(Boolean(bill.cropPath)) };
+}
+
+// Shape a stored bill for API responses, the OCR layout is only included on request
+function toBillResponse(bill, { includeLayout = false } = {}) {
+  return {
+    id: bill._id,
+    fileName: bill.fileName,
+    fileSize: formatFileSize(bill.fileSize),
+    convertedFrom: bill.convertedFrom || null,
+    processingTime: formatDuration(bill.processingTime || 0),
+    processingStage: bill.processingStage,
+    ocr: {
+      confidence: bill.ocrConfidence,
+      textLength: (bill.ocrText || '').length,
+      languages: bill.ocrLanguages || [],
+      scripts: bill.ocrScripts || [],
+      provider: bill.ocrProvider || null,
+      providerAttempts: bill.ocrProviderAttempts || null,
+      preprocessing: bill.ocrPreprocessing || null,
+      documentType: bill.documentType || 'image',
+      pages: bill.ocrPages || null,
+      cache: bill.ocrCache || null,
+      ...(includeLayout && { layout: bill.ocrLayout || null })
+    },
+    quality: bill.quality || null,
+    receipt: toReceiptResponse(bill),
+    stitching: bill.stitching ? { photos: bill.partPaths.length, ...bill.stitching } : null,
+    einvoice: bill.einvoice || null,
+    writing: bill.writing || null,
+    billData: bill.billData,
+    validation: bill.validation,
+    userId: bill.userId,
+    status: bill.status,
+    archivedAt: bill.archivedAt,
+    deletedAt: bill.deletedAt,
+    createdAt: bill.createdAt,
+    processedAt: bill.processedAt,
+    processingError: bill.processingError,
+    downloadCount: bill.downloadCount
+  };
+}
+
+// Compact form used by history listings
+function toHistoryEntry(bill) {
+  return {
+    id: bill._id,
+    fileName: bill.fileName,
+    fileSize: formatFileSize(bill.fileSize),
+    storeName: bill.billData?.storeName || '',
+    itemCount: bill.billData?.items?.length || 0,
+    total: bill.billData?.total || 0,
+    isValid: bill.validation?.isValid || false,
+    confidenceScore: bill.validation?.confidenceScore || 0,
+    processingStage: bill.processingStage,
+    processingTime: formatDuration(bill.processingTime || 0),
+    createdAt: bill.createdAt,
+    status: bill.status
+  };
+}
+
+// Store an uploaded file as a bill waiting to be processed
+// parts are the ordered photos of one stitched receipt, file is the first of them
+function createBillFromUpload(file, req, { parts = [] } = {}) {
+  return billStore.create({
+    fileName: file.originalname,
+    fileSize: parts.length > 0 ? parts.reduce((sum, part) => sum + part.size, 0) : file.size,
+    mimeType: file.mimetype,
+    filePath: file.path,
+    partPaths: parts.map(part => part.path),
+    convertedFrom: file.convertedFrom || null,
+    requestedLanguages: req.body.languages ? req.body.languages.split(/[+,]/).map(code => code.trim()) : [],
+    requestedWriting: req.body.writing || undefined,
+    userId: req.body.userId || 'anonymous',
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+}
+
+// Move a bill between record statuses (active, archived, deleted)
+async function changeBillStatus(req, res, { from, changes, action }) {
+  try {
+    const bill = await billStore.findById(req.params.id);
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bill not found',
+        code: 'BILL_NOT_FOUND'
+      });
+    }
+
+    if (!from.includes(bill.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Bill is ${bill.status} and cannot be ${action}`,
+        code: 'INVALID_STATUS_TRANSITION',
+        status: bill.status
+      });
+    }
+
+    const updated = await billStore.update(bill._id, changes);
+    console.log(`🗂️ Bill ${bill._id} ${action}`);
+    res.json({
+      success: true,
+      data: toBillResponse(updated)
+    });
+  } catch (error) {
+    console.error(`❌ Failed to update bill status (${action}):`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update bill status',
+      code: 'STATUS_UPDATE_FAILED'
+    });
+  }
+}
+
+function sendQueueFull(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(503).json({
+    success: false,
+    error: 'Processing queue is full, please try again shortly',
+    code: 'QUEUE_FULL',
+    retryAfter
+  });
+}
+
+// Combined figures for a batch run
+function summarizeBatch(results) {
+  const succeeded = results.filter(result => result.success);
+  const round = (value) => parseFloat(value.toFixed(2));
+  const sum = (values) => round(values.reduce((total, value) => total + (value || 0), 0));
+
+  return {
+    totalFiles: results.length,
+    processed: succeeded.length,
+    failed: results.length - succeeded.length,
+    validBills: succeeded.filter(result => result.validation.isValid).length,
+    invalidBills: succeeded.filter(result => !result.validation.isValid).length,
+    totals: {
+      subtotal: sum(succeeded.map(result => result.billData.subtotal)),
+      tax: sum(succeeded.map(result => result.billData.tax)),
+      discount: sum(succeeded.map(result => result.billData.discount)),
+      total: sum(succeeded.map(result => result.billData.total))
+    },
+    totalDiscrepancyAmount: sum(succeeded.map(result => result.validation.discrepancyAmount))
+  };
+}
+
+// Store one file of a batch as its own bill, returns the status of the file (never throws)
+// Files rejected by the upload checks (file.rejected) are reported with the reason
+async function storeBatchFile(req, file, index) {
+  const entry = { index, fileName: file.originalname };
+  if (file.rejected) {
+    return { ...entry, success: false, status: 'failed', error: file.rejected.error, code: file.rejected.code };
+  }
+
+  try {
+    const bill = await createBillFromUpload(file, req);
+    return {
+      ...entry,
+      success: true,
+      status: 'queued',
+      billId: bill._id,
+      processingStage: bill.processingStage,
+      statusUrl: `/api/bills/${bill._id}/status`,
+      eventsUrl: `/api/bills/${bill._id}/events`
+    };
+  } catch (error) {
+    removeFile(file.path);
+    console.error(`❌ Batch file ${file.originalname} could not be stored:`, error.message);
+    return { ...entry, success: false, status: 'failed', error: error.message, code: error.code || 'PROCESSING_FAILED' };
+  }
+}
+
+// Outcome of a queued batch file once its bill has been processed
+async function waitForBatchFile(queued) {
+  const { bill, error } = await processingQueue.waitFor(queued.billId);
+  const entry = { index: queued.index, fileName: queued.fileName, billId: queued.billId };
+  if (error || !bill) {
+    return {
+      ...entry,
+      success: false,
+      status: 'failed',
+      error: error ? error.message : 'Bill not found',
+      code: (error && error.code) || 'PROCESSING_FAILED'
+    };
+  }
+  return { ...entry, success: true, status: 'completed', billData: bill.billData, validation: bill.validation };
+}
+
+// Queue one bill made of the uploaded files (several for stitched photos) and answer with 202,
+// or with the processed bill when ?wait=true
+async function queueBill(req, res, files) {
+  const removeUploads = () => files.forEach(file => removeFile(file.path));
+  if (processingQueue.isFull()) {
+    removeUploads();
+    console.warn('⏳ Processing queue full, rejecting upload');
+    return sendQueueFull(res, processingQueue.getRetryAfter());
+  }
+
+  try {
+    const bill = await createBillFromUpload(files[0], req, { parts: files.length > 1 ? files : [] });
+    const queuePosition = processingQueue.enqueue(bill._id);
+
+    if (req.query.wait !== 'true') {
+      return res.status(202).json({
+        success: true,
+        data: {
+          id: bill._id,
+          fileName: bill.fileName,
+          processingStage: bill.processingStage,
+          queuePosition,
+          statusUrl: `/api/bills/${bill._id}/status`
+        }
+      });
+    }
+
+    const { bill: processed, error } = await processingQueue.waitFor(bill._id);
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: toBillResponse(processed),
+      metadata: {
+        mode: billProcessor.mode
+      }
+    });
+  } catch (error) {
+    if (error.code === 'QUEUE_FULL') {
+      removeUploads();
+      return sendQueueFull(res, error.retryAfter);
+    }
+
+    console.error('❌ Bill processing failed:', error.message);
+    const hints = error.quality ? qualityService.retakeHints(error.quality) : [];
+    res.status(['NO_TEXT_FOUND', 'POOR_IMAGE_QUALITY', 'STITCH_IMAGES_ONLY'].includes(error.code) ? 422 : 500).json({
+      success: false,
+      error: error.message,
+      code: error.code || 'PROCESSING_FAILED',
+      ...(error.quality && { quality: error.quality }),
+      suggestions: hints.length > 0 ? hints : [
+        'Ensure the image is clear and well-lit',
+        'Make sure the bill/receipt is fully visible',
+        'Try with a JPG or PNG image format'
+      ]
+    });
+  }
+}
+
+const billController = {
+  // POST /api/bills/process
+  // Returns 202 with the bill id straight away, ?wait=true keeps the request open until processing ends
+  processBill: (req, res) => {
+    console.log(`📤 Received bill: ${req.file.originalname} (${req.file.size} bytes)`);
+    return queueBill(req, res, [req.file]);
+  },
+
+  // POST /api/bills/stitch
+  // Ordered photos of one long receipt (field: billImages), read and verified as a single bill
+  processStitched: async (req, res) => {
+    const files = req.files;
+    const reject = (status, error, code) => {
+      files.forEach(file => removeFile(file.path));
+      return res.status(status).json({ success: false, error, code });
+    };
+
+    if (files.length < 2 || files.length > MAX_STITCH_PARTS) {
+      return reject(400, `Upload between 2 and ${MAX_STITCH_PARTS} photos of the receipt, top to bottom`, 'INVALID_PART_COUNT');
+    }
+    for (const file of files) {
+      if ((await documentService.detectType(file.path)) !== 'image') {
+        return reject(400, `${file.originalname} is not a photo, only photos can be stitched`, 'STITCH_IMAGES_ONLY');
+      }
+    }
+
+    console.log(`📤 Received ${files.length} photos of one receipt: ${files.map(file => file.originalname).join(', ')}`);
+    return queueBill(req, res, files);
+  },
+
+  // POST /api/bills/quality
+  // Checks a photo without processing or storing it, so the upload screen can ask for a retake first
+  checkQuality: async (req, res) => {
+    try {
+      if ((await documentService.detectType(req.file.path)) !== 'image') {
+        return res.json({
+          success: true,
+          data: { checked: false, usable: true, issues: [], hints: [], message: 'PDF and TIFF documents are not photo-checked' }
+        });
+      }
+
+      const quality = await qualityService.assess(req.file.path);
+      res.json({
+        success: true,
+        data: { checked: true, ...quality, hints: qualityService.retakeHints(quality) }
+      });
+    } catch (error) {
+      console.error('❌ Quality check failed:', error.message);
+      res.status(422).json({
+        success: false,
+        error: 'The file could not be read as an image',
+        code: 'INVALID_IMAGE'
+      });
+    } finally {
+      removeFile(req.file.path);
+    }
+  },
+
+  // GET /api/bills/:id/status
+  getBillStatus: async (req, res) => {
+    try {
+      const bill = await billStore.findById(req.params.id);
+      if (!bill || bill.status === 'deleted') {
+        return res.status(404).json({
+          success: false,
+          error: 'Bill not found',
+          code: 'BILL_NOT_FOUND'
+        });
+      }
+
+      const finished = ['completed', 'failed'].includes(bill.processingStage);
+      res.json({
+        success: true,
+        data: {
+          id: bill._id,
+          processingStage: bill.processingStage,
+          finished,
+          queuePosition: processingQueue.getPosition(bill._id),
+          error: bill.processingError || null,
+          quality: bill.quality || null,
+          result: bill.processingStage === 'completed' ? toBillResponse(bill) : null
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to load bill status:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load bill status',
+        code: 'STATUS_FAILED'
+      });
+    }
+  },
+
+  // GET /api/bills/:id/events
+  // Server-Sent Events stream of processing progress, closed once the bill completes or fails
+  streamProgress: async (req, res) => {
+    try {
+      const bill = await billStore.findById(req.params.id);
+      if (!bill || bill.status === 'deleted') {
+        return res.status(404).json({
+          success: false,
+          error: 'Bill not found',
+          code: 'BILL_NOT_FOUND'
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.flushHeaders();
+
+      const send = (event) => {
+        if (res.writableEnded) return;
+        res.write(`event: progress\ndata: ${JSON.stringify(event)}\n\n`);
+        if (progressService.isFinal(event)) res.end();
+      };
+
+      // Bill finished before progress was recorded (e.g. after a restart)
+      const finished = ['completed', 'failed'].includes(bill.processingStage);
+      if (finished && progressService.getEvents(bill._id).length === 0) {
+        send({ billId: bill._id, stage: bill.processingStage, status: bill.processingStage === 'failed' ? 'error' : 'done' });
+        return;
+      }
+
+      const unsubscribe = progressService.subscribe(bill._id, send);
+      const keepAlive = setInterval(() => {
+        if (!res.writableEnded) res.write(': keep-alive\n\n');
+      }, 15000);
+
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+      });
+    } catch (error) {
+      console.error('❌ Failed to stream progress:', error.message);
+      if (res.headersSent) return res.end();
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stream bill progress',
+        code: 'PROGRESS_STREAM_FAILED'
+      });
+    }
+  },
+
+  // POST /api/bills/batch
+  // Every file is queued as its own bill: 202 with the status of each file (poll statusUrl or eventsUrl),
+  // or the processed bills with a combined summary when ?wait=true
+  // The batch is queued whole or answered with 503 when the queue has no room for it (queue.maxLength >= batch.maxFiles)
+  processBatch: async (req, res) => {
+    const files = req.files;
+    const startTime = Date.now();
+    const accepted = files.filter(file => !file.rejected);
+    console.log(`📤 Queueing batch of ${files.length} bills`);
+
+    const rejectBatch = () => {
+      files.forEach(file => removeFile(file.path));
+      console.warn(`⏳ Processing queue has no room for ${accepted.length} bills, rejecting batch`);
+      return sendQueueFull(res, processingQueue.getRetryAfter());
+    };
+    if (accepted.length > 0 && !processingQueue.hasRoomFor(accepted.length)) return rejectBatch();
+
+    try {
+      const results = [];
+      for (const [index, file] of files.entries()) {
+        results.push(await storeBatchFile(req, file, index));
+      }
+
+      // Other uploads may have taken the room while the bills were stored
+      const stored = results.filter(result => result.success);
+      if (!processingQueue.hasRoomFor(stored.length)) {
+        await Promise.all(stored.map(result => billStore.remove(result.billId)));
+        return rejectBatch();
+      }
+      stored.forEach(result => {
+        result.queuePosition = processingQueue.enqueue(result.billId);
+      });
+
+      if (req.query.wait !== 'true') {
+        console.log(`📥 Batch queued: ${stored.length}/${files.length} files`);
+        return res.status(stored.length > 0 ? 202 : 200).json({
+          success: true,
+          data: {
+            results,
+            summary: { totalFiles: results.length, queued: stored.length, failed: results.length - stored.length }
+          }
+        });
+      }
+
+      const processed = await Promise.all(results.map(result => (result.success ? waitForBatchFile(result) : result)));
+      const summary = summarizeBatch(processed);
+      summary.processingTime = formatDuration(Date.now() - startTime);
+      console.log(`✅ Batch completed: ${summary.processed}/${summary.totalFiles} processed, ${summary.invalidBills} invalid`);
+
+      res.json({
+        success: true,
+        data: { results: processed, summary }
+      });
+    } catch (error) {
+      console.error('❌ Batch processing failed:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to process batch',
+        code: 'BATCH_FAILED'
+      });
+    }
+  },
+
+  // GET /api/bills/history/:userId?
+  getBillHistory: async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit, 10) || 10;
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      // status is either a record status, a processing stage (of active bills) or 'all'
+      const status = req.query.status || 'active';
+      const filter = PROCESSING_STAGES.includes(status)
+        ? { status: 'active', processingStage: status }
+        : { status: status === 'all' ? null : status };
+
+      const { bills, total } = await billStore.find({
+        userId: req.params.userId,
+        ...filter,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        data: {
+          bills: bills.map(toHistoryEntry),
+          pagination: {
+            total,
+            limit,
+            offset,
+            hasMore: offset + bills.length < total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to load history:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load bill history',
+        code: 'HISTORY_FAILED'
+      });
+    }
+  },
+
+  // GET /api/bills/:id?layout=true
+  getBillById: async (req, res) => {
+    try {
+      const bill = await billStore.findById(req.params.id);
+      if (!bill || bill.status === 'deleted') {
+        return res.status(404).json({
+          success: false,
+          error: 'Bill not found',
+          code: 'BILL_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: toBillResponse(bill, { includeLayout: req.query.layout === 'true' })
+      });
+    } catch (error) {
+      console.error('❌ Failed to load bill:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load bill',
+        code: 'BILL_FETCH_FAILED'
+      });
+    }
+  },
+
+  // GET /api/bills/:id/image?variant=original|receipt&part=N
+  // The upload or the receipt cropped from it, for reviewers checking the crop
+  // (uploads are kept config.retention.imageHours, crops at least receiptHours)
+  // part picks one photo of a stitched receipt (1 = top)
+  getBillImage: async (req, res) => {
+    try {
+      const variant = req.query.variant || 'original';
+      if (!['original', 'receipt'].includes(variant)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid variant (original or receipt)',
+          code: 'INVALID_VARIANT'
+        });
+      }
+
+      const bill = await billStore.findById(req.params.id);
+      if (!bill || bill.status === 'deleted') {
+        return res.status(404).json({
+          success: false,
+          error: 'Bill not found',
+          code: 'BILL_NOT_FOUND'
+        });
+      }
+
+      const partPaths = bill.partPaths || [];
+      const part = req.query.part ? parseInt(req.query.part, 10) : null;
+      if (part !== null && !(part >= 1 && part <= Math.max(partPaths.length, 1))) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid part (1 to ${Math.max(partPaths.length, 1)})`,
+          code: 'INVALID_PART'
+        });
+      }
+
+      let imagePath = variant === 'receipt' ? bill.cropPath : bill.filePath;
+      if (partPaths.length > 1) {
+        const partPath = partPaths[(part || 1) - 1];
+        imagePath = variant === 'receipt' ? receiptDetector.cropPathFor(partPath) : partPath;
+      }
+      const removed = variant === 'receipt' ? bill.receiptDeletedAt : bill.imageDeletedAt;
+      if (!imagePath || removed || !fs.existsSync(imagePath)) {
+        return res.status(404).json({
+          success: false,
+          error: variant === 'receipt' ? 'No receipt crop stored for this bill' : 'The uploaded image has been removed',
+          code: 'IMAGE_NOT_FOUND'
+        });
+      }
+
+      res.sendFile(path.resolve(imagePath));
+    } catch (error) {
+      console.error('❌ Failed to load bill image:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load bill image',
+        code: 'IMAGE_FETCH_FAILED'
+      });
+    }
+  },
+
+  // GET /api/bills/:id/download?format=json|csv|pdf|xlsx
+  downloadReport: async (req, res) => {
+    try {
+      const format = (req.query.format || 'json').toLowerCase();
+      if (format !== 'json' && !reportService.isSupported(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unsupported report format: ${format}`,
+          code: 'INVALID_FORMAT'
+        });
+      }
+
+      const bill = await billStore.findById(req.params.id);
+      if (!bill || bill.status === 'deleted') {
+        return res.status(404).json({
+          success: false,
+          error: 'Bill not found',
+          code: 'BILL_NOT_FOUND'
+        });
+      }
+
+      if (format !== 'json' && bill.processingStage !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'Bill has not finished processing',
+          code: 'BILL_NOT_PROCESSED',
+          processingStage: bill.processingStage
+        });
+      }
+
+      await billStore.update(bill._id, {
+        downloadCount: (bill.downloadCount || 0) + 1,
+        lastDownloaded: new Date()
+      });
+
+      if (format !== 'json') {
+        const report = await reportService.generate(bill, format);
+        res.setHeader('Content-Type', report.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="bill-report-${bill._id}.${report.extension}"`);
+        return res.send(report.buffer);
+      }
+
+      res.setHeader('Content-Disposition', `attachment; filename="bill-report-${bill._id}.json"`);
+      res.json({
+        ...toBillResponse(bill),
+        team: 'Cyber Comets',
+        generatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Report download failed:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate report',
+        code: 'REPORT_FAILED'
+      });
+    }
+  },
+
+  // DELETE /api/bills/:id?permanent=true|false
+  deleteBill: async (req, res) => {
+    try {
+      const permanent = req.query.permanent === 'true';
+      const bill = await billStore.findById(req.params.id);
+      if (!bill || (!permanent && bill.status === 'deleted')) {
+        return res.status(404).json({
+          success: false,
+          error: 'Bill not found',
+          code: 'BILL_NOT_FOUND'
+        });
+      }
+
+      if (permanent) {
+        await retentionService.removeBill(bill);
+      } else {
+        await billStore.update(bill._id, { status: 'deleted', deletedAt: new Date() });
+        await ocrCache.forgetBills([bill._id]);
+      }
+
+      console.log(`🗑️ Bill ${bill._id} ${permanent ? 'permanently deleted' : 'marked as deleted'}`);
+      res.json({
+        success: true,
+        data: { id: bill._id, permanent }
+      });
+    } catch (error) {
+      console.error('❌ Failed to delete bill:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete bill',
+        code: 'DELETE_FAILED'
+      });
+    }
+  },
+
+  // POST /api/bills/:id/confirm { values: { 'items[0].price': 95, total: 430 } }
+  // Numbers of a processed bill confirmed or corrected by the user (validation.needsConfirmation lists the
+  // ones handwritten bills ask about), the bill is validated again with them
+  confirmValues: async (req, res) => {
+    try {
+      const bill = await billStore.findById(req.params.id);
+      if (!bill || bill.status === 'deleted') {
+        return res.status(404).json({
+          success: false,
+          error: 'Bill not found',
+          code: 'BILL_NOT_FOUND'
+        });
+      }
+
+      if (bill.processingStage !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: `Bill is ${bill.processingStage}, numbers can be confirmed once processing completes`,
+          code: 'BILL_NOT_PROCESSED'
+        });
+      }
+
+      const values = Object.fromEntries(Object.entries(req.body.values).map(([field, value]) => [field, Number(value)]));
+      const missingItem = Object.keys(values).find(field => {
+        const item = field.match(/^items\[(\d+)\]/);
+        return item && Number(item[1]) >= bill.billData.items.length;
+      });
+      if (missingItem) {
+        return res.status(400).json({
+          success: false,
+          error: `The bill has no item for ${missingItem}`,
+          code: 'INVALID_CONFIRMATION'
+        });
+      }
+
+      const billData = billParser.confirmValues(bill.billData, values);
+      const einvoice = bill.einvoice?.found && bill.einvoice.data && bill.ocrText
+        ? einvoiceService.recheck(bill.einvoice, billData, bill.ocrText)
+        : bill.einvoice;
+      const validation = validationService.validateBill(billData, { einvoice });
+      const updated = await billStore.update(bill._id, { billData, validation, einvoice });
+
+      console.log(`✔️ ${Object.keys(values).length} number(s) confirmed on bill ${bill._id}`);
+      res.json({
+        success: true,
+        data: toBillResponse(updated)
+      });
+    } catch (error) {
+      console.error('❌ Failed to confirm bill numbers:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to confirm bill numbers',
+        code: 'CONFIRMATION_FAILED'
+      });
+    }
+  },
+
+  // POST /api/bills/:id/archive
+  archiveBill: (req, res) => changeBillStatus(req, res, {
+    from: ['active'],
+    changes: { status: 'archived', archivedAt: new Date() },
+    action: 'archived'
+  }),
+
+  // POST /api/bills/:id/restore (archived or soft-deleted bills)
+  restoreBill: (req, res) => changeBillStatus(req, res, {
+    from: ['archived', 'deleted'],
+    changes: { status: 'active', archivedAt: null, deletedAt: null },
+    action: 'restored'
+  }),
+
+  // GET /api/bills/stats/overview?from=&to=&period=day|week|month&timezone=&userId=
+  getStatistics: async (req, res) => {
+    try {
+      const { from, to, userId } = req.query;
+      const period = req.query.period || 'day';
+      const timezone = req.query.timezone || config.stats.timezone;
+
+      // A date-only `to` covers that whole day
+      const rangeEnd = to ? new Date(to) : undefined;
+      if (rangeEnd && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        rangeEnd.setUTCDate(rangeEnd.getUTCDate() + 1);
+      }
+
+      const [statistics, recentActivity] = await Promise.all([
+        billStore.getStatistics({
+          from: from ? new Date(from) : undefined,
+          to: rangeEnd,
+          userId,
+          period,
+          timezone
+        }),
+        billStore.getRecentActivity()
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          range: {
+            from: from ? new Date(from).toISOString() : null,
+            to: rangeEnd ? rangeEnd.toISOString() : null,
+            period,
+            timezone
+          },
+          ...statistics.totals,
+          currency: '₹',
+          byStore: statistics.byStore,
+          byPeriod: statistics.byPeriod,
+          byErrorType: statistics.byErrorType,
+          byWarningType: statistics.byWarningType,
+          bySeverity: statistics.bySeverity,
+          recentActivity
+        }
+      });
+    } catch (error) {
+      console.error('❌ Failed to compute statistics:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to compute statistics',
+        code: 'STATS_FAILED'
+      });
+    }
+  },
+
+  // GET /api/bills/health
+  healthCheck: (req, res) => {
+    res.json({
+      success: true,
+      status: 'OK',
+      service: 'Smart Bill Verifier API',
+      pipeline: billProcessor.getInfo(),
+      queue: processingQueue.getStats(),
+      retention: retentionService.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+  },
+
+  // GET /api/bills/file-types
+  // Accepted upload types, so the client's file picker and checks follow the server's list
+  getFileTypes: (req, res) => {
+    res.json({
+      success: true,
+      data: { ...describeFileTypes(), maxFileSize: MAX_FILE_SIZE }
+    });
+  },
+
+  // GET /api/bills/docs
+  getDocumentation: (req, res) => {
+    res.json({
+      success: true,
+      documentation: {
+        title: 'Smart Bill Verifier API',
+        version: '2.0.0',
+        description: 'OCR-powered bill verification API for Smart India Hackathon 2025',
+        team: 'Cyber Comets',
+        problemStatement: '25132',
+        endpoints: [
+          { method: 'POST', path: '/api/bills/process', description: 'Queue a bill photo (JPEG, PNG, GIF, WebP, HEIC), TIFF scan or PDF invoice for verification; the file type is checked from its content (field: billImage, optional languages e.g. hin+eng, optional writing=auto|printed|handwritten, ?wait=true to wait for the result)' },
+          { method: 'POST', path: '/api/bills/stitch', description: `Queue 2 to ${MAX_STITCH_PARTS} overlapping photos of one long receipt, top to bottom, as a single bill (field: billImages, same options as /process)` },
+          { method: 'POST', path: '/api/bills/quality', description: 'Check photo quality (blur, exposure, glare, resolution, framing) with retake hints, nothing is stored (field: billImage)' },
+          { method: 'GET', path: '/api/bills/:id/status', description: 'Processing stage of a queued bill' },
+          { method: 'GET', path: '/api/bills/:id/events', description: 'Live processing progress (Server-Sent Events)' },
+          { method: 'POST', path: '/api/bills/batch', description: `Queue up to ${MAX_BATCH_FILES} bill images as separate bills (field: billImages, ?wait=true to wait for the results)` },
+          { method: 'GET', path: '/api/bills/history/:userId?', description: 'Bill history (limit, offset, status=active|archived|deleted|all or a processing stage)' },
+          { method: 'GET', path: '/api/bills/stats/overview', description: 'Statistics with breakdowns by store, period, error type and severity (from, to, period=day|week|month, timezone, userId)' },
+          { method: 'GET', path: '/api/bills/:id', description: 'Get a processed bill (layout=true adds the OCR layout with word boxes)' },
+          { method: 'GET', path: '/api/bills/:id/image', description: 'The uploaded image or the receipt cropped from it (variant=original|receipt, part=N for a photo of a stitched receipt)' },
+          { method: 'POST', path: '/api/bills/:id/confirm', description: 'Confirm or correct numbers of a processed bill, e.g. the low-confidence handwritten ones in validation.needsConfirmation ({ values: { "items[0].price": 95, "total": 430 } }); the bill is validated again' },
+          { method: 'GET', path: '/api/bills/:id/download', description: 'Download a verification report (format=json|csv|pdf|xlsx)' },
+          { method: 'POST', path: '/api/bills/:id/archive', description: 'Archive a bill' },
+          { method: 'POST', path: '/api/bills/:id/restore', description: 'Restore an archived or deleted bill' },
+          { method: 'DELETE', path: '/api/bills/:id', description: `Delete a bill (purged after ${config.retention.deletedDays || 'no'} days, permanent=true removes it immediately)` },
+          { method: 'GET', path: '/api/bills/file-types', description: 'Accepted upload types (HEIC, WebP and single-page TIFF are converted on upload)' },
+          { method: 'GET', path: '/api/bills/health', description: 'API health' }
+        ]
+      }
+    });
+  }
+};
+
+module.exports = { billController, upload, uploadMultiple, uploadBatch };
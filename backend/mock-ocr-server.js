@@ -0,0 +1,65 @@
+// Local stand-in for an HTTP OCR server, used to test the OCR provider chain offline
+// Speaks the protocol of services/ocrProviders/httpProvider.js and answers with the sample receipts
+//
+//   node mock-ocr-server.js [--port 5100] [--confidence 40] [--fail-rate 0.5] [--delay 500]
+//   OCR_PROVIDERS=http,tesseract node app.js
+//
+// --confidence forces the reported confidence (test low-confidence fallback),
+// --fail-rate answers that share of requests with HTTP 500 (test error fallback).
+// The same settings can be passed per request as query parameters (?confidence=40&fail=true).
+
+const express = require('express');
+const multer = require('multer');
+const MockProvider = require('./services/ocrProviders/mockProvider');
+
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? parseFloat(process.argv[index + 1]) : fallback;
+};
+
+const settings = {
+  port: option('port', parseInt(process.env.MOCK_OCR_PORT, 10) || 5100),
+  confidence: option('confidence', null),
+  failRate: option('fail-rate', 0),
+  delay: option('delay', 0)
+};
+
+const app = express();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+const provider = new MockProvider();
+let requestCount = 0;
+
+app.post('/ocr', upload.single('image'), async (req, res) => {
+  const requestId = ++requestCount;
+  const confidence = req.query.confidence !== undefined ? parseFloat(req.query.confidence) : settings.confidence;
+  const fail = req.query.fail === 'true' || Math.random() < settings.failRate;
+
+  if (!req.file) {
+    return res.status(400).json({ error: 'Missing image field' });
+  }
+
+  await new Promise(resolve => setTimeout(resolve, settings.delay));
+  if (fail) {
+    console.log(`❌ #${requestId} simulated failure (${req.file.size} bytes)`);
+    return res.status(500).json({ error: 'Simulated OCR failure' });
+  }
+
+  const result = await provider.extractText(req.file.buffer, { handwriting: req.body.handwriting === 'true' });
+  const reported = confidence !== null && !isNaN(confidence) ? confidence : result.confidence;
+  console.log(`✅ #${requestId} ${req.file.size} bytes → ${result.text.split('\n').length} lines, ${reported.toFixed(1)}%`);
+
+  res.json({
+    text: result.text,
+    confidence: reported,
+    languages: result.languages
+  });
+});
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'OK', settings, requests: requestCount });
+});
+
+app.listen(settings.port, () => {
+  console.log(`🎭 Mock OCR server on http://localhost:${settings.port}/ocr`);
+  console.log(`   confidence: ${settings.confidence ?? 'sample'}, fail rate: ${settings.failRate}, delay: ${settings.delay}ms`);
+});
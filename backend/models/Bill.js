@@ -19,16 +19,46 @@ const BillSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  partPaths: [String], // Every photo of a stitched receipt in order, filePath is the first
+  convertedFrom: String, // Uploaded format when the file was converted on upload (heic, webp, tiff)
   
-  // OCR Data
+  // OCR Data (filled in once processing finishes)
   ocrText: {
     type: String,
-    required: true
+    default: ''
   },
   ocrConfidence: {
     type: Number,
     default: 0
   },
+  ocrLanguages: [String], // Tesseract language packs used, e.g. ['hin', 'eng']
+  ocrScripts: [{
+    script: String,
+    share: Number
+  }],
+  requestedLanguages: [String], // Set when the upload asked for specific languages
+  requestedWriting: {
+    type: String,
+    enum: ['auto', 'printed', 'handwritten'] // unset uses config.handwriting.mode
+  },
+  ocrLayout: mongoose.Schema.Types.Mixed, // Rows with word boxes, see utils/layout.js
+  ocrProvider: String, // OCR provider that produced the text, 'mixed' when pages differ
+  ocrProviderAttempts: mongoose.Schema.Types.Mixed, // Every provider tried: { provider, confidence } or { provider, error }
+  ocrPreprocessing: mongoose.Schema.Types.Mixed, // Winning image variant, confidence of each pass, corrections
+  documentType: {
+    type: String,
+    enum: ['image', 'pdf', 'tiff'],
+    default: 'image'
+  },
+  ocrPages: mongoose.Schema.Types.Mixed, // Per page: number, source (pdf-text or tesseract), confidence, lines
+  contentHash: String, // SHA-256 of the uploaded file
+  ocrCache: mongoose.Schema.Types.Mixed, // { hit, match: 'exact', key, cachedAt } when OCR was reused
+  quality: mongoose.Schema.Types.Mixed, // Photo quality check: usable, issues with retake hints, metrics
+  cropPath: String, // Squared-up receipt cut out of the photo, OCR reads this instead of filePath
+  receiptDetection: mongoose.Schema.Types.Mixed, // found, corners in upload pixels, areaShare, method, width, height
+  stitching: mongoose.Schema.Types.Mixed, // Stitched photos: overlapping rows dropped between each pair, warnings
+  einvoice: mongoose.Schema.Types.Mixed, // Decoded GST e-invoice QR: data, signature status, field-by-field comparison
+  writing: mongoose.Schema.Types.Mixed, // Printed or handwritten: requested mode, detection signals, handwriting recognizer used
   
   // Parsed Bill Data
   billData: {
@@ -48,6 +78,14 @@ const BillSchema = new mongoose.Schema({
       type: String,
       default: ''
     },
+    sellerGstin: {
+      type: String,
+      default: ''
+    },
+    buyerGstin: {
+      type: String,
+      default: ''
+    },
     items: [{
       name: {
         type: String,
@@ -64,7 +102,8 @@ const BillSchema = new mongoose.Schema({
       price: {
         type: Number,
         required: true
-      }
+      },
+      unit: String // Written with the quantity on handwritten bills (kg, l, pcs)
     }],
     subtotal: {
       type: Number,
@@ -78,6 +117,16 @@ const BillSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // GST as printed: CGST + SGST/UTGST within a state, IGST across states, cess on top (utils/taxComponents.js)
+    taxComponents: [{
+      type: {
+        type: String,
+        enum: ['CGST', 'SGST', 'UTGST', 'IGST', 'CESS', 'GST', 'VAT', 'TAX']
+      },
+      rate: Number,
+      taxableValue: Number,
+      amount: Number
+    }],
     discount: {
       type: Number,
       default: 0
@@ -89,7 +138,19 @@ const BillSchema = new mongoose.Schema({
     currency: {
       type: String,
       default: '₹'
-    }
+    },
+    language: {
+      type: String,
+      default: ''
+    },
+    handwritten: {
+      type: Boolean,
+      default: false
+    },
+    // Numbers confirmed or corrected by the user: field, value, previous, confirmedAt
+    confirmed: mongoose.Schema.Types.Mixed,
+    // Per field: the layout rows, words and bounding box the value was read from
+    provenance: mongoose.Schema.Types.Mixed
   },
   
   // Validation Results
@@ -101,7 +162,11 @@ const BillSchema = new mongoose.Schema({
     errors: [{
       type: {
         type: String,
-        enum: ['MATH_ERROR', 'TAX_ERROR', 'TOTAL_ERROR', 'DATE_ERROR', 'PRICE_ERROR']
+        enum: [
+          'MATH_ERROR', 'TAX_ERROR', 'TOTAL_ERROR', 'DATE_ERROR', 'PRICE_ERROR', 'VALIDATION_ERROR',
+          'EINVOICE_SIGNATURE_INVALID', 'EINVOICE_MISMATCH', 'GSTIN_INVALID', 'GSTIN_STATE_MISMATCH',
+          'TAX_SPLIT_ERROR', 'TAX_SUPPLY_ERROR'
+        ]
       },
       message: String,
       severity: {
@@ -116,7 +181,13 @@ const BillSchema = new mongoose.Schema({
     warnings: [{
       type: {
         type: String,
-        enum: ['FUTURE_DATE', 'OLD_DATE', 'DUPLICATE_ITEMS', 'PRICE_OUTLIER', 'SUSPICIOUS_PATTERN']
+        enum: [
+          'FUTURE_DATE', 'OLD_DATE', 'DUPLICATE_ITEMS', 'PRICE_OUTLIER', 'SUSPICIOUS_PATTERN',
+          'EINVOICE_SIGNATURE_UNVERIFIED', 'EINVOICE_FIELD_NOT_FOUND', 'LOW_CONFIDENCE_NUMBER',
+          'GSTIN_MISSING',
+          // Checks that could not complete are reported as warnings of their error type
+          'MATH_ERROR', 'TAX_ERROR', 'TOTAL_ERROR', 'DATE_ERROR'
+        ]
       },
       message: String,
       severity: {
@@ -132,6 +203,12 @@ const BillSchema = new mongoose.Schema({
       max: 100,
       default: 0
     },
+    discrepancyAmount: {
+      type: Number,
+      default: 0
+    },
+    // Low-confidence handwritten numbers waiting for the user: field, label, value, confidence
+    needsConfirmation: mongoose.Schema.Types.Mixed,
     algorithmResults: {
       mathVerification: Boolean,
       taxValidation: Boolean,
@@ -151,6 +228,10 @@ const BillSchema = new mongoose.Schema({
     enum: ['uploaded', 'ocr_processing', 'parsing', 'validating', 'completed', 'failed'],
     default: 'uploaded'
   },
+  processingError: {
+    code: String,
+    message: String
+  },
   
   // User Information (for future user management)
   userId: {
@@ -184,7 +265,14 @@ const BillSchema = new mongoose.Schema({
     type: String,
     enum: ['active', 'archived', 'deleted'],
     default: 'active'
-  }
+  },
+  archivedAt: Date,
+  deletedAt: Date,
+  
+  // Retention (set when the scheduled purge removes data)
+  imageDeletedAt: Date,
+  receiptDeletedAt: Date, // Receipt crops can outlive the upload (config.retention.receiptHours)
+  ocrTextPurgedAt: Date
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -196,6 +284,7 @@ BillSchema.index({ userId: 1, createdAt: -1 });
 BillSchema.index({ processingStage: 1 });
 BillSchema.index({ 'validation.isValid': 1 });
 BillSchema.index({ createdAt: -1 });
+BillSchema.index({ status: 1, deletedAt: 1 });
 
 // Virtual for formatted file size
 BillSchema.virtual('formattedFileSize').get(function() {
@@ -222,15 +311,58 @@ BillSchema.pre('save', function(next) {
 });
 
 // Static methods
-BillSchema.statics.getStatistics = function() {
+// Overview figures for the statistics endpoint
+// match narrows the bills (date range, user), periodFormat is a $dateToString format for the time series
+BillSchema.statics.getStatistics = function({ match = {}, periodFormat = '%Y-%m-%d', timezone = 'UTC', storeLimit = 20 } = {}) {
+  const amount = { $ifNull: ['$billData.total', 0] };
+  const discrepancy = { $ifNull: ['$validation.discrepancyAmount', 0] };
+  const billFigures = {
+    bills: { $sum: 1 },
+    validBills: { $sum: { $cond: ['$validation.isValid', 1, 0] } },
+    totalAmount: { $sum: amount },
+    totalDiscrepancy: { $sum: discrepancy }
+  };
+  const issueBreakdown = (field, groupBy) => [
+    { $unwind: `$validation.${field}` },
+    { $group: { _id: `$validation.${field}.${groupBy}`, count: { $sum: 1 }, bills: { $addToSet: '$_id' } } },
+    { $project: { count: 1, bills: { $size: '$bills' } } },
+    { $sort: { count: -1 } }
+  ];
+
   return this.aggregate([
+    { $match: { status: { $ne: 'deleted' }, ...match } },
     {
-      $group: {
-        _id: null,
-        totalBills: { $sum: 1 },
-        validBills: { $sum: { $cond: ['$validation.isValid', 1, 0] } },
-        averageConfidence: { $avg: '$validation.confidenceScore' },
-        averageProcessingTime: { $avg: '$processingTime' }
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            ...billFigures,
+            completedBills: { $sum: { $cond: [{ $eq: ['$processingStage', 'completed'] }, 1, 0] } },
+            failedBills: { $sum: { $cond: [{ $eq: ['$processingStage', 'failed'] }, 1, 0] } },
+            billsWithDiscrepancy: { $sum: { $cond: [{ $gt: [discrepancy, 0] }, 1, 0] } },
+            averageConfidence: { $avg: '$validation.confidenceScore' },
+            averageProcessingTime: { $avg: '$processingTime' }
+          }
+        }],
+        byStore: [
+          {
+            $group: {
+              _id: { $toUpper: { $trim: { input: { $ifNull: ['$billData.storeName', ''] } } } },
+              storeName: { $first: '$billData.storeName' },
+              ...billFigures
+            }
+          },
+          { $sort: { bills: -1, totalAmount: -1 } },
+          { $limit: storeLimit }
+        ],
+        byPeriod: [
+          { $group: { _id: { $dateToString: { format: periodFormat, date: '$createdAt', timezone } }, ...billFigures } },
+          { $sort: { _id: 1 } }
+        ],
+        byErrorType: issueBreakdown('errors', 'type'),
+        byWarningType: issueBreakdown('warnings', 'type'),
+        errorSeverity: issueBreakdown('errors', 'severity'),
+        warningSeverity: issueBreakdown('warnings', 'severity')
       }
     }
   ]);
@@ -1,6 +1,10 @@
 const express = require('express');
+const fs = require('fs');
+const multer = require('multer');
 const rateLimit = require('express-rate-limit');
-const { billController, upload, uploadMultiple } = require('../controllers/billController');
+const { billController, upload, uploadMultiple, uploadBatch } = require('../controllers/billController');
+const { PERIODS } = require('../utils/statistics');
+const uploadService = require('../services/uploadService');
 
 const router = express.Router();
 
@@ -27,9 +31,17 @@ const uploadLimiter = rateLimit({
   }
 });
 
+const WRITING_MODES = ['auto', 'printed', 'handwritten'];
+const CONFIRMABLE_FIELD = /^(?:subtotal|tax|discount|total|items\[\d+\]\.(?:quantity|unitPrice|price))$/;
+
+const HISTORY_STATUSES = [
+  'active', 'archived', 'deleted', 'all',
+  'uploaded', 'ocr_processing', 'parsing', 'validating', 'completed', 'failed'
+];
+
 // Input validation middleware
 const validateProcessRequest = (req, res, next) => {
-  if (!req.file && !req.files) {
+  if (!req.file && (!req.files || req.files.length === 0)) {
     return res.status(400).json({
       success: false,
       error: 'No image file uploaded',
@@ -46,11 +58,49 @@ const validateProcessRequest = (req, res, next) => {
     });
   }
   
+  // OCR language override, Tesseract codes joined with + (e.g. hin+eng)
+  if (req.body.languages && !/^[a-z_]{3,}([+,][a-z_]{3,})*$/.test(req.body.languages)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid languages format (use Tesseract codes like hin+eng)',
+      code: 'INVALID_LANGUAGES'
+    });
+  }
+  
+  // Handwritten bill mode, auto-detected unless the upload chooses
+  if (req.body.writing && !WRITING_MODES.includes(req.body.writing)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid writing parameter (one of ${WRITING_MODES.join(', ')})`,
+      code: 'INVALID_WRITING'
+    });
+  }
+  
+  next();
+};
+
+// Numbers to confirm: { values: { 'items[0].price': 95, total: 430 } }
+const validateConfirmRequest = (req, res, next) => {
+  const { values } = req.body || {};
+  const entries = values && typeof values === 'object' && !Array.isArray(values) ? Object.entries(values) : [];
+  const invalid = entries.find(([field, value]) =>
+    !CONFIRMABLE_FIELD.test(field) || value === null || value === '' || !isFinite(value) || Number(value) < 0);
+
+  if (entries.length === 0 || invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+        ? `Invalid value for ${invalid[0]} (fields: subtotal, tax, discount, total, items[N].quantity|unitPrice|price; values: numbers from 0)`
+        : 'No values to confirm',
+      code: 'INVALID_CONFIRMATION'
+    });
+  }
+  
   next();
 };
 
 const validateHistoryRequest = (req, res, next) => {
-  const { limit, offset } = req.query;
+  const { limit, offset, status } = req.query;
   
   if (limit && (isNaN(limit) || parseInt(limit) > 100)) {
     return res.status(400).json({
@@ -68,6 +118,49 @@ const validateHistoryRequest = (req, res, next) => {
     });
   }
   
+  if (status && !HISTORY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status parameter (one of ${HISTORY_STATUSES.join(', ')})`,
+      code: 'INVALID_STATUS'
+    });
+  }
+  
+  next();
+};
+
+const validateStatsRequest = (req, res, next) => {
+  const { from, to, period, timezone } = req.query;
+  const isDate = (value) => !isNaN(new Date(value).getTime());
+
+  if ((from && !isDate(from)) || (to && !isDate(to)) || (from && to && new Date(from) > new Date(to))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date range (use ISO dates, from before to)',
+      code: 'INVALID_DATE_RANGE'
+    });
+  }
+  
+  if (period && !PERIODS.includes(period)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid period parameter (one of ${PERIODS.join(', ')})`,
+      code: 'INVALID_PERIOD'
+    });
+  }
+  
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: timezone });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timezone parameter',
+        code: 'INVALID_TIMEZONE'
+      });
+    }
+  }
+  
   next();
 };
 
@@ -117,4 +210,84 @@ const handleMulterError = (error, req, res, next) => {
       }
     }
     
-    return res.status(400).json
\ No newline at end of file
+    return res.status(error.code === 'UNSUPPORTED_FILE_TYPE' ? 415 : 400).json({
+      success: false,
+      error: error.message || 'File upload error',
+      code: error.code || 'INVALID_FILE'
+    });
+  }
+  
+  next();
+};
+
+// Why an upload failed inspection: { status, error, code }
+const uploadRejection = (error) => ({
+  status: error.status || 500,
+  error: error.status ? error.message : 'Failed to read the uploaded file',
+  code: error.status ? error.code : 'UPLOAD_INSPECTION_FAILED'
+});
+
+// Real file type of every upload (magic bytes, hidden content), HEIC/WebP/TIFF photos converted
+const inspectUploads = async (req, res, next) => {
+  const files = req.file ? [req.file] : req.files;
+  try {
+    for (const file of files) {
+      await uploadService.inspect(file);
+    }
+    next();
+  } catch (error) {
+    files.forEach(file => fs.unlink(file.path, () => {}));
+    console.warn('🚫 Upload rejected:', error.message);
+    const { status, ...rejection } = uploadRejection(error);
+    res.status(status).json({ success: false, ...rejection });
+  }
+};
+
+// Same checks for a batch, where a file that fails them is marked as rejected and the others go on
+const inspectBatchUploads = async (req, res, next) => {
+  for (const file of req.files) {
+    // Already rejected by its name or mimetype (batchFileFilter)
+    if (file.rejected) {
+      fs.unlink(file.path, () => {});
+      continue;
+    }
+    try {
+      await uploadService.inspect(file);
+    } catch (error) {
+      fs.unlink(file.path, () => {});
+      console.warn('🚫 Batch file rejected:', error.message);
+      file.rejected = uploadRejection(error);
+    }
+  }
+  next();
+};
+
+router.use(generalLimiter);
+
+// Service info
+router.get('/health', billController.healthCheck);
+router.get('/docs', billController.getDocumentation);
+router.get('/file-types', billController.getFileTypes);
+
+// Processing
+router.post('/process', uploadLimiter, upload, handleMulterError, validateProcessRequest, inspectUploads, billController.processBill);
+router.post('/stitch', uploadLimiter, uploadMultiple, handleMulterError, validateProcessRequest, inspectUploads, billController.processStitched);
+router.post('/quality', upload, handleMulterError, validateProcessRequest, inspectUploads, billController.checkQuality);
+router.post('/batch', uploadLimiter, uploadBatch, handleMulterError, validateProcessRequest, inspectBatchUploads, billController.processBatch);
+
+// History and statistics
+router.get('/history/:userId?', validateHistoryRequest, billController.getBillHistory);
+router.get('/stats/overview', validateStatsRequest, billController.getStatistics);
+
+// Individual bills
+router.get('/:id', validateBillId, billController.getBillById);
+router.get('/:id/status', validateBillId, billController.getBillStatus);
+router.get('/:id/events', validateBillId, billController.streamProgress);
+router.get('/:id/image', validateBillId, billController.getBillImage);
+router.get('/:id/download', validateBillId, billController.downloadReport);
+router.post('/:id/confirm', validateBillId, validateConfirmRequest, billController.confirmValues);
+router.post('/:id/archive', validateBillId, billController.archiveBill);
+router.post('/:id/restore', validateBillId, billController.restoreBill);
+router.delete('/:id', validateBillId, billController.deleteBill);
+
+module.exports = router;
@@ -1,9 +1,40 @@
+const { detectScripts } = require('../utils/scripts');
+const { unionBbox, lineFromText, layoutFromText, layoutToText } = require('../utils/layout');
+const { splitHandwrittenRow } = require('../utils/handwriting');
+const { findGstins, locateAddress } = require('../utils/gstin');
+const { TAXABLE_VALUE, componentType, dropSummaries, slabRate } = require('../utils/taxComponents');
+
+// Bump when parsing rules change output; invalidates cached parse results (services/ocrCache.js)
+const PARSER_VERSION = 6;
+
+// Handwritten rows: labels of totals and adjustments (English, Hinglish and Hindi), rows that are never items
+const HANDWRITTEN_TOTAL = /\b(?:total|tot|grand|net|kul|jod|joda|yog)\b|कुल|योग|जोड़|टोटल/i;
+const HANDWRITTEN_DISCOUNT = /\b(?:discount|less|kam|chhoot|chhut|off)\b|छूट|कम/i;
+const HANDWRITTEN_TAX = /\b(?:tax|gst|cgst|sgst|igst|vat)\b/i;
+const HANDWRITTEN_PAYMENT = /\b(?:advance|paid|jama|baki|baaki|balance|due|udhar|cash)\b|जमा|बाकी|उधार/i;
+const HANDWRITTEN_NOT_ITEM = /\b(?:mob|mobile|ph|phone|date|dt|dated|gstin|bill no|invoice no)\b|दिनांक|\d{10}/i;
+const UNDERLINE_ROW = /^[\s_\-=~.]{3,}$/;
+
+// Seller and buyer blocks of a tax invoice header
+const BUYER_LABEL = /\b(?:buyer|customer|bill(?:ed)?\s*to|ship(?:ped)?\s*to|sold\s*to|consignee|recipient|receiver|purchaser|party)\b/i;
+const SELLER_LABEL = /\b(?:seller|supplier|sold\s*by|vendor)\b/i;
+const BUYER_BLOCK_ROWS = 4; // rows after a buyer heading that still describe the buyer
+
+// Month names as printed in "05 Mar 2026" or "5 March 2026"
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Bill number after its label: "Bill No: SM-926", "Invoice No. INV/2026/0042", "Receipt #: GS12", "No: 4411"
+// The No / No. / # / Number label is skipped, the number itself must hold a digit (not "Bill To", "Bill Date")
+const BILL_NUMBER = /(?:\b(?:bill|invoice|inv|receipt|voucher)\b\.?\s*(?:no\b\.?|number\b|num\b|#)?|(?:^|\s)(?:no\b\.?|#))\s*[:.\-#]?\s*([A-Z0-9][A-Z0-9/\-]*)/gi;
+const NOT_ADDRESS = /\b(?:bill|invoice|receipt|date|dt|ph|phone|tel|mob|mobile|gstin)\b|\bno\b\.?|#/i;
+
 class BillParser {
   constructor() {
+    this.version = PARSER_VERSION;
     this.currencySymbols = ['₹', 'Rs', 'INR', '$', '€', '£'];
     this.datePatterns = [
-      /(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})/g,
-      /(\d{2,4})[\/\-](\d{1,2})[\/\-](\d{1,2})/g,
+      /(?<!\d)(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})(?!\d)/g,
+      /(?<!\d)(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})(?!\d)/g,
       /(\d{1,2})\s*(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s*(\d{2,4})/gi,
       /(\d{1,2})\s*(January|February|March|April|May|June|July|August|September|October|November|December)\s*(\d{2,4})/gi
     ];
@@ -16,30 +47,45 @@ class BillParser {
   }
 
   // Main parsing function
-  parseBillData(ocrText) {
+  // Takes the OCR layout (rows with their columns, see utils/layout.js) or plain text
+  // handwritten reads items and totals the way they are written by hand (no ₹ prices, circled totals)
+  parseBillData(ocr, { handwritten = false } = {}) {
     console.log('🔄 Starting bill parsing...');
     const startTime = Date.now();
 
     try {
-      const lines = this.preprocessText(ocrText);
+      const layout = typeof ocr === 'string' ? layoutFromText(ocr) : ocr;
+      const ocrText = layoutToText(layout);
+      const rows = layout.lines;
+      const lines = this.preprocessText(rows);
+      const trace = { items: [], tax: [] }; // row indexes the values were read from
       
       const billData = {
         date: this.extractDate(lines),
         storeName: this.extractStoreName(lines),
-        storeAddress: this.extractStoreAddress(lines),
+        storeAddress: this.extractStoreAddress(lines, trace),
         billNumber: this.extractBillNumber(lines),
-        items: this.extractItems(lines),
+        ...this.extractGstins(lines, trace),
+        items: handwritten ? this.extractHandwrittenItems(rows, trace) : this.extractItems(rows, trace),
         subtotal: 0,
         tax: 0,
         taxRate: 0,
+        taxComponents: [],
         discount: 0,
         total: 0,
         currency: this.detectCurrency(ocrText),
+        language: this.detectLanguage(ocrText),
+        handwritten,
         rawText: ocrText
       };
 
       // Extract financial totals
-      this.extractFinancialTotals(lines, billData);
+      if (handwritten) {
+        this.extractHandwrittenTotals(rows, billData, trace);
+      } else {
+        this.extractFinancialTotals(rows, billData, trace, this.findTotalsPageStart(rows));
+      }
+      billData.provenance = this.buildProvenance(rows, lines, billData, trace);
       
       // Calculate derived values
       this.calculateDerivedValues(billData);
@@ -55,11 +101,10 @@ class BillParser {
     }
   }
 
-  // Preprocess OCR text into clean lines
-  preprocessText(text) {
-    return text
-      .split('\n')
-      .map(line => line.trim())
+  // Flatten layout rows into single-spaced lines for keyword matching
+  preprocessText(rows) {
+    return rows
+      .map(row => row.text.trim())
       .filter(line => line.length > 0)
       .map(line => line.replace(/\s+/g, ' '));
   }
@@ -94,23 +139,24 @@ class BillParser {
     for (const pattern of this.datePatterns) {
       const matches = [...line.matchAll(pattern)];
       if (matches.length > 0) {
-        return this.formatDate(matches[0][0]);
+        return this.formatDate(matches[0]);
       }
     }
     return null;
   }
 
   // Format date to standard format
-  formatDate(dateString) {
-    try {
-      const date = new Date(dateString);
-      if (!isNaN(date.getTime())) {
-        return date.toISOString().split('T')[0];
-      }
-      return dateString;
-    } catch {
-      return dateString;
-    }
+  // Built from the matched day, month and year (no Date round-trip, which shifts the day in time zones ahead of UTC)
+  // Numeric dates are day first as printed on Indian bills, month first only when the middle part cannot be a month
+  formatDate(match) {
+    const [text, first, second, third] = match;
+    let [year, month, day] = first.length === 4 ? [first, second, third] : [third, second, first];
+    if (/[a-z]/i.test(month)) month = MONTH_NAMES.indexOf(month.slice(0, 3).toLowerCase()) + 1;
+    if (Number(month) > 12 && Number(day) <= 12) [month, day] = [day, month];
+    if (year.length === 2) year = `20${year}`;
+
+    if (year.length !== 4 || Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return text;
+    return [year, String(month).padStart(2, '0'), String(day).padStart(2, '0')].join('-');
   }
 
   // Extract store name
@@ -140,25 +186,29 @@ class BillParser {
     return '';
   }
 
-  // Extract store address
-  extractStoreAddress(lines) {
+  // Extract store address, trace.storeAddress collects its rows
+  extractStoreAddress(lines, trace = {}) {
     const addressKeywords = ['address', 'add', 'location', 'street', 'road', 'avenue', 'pin', 'pincode'];
     
-    for (const line of lines) {
+    let index = lines.findIndex(line => {
       const lowerLine = line.toLowerCase();
-      if (addressKeywords.some(keyword => lowerLine.includes(keyword))) {
-        return line;
-      }
-    }
+      return addressKeywords.some(keyword => lowerLine.includes(keyword));
+    });
 
     // Look for lines that look like addresses (contain numbers and common address terms)
-    for (const line of lines) {
-      if (/\d+.*(?:street|road|avenue|lane|block|plot|house|building)/i.test(line)) {
-        return line;
-      }
+    if (index < 0) {
+      index = lines.findIndex(line => /\d+.*(?:street|road|avenue|lane|block|plot|house|building)/i.test(line));
     }
+    if (index < 0) return '';
 
-    return '';
+    // City, state and PIN code often continue on the next row
+    const next = lines[index + 1];
+    if (next && !locateAddress(lines[index]) && !NOT_ADDRESS.test(next) && locateAddress(next)) {
+      trace.storeAddress = [index, index + 1];
+      return `${lines[index]}, ${next}`;
+    }
+    trace.storeAddress = [index];
+    return lines[index];
   }
 
   // Extract bill number
@@ -169,15 +219,17 @@ class BillParser {
       const lowerLine = line.toLowerCase();
       
       if (billKeywords.some(keyword => lowerLine.includes(keyword))) {
-        // Extract alphanumeric code after keywords
-        const match = line.match(/(?:bill|invoice|receipt|no\.?|#)\s*:?\s*([A-Z0-9\-]+)/i);
-        if (match) return match[1];
+        // Extract the code after the keyword and its No / # label (never the GSTIN after "GST No")
+        const number = [...line.matchAll(BILL_NUMBER)]
+          .map(match => match[1].replace(/[/\-]+$/, ''))
+          .find(candidate => /\d/.test(candidate) && findGstins(candidate).length === 0);
+        if (number) return number;
       }
     }
 
     // Look for standalone alphanumeric codes
     for (const line of lines) {
-      if (/^[A-Z0-9\-]{3,15}$/.test(line.trim())) {
+      if (/^[A-Z0-9\-]{3,15}$/.test(line.trim()) && /\d/.test(line) && findGstins(line).length === 0) {
         return line.trim();
       }
     }
@@ -185,8 +237,30 @@ class BillParser {
     return '';
   }
 
-  // Extract items from bill
-  extractItems(lines) {
+  // Seller's and buyer's GSTIN (utils/gstin.js), trace.sellerGstin / trace.buyerGstin keep { row, read }
+  // GSTINs under a buyer heading (Bill To, Customer, Consignee...) are the buyer's, the first other one is
+  // the seller's; two on one row are the seller's and buyer's columns of the invoice header
+  extractGstins(lines, trace = {}) {
+    const found = { sellerGstin: '', buyerGstin: '' };
+    let buyerBlock = -Infinity;
+
+    lines.forEach((line, index) => {
+      if (SELLER_LABEL.test(line)) buyerBlock = -Infinity;
+      if (BUYER_LABEL.test(line)) buyerBlock = index;
+
+      findGstins(line).forEach(({ gstin, read }, position) => {
+        const field = index - buyerBlock <= BUYER_BLOCK_ROWS || position > 0 ? 'buyerGstin' : 'sellerGstin';
+        if (found[field]) return;
+        found[field] = gstin;
+        trace[field] = { row: index, read };
+      });
+    });
+
+    return found;
+  }
+
+  // Extract items from bill (layout rows), trace.items collects the row of each item
+  extractItems(lines, trace = { items: [] }) {
     const items = [];
     const itemStartKeywords = ['item', 'product', 'description', '====', '----', 'qty', 'quantity'];
     const itemEndKeywords = ['subtotal', 'sub total', 'total', 'tax', 'gst', '====', '----', 'discount', 'amount'];
@@ -197,7 +271,7 @@ class BillParser {
 
     // Find item section boundaries
     for (let i = 0; i < lines.length; i++) {
-      const lowerLine = lines[i].toLowerCase();
+      const lowerLine = lines[i].text.toLowerCase();
       
       if (!inItemSection && (itemStartKeywords.some(keyword => lowerLine.includes(keyword)) || 
                             this.looksLikeItemLine(lines[i]))) {
@@ -205,7 +279,8 @@ class BillParser {
         itemStartIndex = i;
       }
       
-      if (inItemSection && itemEndKeywords.some(keyword => lowerLine.includes(keyword)) && 
+      // The separator line that opened the section cannot also close it
+      if (inItemSection && i > itemStartIndex && itemEndKeywords.some(keyword => lowerLine.includes(keyword)) && 
           !this.looksLikeItemLine(lines[i])) {
         itemEndIndex = i;
         break;
@@ -217,37 +292,48 @@ class BillParser {
       const item = this.parseItemLine(lines[i]);
       if (item) {
         items.push(item);
+        trace.items.push(i);
       }
     }
 
     return items;
   }
 
-  // Check if a line looks like an item line
+  // Check if a line (text or layout row) looks like an item line
   looksLikeItemLine(line) {
+    const row = typeof line === 'string' ? lineFromText(line) : line;
+
     // Line should contain text and a price
-    const hasPrice = this.extractPriceFromLine(line) !== null;
-    const hasText = /[A-Za-z]{2,}/.test(line);
-    const isNotTotal = !/(?:total|subtotal|tax|gst|amount|discount):/i.test(line);
+    const hasPrice = this.extractLineAmount(row) !== null;
+    const hasText = /[\p{L}\p{M}]{2,}/u.test(row.text);
+    const isNotTotal = !/(?:total|subtotal|tax|gst|amount|discount):/i.test(row.text) &&
+      !/^(?:sub[\s-]?total|(?:grand |net |page )?total|tax|[csi]?gst|vat|discount|amount)\b/i.test(row.text.trim()) &&
+      !/\b(?:carried|brought) forward\b|\b[cb]\/f\b/i.test(row.text); // running totals between pages
     
-    return hasPrice && hasText && isNotTotal && line.length > 5;
+    return hasPrice && hasText && isNotTotal && row.text.length > 5;
   }
 
-  // Parse individual item line
+  // Parse individual item line (text or layout row)
   parseItemLine(line) {
     try {
-      const price = this.extractPriceFromLine(line);
+      const row = typeof line === 'string' ? lineFromText(line) : line;
+      const price = this.extractLineAmount(row);
       if (!price) return null;
 
-      // Remove price from line to get item description
-      const priceRegex = /₹\s*\d+(?:,\d{3})*(?:\.\d{2})?|\d+(?:,\d{3})*(?:\.\d{2})?\s*₹|Rs\.?\s*\d+(?:,\d{3})*(?:\.\d{2})?/g;
-      let itemDescription = line.replace(priceRegex, '').trim();
+      // Columns: description, then optional quantity / rate columns before the amount
+      let { description: itemDescription, quantity, unitPrice } = this.splitItemColumns(row, price);
+
+      if (!itemDescription) {
+        // Remove price from line to get item description
+        const priceRegex = /₹\s*\d+(?:,\d{3})*(?:\.\d{2})?|\d+(?:,\d{3})*(?:\.\d{2})?\s*₹|Rs\.?\s*\d+(?:,\d{3})*(?:\.\d{2})?/g;
+        itemDescription = row.text.replace(priceRegex, '').trim();
+      }
 
-      // Extract quantity if present
-      let quantity = 1;
-      const qtyMatch = itemDescription.match(/(\d+)\s*(?:x|pcs?|kg|gm?|ml|ltr?)\b/i);
+      // Extract quantity if present (pack sizes like 1kg / 200ml are part of the name, not a quantity)
+      const qtyMatch = quantity === 1 && itemDescription.match(/(\d+)\s*(?:x|pcs?|nos?)\b/i);
       if (qtyMatch) {
         quantity = parseInt(qtyMatch[1]);
+        unitPrice = null;
         itemDescription = itemDescription.replace(qtyMatch[0], '').trim();
       }
 
@@ -259,7 +345,7 @@ class BillParser {
 
       if (itemDescription.length < 2) return null;
 
-      const unitPrice = price / quantity;
+      if (!unitPrice) unitPrice = price / quantity;
 
       return {
         name: itemDescription,
@@ -274,6 +360,150 @@ class BillParser {
     }
   }
 
+  // Split an item row into description and the numeric columns printed before the amount
+  // [name, qty, rate, amount] and [name, qty, amount] are the usual shapes
+  splitItemColumns(row, price) {
+    const toNumber = (text) => {
+      const value = text.replace(/₹|Rs\.?|INR/g, '').trim();
+      return /^\d+(?:,\d{3})*(?:\.\d+)?$/.test(value) ? parseFloat(value.replace(/,/g, '')) : null;
+    };
+
+    const columns = row.columns.map(column => column.text);
+    const numbers = [];
+    while (columns.length > 1 && toNumber(columns[columns.length - 1]) !== null) {
+      numbers.unshift(toNumber(columns.pop()));
+    }
+    if (numbers.length === 0) {
+      return { description: '', quantity: 1, unitPrice: null };
+    }
+
+    const description = columns.join(' ').trim();
+    const before = numbers.slice(0, -1).slice(-2); // up to two numbers printed before the amount
+
+    if (before.length === 2) {
+      return { description, quantity: before[0] || 1, unitPrice: before[1] };
+    }
+    const [quantity] = before;
+    if (Number.isInteger(quantity) && quantity > 0 && quantity < 1000 && quantity !== price) {
+      return { description, quantity, unitPrice: null };
+    }
+    return { description, quantity: 1, unitPrice: null };
+  }
+
+  // Items of a handwritten bill: rows with a description followed by up to qty, rate and amount,
+  // read until the first total (a labelled, circled or underlined amount)
+  extractHandwrittenItems(rows, trace = { items: [] }) {
+    const items = [];
+
+    for (const [index, row] of rows.entries()) {
+      const text = row.text.trim();
+      if (items.length > 0 && (UNDERLINE_ROW.test(text) || HANDWRITTEN_TOTAL.test(text))) break;
+      if (HANDWRITTEN_NOT_ITEM.test(text) || HANDWRITTEN_DISCOUNT.test(text) ||
+          HANDWRITTEN_TAX.test(text) || HANDWRITTEN_PAYMENT.test(text)) continue;
+
+      const item = this.parseHandwrittenItem(row);
+      if (item) {
+        items.push(item);
+        trace.items.push(index);
+      }
+    }
+
+    return items;
+  }
+
+  // [name, qty, rate, amount], [name, qty, amount], [name, rate, amount] or [name, amount]
+  parseHandwrittenItem(row) {
+    const { description, numbers } = splitHandwrittenRow(row.text);
+    const name = description.replace(/^\d+[.)]\s*/, '').replace(/\s+/g, ' ').trim();
+    if (numbers.length === 0 || !/[\p{L}\p{M}]{2,}/u.test(name)) return null;
+
+    const amount = numbers[numbers.length - 1].value;
+    if (!amount) return null;
+    const before = numbers.slice(0, -1);
+
+    let quantity = 1;
+    let unitPrice = null;
+    let unit = null;
+    if (before.length === 2) {
+      quantity = before[0].value || 1;
+      unit = before[0].unit;
+      unitPrice = before[1].value;
+    } else if (before.length === 1) {
+      const [written] = before;
+      if (written.unit || written.value < 10) {
+        // A quantity: 2kg, 1L or a small count
+        quantity = written.value || 1;
+        unit = written.unit;
+      } else if (written.value === amount || Number.isInteger(amount / written.value)) {
+        // The rate of one, the amount is a whole number of them
+        unitPrice = written.value;
+        quantity = amount / written.value;
+      } else if (Number.isInteger(written.value) && written.value < 100) {
+        quantity = written.value;
+      }
+    }
+
+    if (!unitPrice) unitPrice = amount / quantity;
+
+    return {
+      name,
+      quantity,
+      unitPrice: parseFloat(unitPrice.toFixed(2)),
+      price: parseFloat(amount.toFixed(2)),
+      ...(unit && { unit })
+    };
+  }
+
+  // Totals of a handwritten bill, after the last item
+  // Amounts standing alone (circled or under a line) or labelled as totals are candidates: with a discount
+  // written between them the first is the subtotal and the last the total, otherwise the last one is the total
+  extractHandwrittenTotals(rows, billData, trace = { tax: [] }) {
+    const lastItemRow = trace.items.length > 0 ? trace.items[trace.items.length - 1] : -1;
+    const candidates = [];
+    const taxes = [];
+
+    rows.forEach((row, index) => {
+      if (index <= lastItemRow) return;
+      const text = row.text.trim();
+      const { description, numbers } = splitHandwrittenRow(text);
+      if (numbers.length === 0 || HANDWRITTEN_PAYMENT.test(text)) return;
+      const amount = numbers[numbers.length - 1].value;
+
+      if (HANDWRITTEN_TAX.test(text)) {
+        taxes.push({ index, component: this.taxComponent(text, componentType(text) || 'TAX', amount, null) });
+      } else if (HANDWRITTEN_DISCOUNT.test(text)) {
+        billData.discount = amount;
+        trace.discount = index;
+      } else if (HANDWRITTEN_TOTAL.test(text) || (description.length === 0 && numbers.length === 1)) {
+        candidates.push({ index, amount });
+      }
+    });
+
+    this.applyTaxComponents(billData, taxes, trace);
+
+    if (candidates.length === 0) return;
+    const last = candidates[candidates.length - 1];
+    billData.total = last.amount;
+    trace.total = last.index;
+
+    const first = candidates[0];
+    if (candidates.length > 1 && trace.discount !== undefined && first.index < trace.discount && trace.discount < last.index) {
+      billData.subtotal = first.amount;
+      trace.subtotal = first.index;
+    }
+  }
+
+  // Amount printed on a layout row: a currency-marked price,
+  // otherwise a decimal amount standing alone in the last column
+  extractLineAmount(row) {
+    const price = this.extractPriceFromLine(row.text);
+    if (price !== null) return price;
+
+    if (row.columns.length < 2) return null;
+    const lastColumn = row.columns[row.columns.length - 1].text.trim();
+    return /^\d+(?:,\d{3})*\.\d{2}$/.test(lastColumn) ? parseFloat(lastColumn.replace(/,/g, '')) : null;
+  }
+
   // Extract price from line
   extractPriceFromLine(line) {
     for (const pattern of this.pricePatterns) {
@@ -288,52 +518,196 @@ class BillParser {
     return null;
   }
 
-  // Extract financial totals
-  extractFinancialTotals(lines, billData) {
+  // Multi-page documents print the bill totals at the end, earlier pages often carry running
+  // page totals. Returns the index of the first row of the last page that has a total, 0 otherwise.
+  findTotalsPageStart(rows) {
+    const pages = [...new Set(rows.map(row => row.page).filter(Boolean))];
+    if (pages.length < 2) return 0;
+
+    const totalRow = [...rows].reverse().find(row => /total/i.test(row.text) && this.extractLineAmount(row));
+    if (!totalRow) return 0;
+    return rows.findIndex(row => row.page === totalRow.page);
+  }
+
+  // Extract financial totals (layout rows), trace records the rows they came from
+  // Multi-page documents: rows before startIndex (earlier pages) are skipped
+  extractFinancialTotals(rows, billData, trace = { tax: [] }, startIndex = 0) {
     const totalKeywords = {
       subtotal: ['subtotal', 'sub total', 'sub-total', 'amount'],
-      tax: ['tax', 'gst', 'vat', 'cgst', 'sgst', 'igst'],
       discount: ['discount', 'off', 'reduction'],
       total: ['total', 'grand total', 'final total', 'net total', 'amount payable']
     };
+    const taxes = [];
+    const taxSummaries = []; // "Total GST" rows, used only when the bill shows no component rows
+    let taxableValue = null; // from the last "Taxable value" row, applies to the tax rows below it
 
-    for (const line of lines) {
+    rows.forEach((row, index) => {
+      if (index < startIndex) return;
+      const line = row.text;
       const lowerLine = line.toLowerCase();
+      const taxType = componentType(line);
+      const isTaxSummary = Boolean(taxType) && lowerLine.includes('total');
       
       // Extract subtotal
-      if (totalKeywords.subtotal.some(keyword => lowerLine.includes(keyword)) && 
-          !lowerLine.includes('tax') && !lowerLine.includes('total')) {
-        const price = this.extractPriceFromLine(line);
-        if (price && price > 0) billData.subtotal = price;
+      const isSubtotalLine = /sub[\s-]?total/.test(lowerLine) ||
+        (totalKeywords.subtotal.some(keyword => lowerLine.includes(keyword)) &&
+          !lowerLine.includes('tax') && !lowerLine.includes('total') && !taxType);
+      if (isSubtotalLine) {
+        const price = this.extractLineAmount(row);
+        if (price && price > 0) {
+          billData.subtotal = price;
+          trace.subtotal = index;
+        }
       }
       
-      // Extract tax
-      if (totalKeywords.tax.some(keyword => lowerLine.includes(keyword))) {
-        const price = this.extractPriceFromLine(line);
-        if (price && price >= 0) {
-          billData.tax += price; // Add multiple tax components
-          
-          // Extract tax rate if present
-          const rateMatch = line.match(/(\d+(?:\.\d+)?)\s*%/);
-          if (rateMatch) {
-            billData.taxRate = Math.max(billData.taxRate, parseFloat(rateMatch[1]));
-          }
+      // Extract tax: one component per tax row (CGST, SGST, IGST, cess...)
+      if (TAXABLE_VALUE.test(line)) {
+        taxableValue = this.extractLineAmount(row);
+      } else if (taxType) {
+        const price = this.extractLineAmount(row);
+        if (price && price > 0) {
+          const component = this.taxComponent(line, taxType, price, this.extractTaxableOnRow(line, price) ?? taxableValue);
+          (isTaxSummary ? taxSummaries : taxes).push({ index, component });
         }
       }
       
       // Extract discount
       if (totalKeywords.discount.some(keyword => lowerLine.includes(keyword))) {
-        const price = this.extractPriceFromLine(line);
-        if (price && price > 0) billData.discount = price;
+        const price = this.extractLineAmount(row);
+        if (price && price > 0) {
+          billData.discount = price;
+          trace.discount = index;
+        }
       }
       
       // Extract total (should be last to avoid subtotal confusion)
       if (totalKeywords.total.some(keyword => lowerLine.includes(keyword)) && 
-          !lowerLine.includes('sub')) {
-        const price = this.extractPriceFromLine(line);
-        if (price && price > 0) billData.total = price;
+          !lowerLine.includes('sub') && !isTaxSummary && !TAXABLE_VALUE.test(line)) {
+        const price = this.extractLineAmount(row);
+        if (price && price > 0) {
+          billData.total = price;
+          trace.total = index;
+        }
       }
-    }
+    });
+
+    this.applyTaxComponents(billData, taxes.length > 0 ? taxes : taxSummaries, trace);
+  }
+
+  // Tax component of a row: { type, rate, taxableValue, amount }, rate from a printed % ("CGST @ 2.5%")
+  taxComponent(text, type, amount, taxableValue) {
+    const rateMatch = text.match(/(\d+(?:\.\d+)?)\s*%/);
+    return {
+      type,
+      rate: rateMatch ? parseFloat(rateMatch[1]) : null,
+      taxableValue: taxableValue || null,
+      amount
+    };
+  }
+
+  // Taxable value printed on a tax row before the tax amount ("CGST 2.5% on 200.00   5.00"), null otherwise
+  extractTaxableOnRow(text, amount) {
+    const amounts = [...text.matchAll(/(\d+(?:,\d{3})*\.\d{2})(?!\d|\s*%)/g)]
+      .map(match => parseFloat(match[1].replace(/,/g, '')));
+    return amounts.length >= 2 && amounts[0] > amount ? amounts[0] : null;
+  }
+
+  // Tax, tax rate and components from the tax rows ([{ index, component }]); trace.tax keeps their rows
+  // A plain GST line repeating the sum of the CGST/SGST/IGST rows is not counted twice
+  applyTaxComponents(billData, taxes, trace) {
+    const components = dropSummaries(taxes.map(({ component }) => component));
+    const kept = taxes.filter(({ component }) => components.includes(component));
+
+    billData.taxComponents = components;
+    billData.tax = components.reduce((sum, component) => sum + component.amount, 0);
+    billData.taxRate = slabRate(components) || 0;
+    trace.tax = kept.map(({ index }) => index);
+  }
+
+  // Where each parsed value was read on the page
+  // Values the parser computed instead of reading (e.g. a subtotal summed from items) have no source
+  buildProvenance(rows, lines, billData, trace) {
+    const rowOf = (predicate) => {
+      const index = lines.findIndex(predicate);
+      return index >= 0 ? index : undefined;
+    };
+    const amountWord = (amount) => (text) => this.parseAmountWord(text) === amount;
+    const monthNames = /jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec/i;
+
+    return {
+      storeName: billData.storeName
+        ? this.sourceOf(rows, rowOf(line => line === billData.storeName))
+        : null,
+      storeAddress: billData.storeAddress
+        ? this.sourceOf(rows, trace.storeAddress)
+        : null,
+      billNumber: billData.billNumber
+        ? this.sourceOf(rows, rowOf(line => line.includes(billData.billNumber)), text => text.includes(billData.billNumber))
+        : null,
+      sellerGstin: this.gstinSource(rows, trace.sellerGstin),
+      buyerGstin: this.gstinSource(rows, trace.buyerGstin),
+      date: billData.date
+        ? this.sourceOf(rows, rowOf(line => this.findDateInLine(line) === billData.date), text => monthNames.test(text) || (/\d/.test(text) && billData.date.includes(text.replace(/^\D+|\D+$/g, ''))))
+        : null,
+      items: billData.items.map((item, index) => {
+        const row = trace.items[index];
+        return {
+          name: this.sourceOf(rows, row, text => this.parseAmountWord(text) === null && item.name.includes(text)),
+          quantity: item.quantity !== 1
+            ? this.sourceOf(rows, row, text => this.parseAmountWord(text.replace(/x|pcs?|nos?|kgs?|gms?|ltrs?|ml/gi, '')) === item.quantity, { exact: true })
+            : null,
+          price: this.sourceOf(rows, row, amountWord(item.price), { exact: true, last: true })
+        };
+      }),
+      subtotal: this.sourceOf(rows, trace.subtotal, amountWord(billData.subtotal), { exact: true, last: true }),
+      tax: this.sourceOf(rows, trace.tax, text => this.parseAmountWord(text) !== null || /%/.test(text)),
+      taxComponents: billData.taxComponents.map((component, index) =>
+        this.sourceOf(rows, trace.tax[index], amountWord(component.amount), { exact: true, last: true })),
+      discount: this.sourceOf(rows, trace.discount, amountWord(billData.discount), { exact: true, last: true }),
+      total: this.sourceOf(rows, trace.total, amountWord(billData.total), { exact: true, last: true })
+    };
+  }
+
+  // Source of a value: the rows it came from, the words matching matchWord and their combined box
+  // exact: no fallback to the whole row when nothing matches, last: only the last matching word of each row
+  sourceOf(rows, lineIndexes, matchWord = () => true, { exact = false, last = false } = {}) {
+    const indexes = [].concat(lineIndexes).filter(index => index !== undefined && rows[index]);
+    if (indexes.length === 0) return null;
+
+    const words = indexes.flatMap(index => {
+      const matched = rows[index].words.filter(word => matchWord(word.text));
+      if (matched.length === 0) return exact ? [] : rows[index].words;
+      return last ? matched.slice(-1) : matched;
+    });
+    if (words.length === 0) return null;
+
+    const confidences = words.map(word => word.confidence).filter(value => typeof value === 'number');
+    return {
+      page: rows[indexes[0]].page || 1, // boxes are relative to this page
+      ...(rows[indexes[0]].part && { part: rows[indexes[0]].part }), // or this photo of a stitched receipt
+      lines: indexes,
+      text: words.map(word => word.text).join(' '),
+      bbox: unionBbox(words.map(word => word.bbox)),
+      confidence: confidences.length > 0
+        ? parseFloat((confidences.reduce((sum, value) => sum + value, 0) / confidences.length).toFixed(1))
+        : null,
+      words: words.map(({ text, bbox, confidence }) => ({ text, bbox, confidence }))
+    };
+  }
+
+  // Words a GSTIN was read from (it may be split by spaces), null when none was found
+  gstinSource(rows, found) {
+    if (!found) return null;
+    return this.sourceOf(rows, found.row, text => {
+      const code = text.toUpperCase().replace(/[^0-9A-Z]/g, '');
+      return code.length > 0 && found.read.includes(code);
+    }, { exact: true });
+  }
+
+  // Numeric value of a single OCR word such as ₹85.00, Rs.45, 1,250.00 or a written 140/- (null for anything else)
+  parseAmountWord(text) {
+    const value = text.replace(/₹|Rs\.?|INR|:|\/[-=]?$|^[([{]|[)\]}]$/g, '').trim();
+    return /^\d+(?:,\d{3})*(?:\.\d+)?$/.test(value) ? parseFloat(value.replace(/,/g, '')) : null;
   }
 
   // Calculate derived values
@@ -361,10 +735,47 @@ class BillParser {
     billData.total = parseFloat(billData.total.toFixed(2));
   }
 
+  // Apply numbers the user confirmed or corrected, fields named as in validation (items[0].price, total)
+  // An item's rate follows a corrected amount or quantity when it agreed with them before, and the
+  // subtotal and total follow the items when they were computed rather than read.
+  // Every confirmation is kept in billData.confirmed: [{ field, value, previous, confirmedAt }]
+  confirmValues(billData, values, confirmedAt = new Date().toISOString()) {
+    const updated = structuredClone(billData);
+    const provenance = updated.provenance || {};
+    updated.confirmed = updated.confirmed || [];
+
+    Object.entries(values).forEach(([field, value]) => {
+      const itemField = field.match(/^items\[(\d+)\]\.(quantity|unitPrice|price)$/);
+      const target = itemField ? updated.items[Number(itemField[1])] : updated;
+      const key = itemField ? itemField[2] : field;
+      const previous = target[key];
+
+      if (itemField && key !== 'unitPrice' && !(`items[${itemField[1]}].unitPrice` in values)) {
+        const rateAgreed = Math.abs(target.unitPrice * target.quantity - target.price) < 0.01;
+        target[key] = value;
+        if (rateAgreed && target.quantity > 0) target.unitPrice = parseFloat((target.price / target.quantity).toFixed(2));
+      } else {
+        target[key] = value;
+      }
+
+      updated.confirmed = updated.confirmed
+        .filter(entry => entry.field !== field)
+        .concat({ field, value, previous, confirmedAt });
+    });
+
+    if (!provenance.subtotal) {
+      updated.subtotal = parseFloat(updated.items.reduce((sum, item) => sum + item.price, 0).toFixed(2));
+    }
+    if (!provenance.total) {
+      updated.total = parseFloat((updated.subtotal + updated.tax - updated.discount).toFixed(2));
+    }
+    return updated;
+  }
+
   // Detect currency
   detectCurrency(text) {
     if (text.includes('₹') || text.includes('Rs') || text.includes('INR')) return '₹';
-    if (text.includes(')) return ';
+    if (text.includes('$')) return '$';
     if (text.includes('€')) return '€';
     if (text.includes('£')) return '£';
     return '₹'; // Default to Indian Rupee
@@ -479,17 +890,10 @@ class BillParser {
     return metadata;
   }
 
-  // Detect language
+  // Detect language from the dominant script (hindi, bengali, tamil, english, ...)
   detectLanguage(text) {
-    const hindiChars = /[\u0900-\u097F]/;
-    const englishChars = /[A-Za-z]/;
-    
-    const hindiCount = (text.match(hindiChars) || []).length;
-    const englishCount = (text.match(englishChars) || []).length;
-    
-    if (hindiCount > englishCount) return 'hindi';
-    if (englishCount > 0) return 'english';
-    return 'unknown';
+    const [dominant] = detectScripts(text);
+    return dominant ? dominant.language : 'unknown';
   }
 
   // Detect bill type
@@ -0,0 +1,222 @@
+const config = require('../config');
+const ocrService = require('./ocrService');
+const documentService = require('./documentService');
+const billParser = require('./billParser');
+const ocrCache = require('./ocrCache');
+const qualityService = require('./qualityService');
+const receiptDetector = require('./receiptDetector');
+const einvoiceService = require('./einvoiceService');
+const validationService = require('./validationService');
+const { detectHandwriting } = require('../utils/handwriting');
+
+class BillProcessor {
+  constructor() {
+    this.mode = config.processingMode;
+  }
+
+  // Run the full pipeline on an uploaded image, PDF or TIFF: quality check → receipt crop → OCR → parse → e-invoice QR check → validate
+  // Photos are read from the cropped receipt when one is found, so word boxes are in crop pixels
+  // Every page of a document is read and the pages are parsed as one bill
+  // onStage is called with the Bill model's processingStage values as the pipeline advances,
+  // onProgress with finer-grained events (preprocessing, OCR %, parsing, each validation algorithm)
+  // languages forces the OCR language packs instead of detecting the script
+  // OCR and parse results are reused for uploads already seen (same bytes), billId is recorded with the cache entry
+  // An array of paths is an ordered set of overlapping photos of one long receipt, stitched into one bill
+  // writing is 'printed', 'handwritten' or 'auto' (handwriting detected from the first OCR pass)
+  async processBill(input, { onStage = async () => {}, onProgress = () => {}, languages, writing = config.handwriting.mode, billId = null } = {}) {
+    const startTime = Date.now();
+    const filePaths = [].concat(input);
+    const stitched = filePaths.length > 1;
+
+    // Quality check and receipt crop for every photo
+    const parts = [];
+    for (const [index, filePath] of filePaths.entries()) {
+      const partProgress = stitched
+        ? (event) => onProgress({ ...event, part: index + 1, partCount: filePaths.length })
+        : onProgress;
+      const isImage = (await documentService.detectType(filePath)) === 'image';
+      if (stitched && !isImage) {
+        const error = new Error(`Photo ${index + 1} is not an image, only photos can be stitched`);
+        error.code = 'STITCH_IMAGES_ONLY';
+        throw error;
+      }
+
+      const quality = isImage && config.quality.enabled ? await this.checkQuality(filePath, partProgress) : null;
+      const receipt = isImage && config.receipt.enabled ? await this.cropReceipt(filePath, partProgress) : null;
+      parts.push({ filePath, isImage, quality, receipt, ocrInput: receipt?.cropPath || filePath });
+    }
+    const quality = stitched ? this.combineQuality(parts) : parts[0].quality;
+    const receipt = stitched
+      ? { found: parts.some(part => part.receipt?.found), parts: parts.map(part => part.receipt) }
+      : parts[0].receipt;
+
+    const hashes = stitched
+      ? ocrCache.combineHashes(await Promise.all(parts.map(part => ocrCache.hashFile(part.filePath))))
+      : await ocrCache.hashFile(parts[0].filePath);
+    const variant = [(languages || []).join('+'), writing].join('|');
+    const cached = await ocrCache.get(hashes, variant, billId);
+
+    let ocrResult;
+    let billData;
+    if (cached) {
+      console.log('🗃️ Using cached OCR result');
+      onProgress({ stage: 'ocr', status: 'skipped', message: 'Using cached result' });
+      ({ ocrResult, billData } = structuredClone({ ocrResult: cached.ocrResult, billData: cached.billData }));
+    } else {
+      // Step 1: OCR with the configured provider chain (mock mode reads sample text but keeps parsing + validation real)
+      await onStage('ocr_processing');
+      ocrResult = await this.readText(parts, { onProgress, languages, handwriting: writing === 'handwritten' });
+      ocrResult.writing = { requested: writing, style: writing === 'handwritten' ? 'handwritten' : 'printed', detection: null };
+
+      // Handwritten bills read as print come out garbled, they are read again by a handwriting recognizer
+      if (writing === 'auto') {
+        const detection = detectHandwriting(ocrResult, config.handwriting);
+        if (detection.handwritten) {
+          console.log(`✍️ Handwriting detected (${detection.signals.join(', ')})`);
+          if (ocrService.canReadHandwriting()) {
+            onProgress({ stage: 'ocr', status: 'progress', message: 'Handwriting detected, reading again as handwriting' });
+            ocrResult = await this.readText(parts, { onProgress, languages, handwriting: true });
+          }
+        }
+        ocrResult.writing = { requested: writing, style: detection.handwritten ? 'handwritten' : 'printed', detection };
+      }
+      ocrResult.writing.handwritingRecognizer = Boolean(ocrResult.handwritingRecognizer);
+
+      if (!ocrResult.text || ocrResult.text.trim().length === 0) {
+        const error = new Error('No text could be read from the image');
+        error.code = 'NO_TEXT_FOUND';
+        error.quality = quality;
+        throw error;
+      }
+
+      // Step 2: Parse the OCR layout (rows and columns) into structured bill data
+      await onStage('parsing');
+      onProgress({ stage: 'parsing', status: 'started' });
+      billData = billParser.parseBillData(ocrResult.layout || ocrResult.text, {
+        handwritten: ocrResult.writing.style === 'handwritten'
+      });
+      onProgress({
+        stage: 'parsing',
+        status: 'done',
+        message: `${billData.items.length} items found${billData.handwritten ? ' (handwritten)' : ''}`
+      });
+
+      await ocrCache.set(hashes, variant, structuredClone({ ocrResult, billData }), billId);
+    }
+
+    // Signed GST e-invoice QR, compared with the parsed bill during validation
+    const einvoice = config.einvoice.enabled
+      ? await this.readEInvoice(filePaths, { billData, text: ocrResult.text }, onProgress)
+      : null;
+
+    // Step 3: Validate the parsed bill as printed (no corrections applied)
+    await onStage('validating');
+    onProgress({ stage: 'validation', status: 'started' });
+    const validation = validationService.validateBill(billData, {
+      einvoice,
+      onAlgorithm: event => onProgress({ stage: 'validation', status: 'progress', ...event })
+    });
+    onProgress({ stage: 'validation', status: 'done', passed: validation.isValid });
+
+    return {
+      ocr: ocrResult,
+      billData,
+      validation,
+      parsingStats: billParser.getParsingStats(billData),
+      quality,
+      receipt,
+      einvoice,
+      hashes,
+      cache: cached ? cached.cache : { hit: false, key: hashes.sha256 },
+      processingTime: Date.now() - startTime,
+      mode: this.mode
+    };
+  }
+
+  // OCR of the (cropped) upload, or of every photo of a stitched receipt
+  readText(parts, options) {
+    return parts.length > 1
+      ? documentService.extractStitchedText(parts.map(part => part.ocrInput), options)
+      : documentService.extractText(parts[0].ocrInput, options);
+  }
+
+  // Photo quality check, photos with a severe issue are rejected when config.quality.rejectUnusable is set
+  async checkQuality(filePath, onProgress) {
+    onProgress({ stage: 'quality', status: 'started' });
+    const quality = await qualityService.assess(filePath);
+    onProgress({
+      stage: 'quality',
+      status: 'done',
+      usable: quality.usable,
+      issues: quality.issues,
+      message: quality.issues.length > 0 ? quality.issues.map(issue => issue.message).join('; ') : 'Photo looks good'
+    });
+
+    if (!quality.usable && config.quality.rejectUnusable) {
+      const error = new Error(`Photo quality too poor to read: ${quality.issues.filter(issue => issue.severity === 'error').map(issue => issue.message).join('; ')}`);
+      error.code = 'POOR_IMAGE_QUALITY';
+      error.quality = quality;
+      throw error;
+    }
+    return quality;
+  }
+
+  // Decode the e-invoice QR from the original upload, a bill without one is processed as usual
+  async readEInvoice(filePaths, printed, onProgress) {
+    onProgress({ stage: 'einvoice', status: 'started' });
+    try {
+      const einvoice = await einvoiceService.read(filePaths, printed);
+      onProgress(einvoice.found
+        ? { stage: 'einvoice', status: 'done', message: `E-invoice QR found, signature ${einvoice.signature.status.replace('_', ' ')}, ${einvoice.mismatches} mismatch(es)` }
+        : { stage: 'einvoice', status: 'skipped', message: 'No e-invoice QR code' });
+      return einvoice;
+    } catch (error) {
+      console.warn('⚠️ E-invoice QR check failed:', error.message);
+      onProgress({ stage: 'einvoice', status: 'skipped', message: 'E-invoice QR could not be read' });
+      return null;
+    }
+  }
+
+  // Quality of stitched photos: usable when every photo is, issues name the photo they concern
+  combineQuality(parts) {
+    if (parts.every(part => !part.quality)) return null;
+    return {
+      usable: parts.every(part => !part.quality || part.quality.usable),
+      issues: parts.flatMap((part, index) => (part.quality?.issues || []).map(issue => ({
+        ...issue,
+        part: index + 1,
+        message: `Photo ${index + 1}: ${issue.message}`
+      }))),
+      parts: parts.map(part => part.quality)
+    };
+  }
+
+  // Find the receipt in the photo and save the squared-up crop next to the upload
+  // Detection problems are not fatal, the whole photo is read instead
+  async cropReceipt(filePath, onProgress) {
+    onProgress({ stage: 'receipt', status: 'started' });
+    try {
+      const receipt = await receiptDetector.crop(filePath);
+      onProgress(receipt.found
+        ? { stage: 'receipt', status: 'done', message: `Receipt cropped to ${receipt.width}×${receipt.height}` }
+        : { stage: 'receipt', status: 'skipped', message: 'No receipt outline found, reading the whole photo' });
+      return receipt;
+    } catch (error) {
+      console.warn('⚠️ Receipt detection failed:', error.message);
+      onProgress({ stage: 'receipt', status: 'skipped', message: 'Receipt detection failed, reading the whole photo' });
+      return { found: false, error: error.message };
+    }
+  }
+
+  // Describe the pipeline for health/info endpoints
+  getInfo() {
+    return {
+      mode: this.mode,
+      stages: ['quality', 'receipt', 'ocr', 'parsing', 'einvoice', 'validation'],
+      ocr: ocrService.getStats(),
+      cache: ocrCache.getStats()
+    };
+  }
+}
+
+module.exports = new BillProcessor();
@@ -0,0 +1,19 @@
+const config = require('../config');
+const FileBillStore = require('./storage/fileStore');
+const MongoBillStore = require('./storage/mongoStore');
+
+// Storage backend chosen at startup (STORAGE_BACKEND=mongo|file)
+// Both expose the same interface: connect, create, findById, update, remove, find, getStatistics (overview with breakdowns), getRecentActivity
+const createBillStore = () => {
+  switch (config.storage.backend) {
+    case 'mongo':
+      return new MongoBillStore(config.storage);
+    case 'file':
+      return new FileBillStore(config.storage);
+    default:
+      console.warn(`⚠️ Unknown STORAGE_BACKEND "${config.storage.backend}", using file storage`);
+      return new FileBillStore(config.storage);
+  }
+};
+
+module.exports = createBillStore();
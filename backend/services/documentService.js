@@ -0,0 +1,258 @@
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const config = require('../config');
+const ocrService = require('./ocrService');
+const { detectScripts } = require('../utils/scripts');
+const { layoutFromWords, mergePageLayouts, layoutToText } = require('../utils/layout');
+const { stitchLayouts } = require('../utils/stitching');
+const { sniffType } = require('../utils/fileTypes');
+
+const PDF_POINTS_PER_INCH = 72;
+
+// pdf.js ships as an ES module only
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+  if (!pdfjsPromise) pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjsPromise;
+};
+
+// Reads uploaded bills page by page: images, multi-page TIFF scans and PDFs
+// Digital PDF pages use their embedded text layer, scanned pages are rasterized and OCR'd,
+// and all pages of one upload are merged into a single OCR result for the parser
+class DocumentService {
+  constructor(options) {
+    this.options = options;
+  }
+
+  // 'pdf', 'tiff' or 'image', from the first bytes of the file
+  async detectType(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { buffer } = await handle.read(Buffer.alloc(16), 0, 16, 0);
+      const sniffed = sniffType(buffer);
+      return sniffed && ['pdf', 'tiff'].includes(sniffed.type) ? sniffed.type : 'image';
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Same result shape as ocrService.extractText, plus pages: [{ number, source, confidence, ... }]
+  // handwriting reads images and scanned pages with the handwriting chain
+  async extractText(filePath, { onProgress = () => {}, languages, handwriting = false } = {}) {
+    const type = await this.detectType(filePath);
+    if (type === 'image') {
+      const result = await ocrService.extractText(filePath, { onProgress, languages, handwriting });
+      return { ...result, documentType: type, pages: [this.describePage(1, result)] };
+    }
+
+    const startTime = Date.now();
+    const pages = type === 'pdf' ? await this.readPdf(filePath) : await this.readTiff(filePath);
+    console.log(`📄 ${type.toUpperCase()} with ${pages.length} page(s)`);
+
+    const results = [];
+    for (const page of pages) {
+      const pageProgress = (event) => onProgress({ ...event, page: page.number, pageCount: pages.length });
+      if (page.layout) {
+        pageProgress({ stage: 'ocr', status: 'skipped', message: `Page ${page.number}: using embedded PDF text` });
+        results.push({
+          number: page.number,
+          result: { layout: page.layout, confidence: 100, languages: [], provider: 'pdf-text' }
+        });
+      } else {
+        const result = await ocrService.extractText(await page.render(), { onProgress: pageProgress, languages, handwriting });
+        results.push({ number: page.number, result });
+      }
+    }
+
+    return this.mergePages(results, { type, startTime });
+  }
+
+  // Ordered photos of one long receipt read as one document: each photo is OCR'd and the rows
+  // repeated where consecutive photos overlap are dropped. The result has stitching: { overlaps, warnings }
+  async extractStitchedText(imagePaths, { onProgress = () => {}, languages, handwriting = false } = {}) {
+    const startTime = Date.now();
+    const results = [];
+
+    for (const [index, imagePath] of imagePaths.entries()) {
+      const partProgress = (event) => onProgress({ ...event, part: index + 1, partCount: imagePaths.length });
+      const result = await ocrService.extractText(imagePath, { onProgress: partProgress, languages, handwriting });
+      results.push({ number: index + 1, result });
+    }
+
+    const { layout, overlaps, warnings } = stitchLayouts(
+      results.map(({ number, result }) => ({ number, layout: result.layout })),
+      this.options.stitching
+    );
+    warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+    console.log(`🧵 Stitched ${imagePaths.length} photos, ${overlaps.map(overlap => overlap.rows).join('/')} overlapping rows`);
+
+    return {
+      ...this.mergePages(results, { type: 'image', startTime, layout }),
+      stitching: { overlaps, warnings }
+    };
+  }
+
+  // One OCR result for the whole document, confidence weighted by the words on each page
+  // layout replaces the merged page layout (stitched photos)
+  mergePages(results, { type, startTime, layout = null }) {
+    if (!layout) layout = mergePageLayouts(results.map(({ number, result }) => ({ number, layout: result.layout })));
+    const text = layoutToText(layout);
+    const providers = [...new Set(results.map(({ result }) => result.provider))];
+    const wordCounts = results.map(({ result }) => result.layout.lines.reduce((sum, line) => sum + line.words.length, 0));
+    const totalWords = wordCounts.reduce((sum, count) => sum + count, 0);
+    const confidence = totalWords > 0
+      ? results.reduce((sum, { result }, index) => sum + result.confidence * wordCounts[index], 0) / totalWords
+      : 0;
+
+    return {
+      text,
+      layout,
+      confidence,
+      processingTime: Date.now() - startTime,
+      languages: [...new Set(results.flatMap(({ result }) => result.languages || []))],
+      scripts: detectScripts(text).map(({ script, share }) => ({ script, share })),
+      preprocessing: results.length === 1 ? results[0].result.preprocessing : undefined,
+      provider: providers.length === 1 ? providers[0] : 'mixed',
+      providerAttempts: results.length === 1 ? results[0].result.providerAttempts : undefined,
+      handwritingRecognizer: results.every(({ result }) => result.handwritingRecognizer),
+      documentType: type,
+      pages: results.map(({ number, result }) => this.describePage(number, result))
+    };
+  }
+
+  describePage(number, result) {
+    return {
+      number,
+      source: result.layout.source,
+      provider: result.provider,
+      confidence: parseFloat((result.confidence || 0).toFixed(1)),
+      lines: result.layout.lines.length,
+      ...(result.preprocessing && { preprocessingVariant: result.preprocessing.variant })
+    };
+  }
+
+  // Every page of a PDF, with the text layer when it has one and a renderer otherwise
+  async readPdf(filePath) {
+    const pdfjs = await loadPdfjs();
+    const data = new Uint8Array(await fs.readFile(filePath));
+    const document = await pdfjs.getDocument({ data, verbosity: 0 }).promise;
+    const scale = this.options.pdfDpi / PDF_POINTS_PER_INCH;
+    const pageCount = this.checkPageCount(document.numPages);
+    const pages = [];
+
+    try {
+      for (let number = 1; number <= pageCount; number++) {
+        const page = await document.getPage(number);
+        const viewport = page.getViewport({ scale });
+        const words = this.textLayerWords(pdfjs, await page.getTextContent(), viewport);
+        const characters = words.reduce((sum, word) => sum + word.text.length, 0);
+
+        if (characters >= this.options.textLayerMinChars) {
+          const layout = layoutFromWords(words, 'pdf-text');
+          layout.page = { width: Math.round(viewport.width), height: Math.round(viewport.height) };
+          pages.push({ number, layout });
+        } else {
+          // Scanned page: render it now, the document is closed once all pages are read
+          const image = await this.renderPdfPage(document, page, viewport);
+          pages.push({ number, render: async () => image });
+        }
+        page.cleanup();
+      }
+    } finally {
+      await document.destroy();
+    }
+
+    return pages;
+  }
+
+  // Words of a PDF text layer with boxes in rendered-page pixels
+  // pdf.js returns runs of text, each run is split into words sized by their share of the characters
+  textLayerWords(pdfjs, textContent, viewport) {
+    const words = [];
+
+    textContent.items.forEach(item => {
+      if (!item.str || item.str.trim().length === 0) return;
+
+      const [, , c, d, x, baseline] = pdfjs.Util.transform(viewport.transform, item.transform);
+      const fontHeight = Math.hypot(c, d);
+      const width = item.width * viewport.scale;
+      const charWidth = width / item.str.length;
+
+      let offset = 0;
+      item.str.split(/(\s+)/).forEach(part => {
+        if (part.trim().length > 0) {
+          words.push({
+            text: part,
+            bbox: {
+              x0: Math.round(x + offset * charWidth),
+              y0: Math.round(baseline - fontHeight * 0.8),
+              x1: Math.round(x + (offset + part.length) * charWidth),
+              y1: Math.round(baseline + fontHeight * 0.2)
+            },
+            confidence: 100
+          });
+        }
+        offset += part.length;
+      });
+    });
+
+    return words;
+  }
+
+  async renderPdfPage(document, page, viewport) {
+    const { canvas, context } = document.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    // Scans are drawn over a white page, transparent areas would turn black in greyscale
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport, canvas }).promise;
+    return canvas.toBuffer('image/png');
+  }
+
+  // Every page of a multi-page TIFF, rendered on demand
+  async readTiff(filePath) {
+    const { pages = 1 } = await sharp(filePath).metadata();
+    const pageCount = this.checkPageCount(pages);
+
+    return Array.from({ length: pageCount }, (unused, index) => ({
+      number: index + 1,
+      render: () => sharp(filePath, { page: index }).png().toBuffer()
+    }));
+  }
+
+  // Page images of any upload (the photo itself, TIFF pages, every PDF page rendered), at most `limit` pages
+  // Used to look for printed codes, digital PDF pages included; dpi overrides the PDF render resolution
+  async renderPages(filePath, { limit = this.options.maxPages, dpi = this.options.pdfDpi } = {}) {
+    const type = await this.detectType(filePath);
+    if (type === 'image') return [await fs.readFile(filePath)];
+    if (type === 'tiff') {
+      const pages = await this.readTiff(filePath);
+      return Promise.all(pages.slice(0, limit).map(page => page.render()));
+    }
+
+    const pdfjs = await loadPdfjs();
+    const data = new Uint8Array(await fs.readFile(filePath));
+    const document = await pdfjs.getDocument({ data, verbosity: 0 }).promise;
+    const scale = dpi / PDF_POINTS_PER_INCH;
+    const images = [];
+    try {
+      for (let number = 1; number <= Math.min(limit, document.numPages); number++) {
+        const page = await document.getPage(number);
+        images.push(await this.renderPdfPage(document, page, page.getViewport({ scale })));
+        page.cleanup();
+      }
+    } finally {
+      await document.destroy();
+    }
+    return images;
+  }
+
+  checkPageCount(pages) {
+    if (pages > this.options.maxPages) {
+      console.warn(`⚠️ Document has ${pages} pages, only the first ${this.options.maxPages} are read`);
+      return this.options.maxPages;
+    }
+    return pages;
+  }
+}
+
+module.exports = new DocumentService(config.documents);
@@ -0,0 +1,261 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const sharp = require('sharp');
+const jsQR = require('jsqr');
+const config = require('../config');
+const documentService = require('./documentService');
+
+const SCAN_WIDTHS = [1600, 1200, 800]; // small codes need the larger copy, blurred ones read better reduced
+const PDF_RENDER_DPI = 300; // QR modules of PDF invoices are only a few points wide
+const SIGNING_ALGORITHMS = { RS256: 'RSA-SHA256', RS384: 'RSA-SHA384', RS512: 'RSA-SHA512' };
+const PEM_BLOCK = /-----BEGIN [A-Z ]+-----[\s\S]+?-----END [A-Z ]+-----/g;
+
+// Fields of the signed QR, printed: how the value is found on the bill
+// ('parsed' compares with billData, 'text' looks for the value in the OCR text)
+// The bill number and item count come from heuristic parsing: a difference there is reported as not_found, never as a mismatch
+const QR_FIELDS = [
+  { key: 'SellerGstin', name: 'sellerGstin', label: 'Seller GSTIN', printed: 'parsed', billField: 'sellerGstin' },
+  { key: 'BuyerGstin', name: 'buyerGstin', label: 'Buyer GSTIN', printed: 'parsed', billField: 'buyerGstin' },
+  { key: 'DocNo', name: 'documentNumber', label: 'Document number', printed: 'parsed', billField: 'billNumber' },
+  { key: 'DocDt', name: 'documentDate', label: 'Document date', printed: 'parsed', billField: 'date' },
+  { key: 'TotInvVal', name: 'totalValue', label: 'Total invoice value', printed: 'parsed', billField: 'total' },
+  { key: 'ItemCnt', name: 'itemCount', label: 'Item count', printed: 'parsed', billField: 'items' },
+  { key: 'MainHsnCode', name: 'mainHsnCode', label: 'Main HSN code', printed: 'text' },
+  { key: 'Irn', name: 'irn', label: 'IRN', printed: 'text' },
+  { key: 'DocTyp', name: 'documentType', label: 'Document type' },
+  { key: 'IrnDt', name: 'irnDate', label: 'IRN date' }
+];
+
+// Signed QR code of GST e-invoices (B2B invoices above the e-invoicing threshold)
+// The QR holds a JWT issued by the invoice registration portal: { data: '<invoice JSON>', iss: 'NIC' }.
+// The token is decoded from the upload, its signature checked against a local key set, and every field
+// compared with what the parser read from the printed bill, which is much stronger evidence than OCR alone.
+class EInvoiceService {
+  constructor(options) {
+    this.options = options;
+    this.loading = null;
+  }
+
+  // Find, decode and check the QR of an upload (or the photos of a stitched receipt)
+  // Returns { found: false } or { found, part?, page, issuer, data, signature, fields, mismatches }
+  async read(filePaths, { billData, text }) {
+    const startTime = Date.now();
+    const code = await this.scan([].concat(filePaths));
+    if (!code) {
+      return { found: false, processingTime: Date.now() - startTime };
+    }
+
+    const { token, page, part } = code;
+    const payload = decodeJwtPart(token.split('.')[1]);
+    const invoice = payload && typeof payload.data === 'string' ? parseJson(payload.data) : payload?.data;
+    if (!invoice || typeof invoice !== 'object') {
+      return {
+        found: true,
+        ...(part && { part }),
+        page,
+        signature: { status: 'malformed', message: 'QR token has no invoice data' },
+        data: null,
+        fields: [],
+        mismatches: 0,
+        processingTime: Date.now() - startTime
+      };
+    }
+
+    const data = Object.fromEntries(QR_FIELDS
+      .filter(({ key }) => invoice[key] !== undefined && invoice[key] !== null && invoice[key] !== '')
+      .map(({ key, name }) => [name, invoice[key]]));
+    const fields = this.compare(data, billData, text);
+
+    return {
+      found: true,
+      ...(part && { part }),
+      page,
+      issuer: payload.iss || null,
+      data,
+      signature: await this.verifySignature(token),
+      fields,
+      mismatches: fields.filter(field => field.status === 'mismatch').length,
+      processingTime: Date.now() - startTime
+    };
+  }
+
+  // First QR code holding a JWT, searched page by page (part is set for stitched photos)
+  async scan(filePaths) {
+    for (const [index, filePath] of filePaths.entries()) {
+      const pages = await documentService.renderPages(filePath, { limit: this.options.scanPages, dpi: PDF_RENDER_DPI });
+      for (const [pageIndex, image] of pages.entries()) {
+        const token = await this.findToken(image);
+        if (token) {
+          return { token, page: pageIndex + 1, ...(filePaths.length > 1 && { part: index + 1 }) };
+        }
+      }
+    }
+    return null;
+  }
+
+  async findToken(image) {
+    for (const width of SCAN_WIDTHS) {
+      const { data, info } = await sharp(image)
+        .rotate()
+        .resize(width, null, { withoutEnlargement: true })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      const code = jsQR(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), info.width, info.height);
+      // Payment (UPI) and other QR codes on the bill are skipped
+      if (code && isJwt(code.data.trim())) return code.data.trim();
+    }
+    return null;
+  }
+
+  // Structure of the token (RS256 JWT) and its signature against the local key set
+  // status: valid | invalid | malformed | unknown_key (no key with the token's kid) | no_keys (no key set configured)
+  async verifySignature(token) {
+    const [headerPart, payloadPart, signaturePart] = token.split('.');
+    const header = decodeJwtPart(headerPart);
+    if (!header || (header.typ && header.typ.toUpperCase() !== 'JWT') || !SIGNING_ALGORITHMS[header.alg]) {
+      return { status: 'malformed', message: `Unsupported token header (alg ${header?.alg || 'missing'})` };
+    }
+
+    const described = { alg: header.alg, kid: header.kid || header.x5t || null };
+    const keys = await this.loadKeys();
+    if (keys.length === 0) {
+      return { status: 'no_keys', ...described, message: 'No e-invoice public keys configured' };
+    }
+
+    const candidates = keys.filter(key => !key.kid || key.kid === header.kid || key.kid === header.x5t);
+    if (candidates.length === 0) {
+      return { status: 'unknown_key', ...described, message: `No public key with id ${described.kid}` };
+    }
+
+    const signed = Buffer.from(`${headerPart}.${payloadPart}`);
+    const signature = Buffer.from(signaturePart, 'base64url');
+    const valid = candidates.some(({ publicKey }) => {
+      try {
+        return crypto.verify(SIGNING_ALGORITHMS[header.alg], signed, publicKey, signature);
+      } catch (error) {
+        return false;
+      }
+    });
+    return valid
+      ? { status: 'valid', ...described }
+      : { status: 'invalid', ...described, message: 'Signature does not match the invoice data' };
+  }
+
+  // Public keys from a JWKS file ({ keys: [...] }) or PEM keys/certificates, read once
+  loadKeys() {
+    if (!this.loading) this.loading = this.readKeys();
+    return this.loading;
+  }
+
+  async readKeys() {
+    if (!this.options.publicKeysPath) return [];
+    try {
+      const content = await fs.readFile(this.options.publicKeysPath, 'utf8');
+      const keys = content.trim().startsWith('{')
+        ? (JSON.parse(content).keys || []).map(jwk => ({
+          kid: jwk.kid || jwk.x5t || null,
+          publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+        }))
+        : (content.match(PEM_BLOCK) || []).map(pem => ({ kid: null, publicKey: crypto.createPublicKey(pem) }));
+      console.log(`🔑 Loaded ${keys.length} e-invoice public key(s)`);
+      return keys;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn('⚠️ Could not read e-invoice public keys:', error.message);
+      return [];
+    }
+  }
+
+  // Comparison of an already decoded QR with a changed bill (numbers confirmed by the user)
+  recheck(einvoice, billData, text) {
+    const fields = this.compare(einvoice.data, billData, text);
+    return { ...einvoice, fields, mismatches: fields.filter(field => field.status === 'mismatch').length };
+  }
+
+  // Every QR field next to the printed value: match, mismatch or not_found (not read from the bill)
+  compare(data, billData, text) {
+    const printedText = normalizeCode(text);
+
+    return QR_FIELDS.filter(({ name, printed }) => printed && data[name] !== undefined).map(({ name, label, printed, billField }) => {
+      const qr = data[name];
+      const result = (status, value) => ({ field: name, label, qr, printed: value, status });
+
+      // Unregistered buyers carry URP instead of a GSTIN
+      if (name === 'buyerGstin' && String(qr).toUpperCase() === 'URP') return result('match', null);
+
+      if (printed === 'text') {
+        return result(printedText.includes(normalizeCode(qr)) ? 'match' : 'not_found', null);
+      }
+
+      switch (billField) {
+        case 'billNumber':
+          if (normalizeCode(billData.billNumber) === normalizeCode(qr)) return result('match', billData.billNumber);
+          if (printedText.includes(normalizeCode(qr))) return result('match', qr);
+          return result('not_found', billData.billNumber || null);
+        case 'sellerGstin':
+        case 'buyerGstin':
+          if (!billData[billField]) {
+            return result(printedText.includes(normalizeCode(qr)) ? 'match' : 'not_found', null);
+          }
+          return result(normalizeCode(billData[billField]) === normalizeCode(qr) ? 'match' : 'mismatch', billData[billField]);
+        case 'date': {
+          // A date that cannot be read on either side is no evidence of tampering
+          const same = billData.date ? sameDate(qr, billData.date) : null;
+          if (same === null) return result('not_found', billData.date || null);
+          return result(same ? 'match' : 'mismatch', billData.date);
+        }
+        case 'total':
+          if (!billData.total) return result('not_found', null);
+          return result(Math.abs(Number(qr) - billData.total) <= this.options.amountTolerance ? 'match' : 'mismatch', billData.total);
+        case 'items':
+          return result(billData.items.length === Number(qr) ? 'match' : 'not_found', billData.items.length);
+        default:
+          return result('not_found', null);
+      }
+    });
+  }
+}
+
+function isJwt(value) {
+  return /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(value);
+}
+
+function decodeJwtPart(part) {
+  return parseJson(Buffer.from(part || '', 'base64url').toString('utf8'));
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Letters and digits only, upper case (GSTINs, document numbers and HSN codes as printed)
+function normalizeCode(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// QR dates are dd/mm/yyyy; the printed date may have been read day-first or month-first
+// null when either date is not in a form that can be compared
+function sameDate(qrDate, printedDate) {
+  const qr = String(qrDate).match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (!qr) return null;
+  const expected = [Number(qr[3]), Number(qr[2]), Number(qr[1])].join('-');
+
+  const candidates = [];
+  const iso = String(printedDate).match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const local = String(printedDate).match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (iso) {
+    candidates.push([iso[1], iso[2], iso[3]], [iso[1], iso[3], iso[2]]);
+  } else if (local) {
+    const year = local[3].length === 2 ? `20${local[3]}` : local[3];
+    candidates.push([year, local[2], local[1]], [year, local[1], local[2]]);
+  } else {
+    return null;
+  }
+  return candidates.some(parts => parts.map(Number).join('-') === expected);
+}
+
+module.exports = new EInvoiceService(config.einvoice);
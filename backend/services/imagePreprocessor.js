@@ -0,0 +1,149 @@
+const sharp = require('sharp');
+const config = require('../config');
+const {
+  IDENTITY,
+  estimateSkew,
+  findDocumentQuad,
+  perspectiveTransform,
+  applyTransform,
+  multiplyTransforms,
+  rotationTransform,
+  warp,
+  sauvolaThreshold
+} = require('../utils/image');
+
+const ANALYSIS_WIDTH = 600; // geometry is estimated on a reduced copy
+const MIN_SKEW = 0.3; // degrees, smaller angles are left alone
+
+// Image variants OCR can be tried on, all rendered from the corrected greyscale page
+const VARIANTS = {
+  // Contrast stretch only, Tesseract binarizes on its own
+  standard: (page) => page.normalize().sharpen(),
+  // Denoise, then threshold against the local neighbourhood (shadows, uneven light)
+  adaptive: async (page) => sauvolaThreshold(await toRaw(page.median(3)), { k: 0.2 }),
+  // Faded thermal paper: local contrast boost before a lenient local threshold
+  faded: async (page) => sauvolaThreshold(
+    await toRaw(page.clahe({ width: 64, height: 64, maxSlope: 4 }).median(3)),
+    { k: 0.1 }
+  ),
+  // Fixed global threshold, the original pipeline
+  global: (page) => page.normalize().sharpen().threshold(128)
+};
+
+// Bump when the preprocessing steps change output; invalidates cached OCR results (services/ocrCache.js)
+const PREPROCESSING_VERSION = 1;
+
+const fromRaw = ({ data, width, height }) => sharp(data, { raw: { width, height, channels: 1 } });
+
+async function toRaw(pipeline) {
+  const { data, info } = await pipeline.greyscale().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+// Prepares uploads for OCR: orientation, size, perspective and skew correction,
+// then renders the variants in config.ocr.preprocessing.variants
+class ImagePreprocessor {
+  constructor(options) {
+    this.options = options;
+    this.version = PREPROCESSING_VERSION;
+    this.variants = options.variants.filter(name => {
+      if (VARIANTS[name]) return true;
+      console.warn(`⚠️ Unknown preprocessing variant "${name}" ignored`);
+      return false;
+    });
+    if (this.variants.length === 0) this.variants = ['standard'];
+  }
+
+  // Load an upload as a corrected greyscale page
+  // Returns { image, page, corrections, mapPoint } where mapPoint takes a point on the
+  // rendered variants back to pixel coordinates of the upload
+  async prepare(imagePath) {
+    const metadata = await sharp(imagePath).metadata();
+    const rotated = metadata.orientation >= 5; // EXIF orientations 5-8 swap width and height
+    const page = {
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height
+    };
+
+    let image = await toRaw(
+      sharp(imagePath)
+        .rotate()
+        .resize(this.options.maxWidth, null, { withoutEnlargement: true, fit: 'inside' })
+    );
+    const scale = page.width / image.width;
+    const corrections = { perspective: false, deskewAngle: 0 };
+    let transform = IDENTITY;
+
+    if (this.options.perspective) {
+      const quad = await this.detectDocument(image);
+      if (quad) {
+        const width = Math.round(Math.max(distance(quad[0], quad[1]), distance(quad[3], quad[2])));
+        const height = Math.round(Math.max(distance(quad[0], quad[3]), distance(quad[1], quad[2])));
+        const rectangle = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+        const matrix = perspectiveTransform(rectangle, quad);
+
+        if (matrix) {
+          image = warp(image, matrix, width, height);
+          transform = matrix;
+          corrections.perspective = true;
+          corrections.documentCorners = quad.map(point => ({
+            x: Math.round(point.x * scale),
+            y: Math.round(point.y * scale)
+          }));
+        }
+      }
+    }
+
+    if (this.options.deskew) {
+      const angle = estimateSkew(await this.analysisCopy(image), { maxAngle: this.options.maxSkew });
+      if (Math.abs(angle) >= MIN_SKEW) {
+        const rotation = rotationTransform(angle, image.width, image.height);
+        image = warp(image, rotation.matrix, rotation.width, rotation.height);
+        transform = multiplyTransforms(transform, rotation.matrix);
+        corrections.deskewAngle = angle;
+      }
+    }
+
+    const mapPoint = (x, y) => {
+      const point = applyTransform(transform, x, y);
+      return {
+        x: Math.min(page.width, Math.max(0, point.x * scale)),
+        y: Math.min(page.height, Math.max(0, point.y * scale))
+      };
+    };
+
+    return { image, page, corrections, mapPoint };
+  }
+
+  // Corners of the receipt on the reduced copy, scaled to the working image
+  async detectDocument(image) {
+    const small = await this.analysisCopy(image);
+    const quad = findDocumentQuad(small);
+    if (!quad) return null;
+
+    const factor = image.width / small.width;
+    const scaled = quad.map(point => ({ x: point.x * factor, y: point.y * factor }));
+
+    // Skip outlines that are just the photo frame
+    const margin = 0.03 * Math.max(image.width, image.height);
+    const frame = [{ x: 0, y: 0 }, { x: image.width, y: 0 }, { x: image.width, y: image.height }, { x: 0, y: image.height }];
+    return scaled.every((point, i) => distance(point, frame[i]) < margin) ? null : scaled;
+  }
+
+  analysisCopy(image) {
+    return toRaw(fromRaw(image).resize(ANALYSIS_WIDTH, null, { withoutEnlargement: true, fit: 'inside' }));
+  }
+
+  // PNG buffer of one variant of a prepared page
+  async render(prepared, name) {
+    const result = await VARIANTS[name](fromRaw(prepared.image));
+    const pipeline = result.data ? fromRaw(result) : result;
+    return pipeline.png().toBuffer();
+  }
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+module.exports = new ImagePreprocessor(config.ocr.preprocessing);
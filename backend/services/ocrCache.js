@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const imagePreprocessor = require('./imagePreprocessor');
+const billParser = require('./billParser');
+const receiptDetector = require('./receiptDetector');
+
+const CACHE_FORMAT = 2; // bump when the shape of an entry changes
+const TESSERACT_VERSION = require('tesseract.js/package.json').version;
+
+// Cache of OCR and parse results keyed by upload content
+// Only the SHA-256 of the file bytes is matched: receipts of one shop photographed the same way look
+// alike to any perceptual hash, and reusing another bill's text would silently corrupt the new bill.
+// Entries expire after ttlMinutes, the least recently used entry is evicted beyond maxEntries, and every
+// entry carries the version of the OCR engine, preprocessing and parser that produced it so upgrades
+// start from a clean cache. Each entry lists the bills it was read for (billIds): the retention sweep
+// and bill deletion forget those entries, so cached OCR text never outlives the bill's own.
+// With a filePath the cache survives restarts (written a moment after each change).
+class OCRCache {
+  constructor(options) {
+    this.options = options;
+    this.entries = new Map(); // sha256 -> entry, least recently used first
+    this.version = this.computeVersion();
+    this.stats = { hits: 0, misses: 0, evictions: 0, invalidated: 0, forgotten: 0 };
+    this.loading = null;
+    this.saveTimer = null;
+  }
+
+  // Read the persisted cache once, dropping entries made by another engine version
+  load() {
+    if (!this.loading) this.loading = this.readFile();
+    return this.loading;
+  }
+
+  async readFile() {
+    if (!this.options.filePath) return;
+    try {
+      const records = JSON.parse(await fs.readFile(this.options.filePath, 'utf8'));
+      records.forEach(record => {
+        if (record.version === this.version) {
+          this.entries.set(record.sha256, record);
+        } else {
+          this.stats.invalidated++;
+        }
+      });
+      console.log(`🗃️ Loaded ${this.entries.size} cached OCR results (${this.stats.invalidated} from other engine versions dropped)`);
+      if (this.stats.invalidated > 0) this.persist();
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn('⚠️ Could not read OCR cache:', error.message);
+    }
+  }
+
+  persist() {
+    if (!this.options.filePath) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.writeFile(), 1000);
+    this.saveTimer.unref();
+  }
+
+  async writeFile() {
+    try {
+      const tempPath = `${this.options.filePath}.tmp`;
+      await fs.mkdir(path.dirname(this.options.filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify([...this.entries.values()]));
+      await fs.rename(tempPath, this.options.filePath);
+    } catch (error) {
+      console.warn('⚠️ Could not save OCR cache:', error.message);
+    }
+  }
+
+  // Fingerprint of everything that changes OCR or parse output
+  computeVersion() {
+    const fingerprint = JSON.stringify({
+      format: CACHE_FORMAT,
+      providers: config.ocr.providers,
+      tesseract: TESSERACT_VERSION,
+      languages: config.ocr.languages,
+      autoDetectScript: config.ocr.autoDetectScript,
+      preprocessing: { ...config.ocr.preprocessing, version: imagePreprocessor.version },
+      documents: config.documents,
+      handwriting: {
+        providers: config.handwriting.providers,
+        minConfidence: config.handwriting.minConfidence,
+        detectBelowConfidence: config.handwriting.detectBelowConfidence
+      },
+      receipt: { ...config.receipt, version: receiptDetector.version },
+      parser: billParser.version
+    });
+    return crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 16);
+  }
+
+  // { sha256 } of an upload
+  async hashFile(filePath) {
+    const bytes = await fs.readFile(filePath);
+    return { sha256: crypto.createHash('sha256').update(bytes).digest('hex') };
+  }
+
+  // One key for an ordered set of files (stitched photos)
+  combineHashes(hashes) {
+    return {
+      sha256: crypto.createHash('sha256').update(hashes.map(hash => hash.sha256).join(':')).digest('hex')
+    };
+  }
+
+  // Cached { ocrResult, billData } for the hashes, billId is recorded as a user of the entry
+  // variant separates results read with different settings (e.g. requested languages)
+  async get(hashes, variant = '', billId = null) {
+    if (!this.options.enabled) return null;
+    await this.load();
+    this.expire();
+
+    const entry = this.entries.get(hashes.sha256);
+    if (!entry || entry.variant !== variant) {
+      this.stats.misses++;
+      return null;
+    }
+
+    // Most recently used goes to the end
+    this.entries.delete(entry.sha256);
+    this.entries.set(entry.sha256, entry);
+    entry.hits++;
+    this.stats.hits++;
+    if (billId && !entry.billIds.includes(String(billId))) entry.billIds.push(String(billId));
+    this.persist();
+
+    return {
+      ocrResult: entry.ocrResult,
+      billData: entry.billData,
+      cache: { hit: true, match: 'exact', key: entry.sha256, cachedAt: new Date(entry.cachedAt).toISOString(), version: this.version }
+    };
+  }
+
+  async set(hashes, variant, { ocrResult, billData }, billId = null) {
+    if (!this.options.enabled) return;
+    await this.load();
+
+    this.entries.delete(hashes.sha256);
+    this.entries.set(hashes.sha256, {
+      sha256: hashes.sha256,
+      billIds: billId ? [String(billId)] : [],
+      variant,
+      version: this.version,
+      ocrResult,
+      billData,
+      cachedAt: Date.now(),
+      hits: 0
+    });
+
+    while (this.entries.size > this.options.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.stats.evictions++;
+    }
+    this.persist();
+  }
+
+  // Drop entries older than the TTL
+  expire() {
+    const cutoff = Date.now() - this.options.ttlMinutes * 60 * 1000;
+    for (const [key, entry] of this.entries) {
+      if (entry.cachedAt < cutoff) {
+        this.entries.delete(key);
+        this.stats.invalidated++;
+        this.persist();
+      }
+    }
+  }
+
+  // Drop every entry read for one of the bills (OCR text purged, bill deleted), returns how many were dropped
+  async forgetBills(billIds) {
+    await this.load();
+    const forget = new Set(billIds.map(String));
+    let dropped = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.billIds.some(billId => forget.has(billId))) {
+        this.entries.delete(key);
+        dropped++;
+      }
+    }
+
+    if (dropped > 0) {
+      this.stats.forgotten += dropped;
+      this.persist();
+    }
+    return dropped;
+  }
+
+  async clear() {
+    await this.load();
+    this.entries.clear();
+    this.persist();
+  }
+
+  getStats() {
+    return {
+      enabled: this.options.enabled,
+      version: this.version,
+      entries: this.entries.size,
+      maxEntries: this.options.maxEntries,
+      ttlMinutes: this.options.ttlMinutes,
+      persisted: Boolean(this.options.filePath),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new OCRCache(config.ocrCache);
@@ -0,0 +1,94 @@
+const fs = require('fs').promises;
+const { detectScripts } = require('../../utils/scripts');
+const { cleanExtractedText } = require('../../utils/ocrText');
+const { layoutFromText, layoutFromWords, layoutToText } = require('../../utils/layout');
+
+// Generic OCR server reached over HTTP (config.ocr.http)
+//
+// Request:  POST <url>, multipart/form-data with `image` (file), optional `languages` (e.g. hin+eng)
+//           and `handwriting=true` for handwritten bills
+// Response: { text, confidence (0-100), words?: [{ text, bbox: { x0, y0, x1, y1 }, confidence }],
+//             page?: { width, height } }
+// mock-ocr-server.js implements this protocol for offline testing.
+class HttpProvider {
+  constructor({ url, timeoutMs, apiKey }) {
+    this.name = 'http';
+    this.handwriting = true;
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+    this.apiKey = apiKey;
+  }
+
+  async initialize() {}
+
+  // image is a file path or an image buffer
+  async extractText(image, { onProgress = () => {}, languages, handwriting = false } = {}) {
+    console.log(`📖 Sending image to OCR server ${this.url}...`);
+    const startTime = Date.now();
+    onProgress({ stage: 'ocr', status: 'started', progress: 0 });
+
+    const content = Buffer.isBuffer(image) ? image : await fs.readFile(image);
+    const form = new FormData();
+    form.append('image', new Blob([content]), 'bill');
+    if (languages) form.append('languages', languages.join('+'));
+    if (handwriting) form.append('handwriting', 'true');
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        body: form,
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw new Error(error.name === 'TimeoutError'
+        ? `OCR server did not answer within ${this.timeoutMs}ms`
+        : `OCR server unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`OCR server answered ${response.status} ${response.statusText}`);
+    }
+
+    const body = await response.json();
+    if (typeof body.text !== 'string') {
+      throw new Error('OCR server response has no text');
+    }
+
+    let layout;
+    if (Array.isArray(body.words) && body.words.length > 0) {
+      layout = layoutFromWords(body.words.map(word => ({
+        text: word.text,
+        bbox: word.bbox,
+        confidence: typeof word.confidence === 'number' ? word.confidence : null
+      })), 'http');
+      layout.page = body.page || null;
+    } else {
+      layout = { ...layoutFromText(cleanExtractedText(body.text)), source: 'http' };
+    }
+
+    const text = layoutToText(layout);
+    const processingTime = Date.now() - startTime;
+    onProgress({ stage: 'ocr', status: 'done', progress: 100 });
+    console.log(`✅ OCR server answered in ${processingTime}ms`);
+
+    const scripts = detectScripts(text);
+    return {
+      text,
+      layout,
+      confidence: typeof body.confidence === 'number' ? body.confidence : 0,
+      processingTime,
+      languages: scripts.map(entry => entry.code),
+      scripts: scripts.map(({ script, share }) => ({ script, share }))
+    };
+  }
+
+  getStats() {
+    return { url: this.url, timeoutMs: this.timeoutMs };
+  }
+
+  async cleanup() {}
+}
+
+module.exports = HttpProvider;
@@ -0,0 +1,172 @@
+const { detectScripts } = require('../../utils/scripts');
+const { layoutFromText } = require('../../utils/layout');
+
+// Sample receipts, dates are filled in when requested
+function sampleTexts() {
+  return [
+    `
+      SUPER MARKET RECEIPT
+      12 MG Road, Bengaluru - 560001
+      GSTIN: 29AAACR5055K1Z3
+      Date: ${new Date().toISOString().split('T')[0]}
+      Bill No: SM-${Math.floor(Math.random() * 10000)}
+      =====================================
+      Rice Basmati 1kg         ₹85.00
+      Cooking Oil 1L           ₹120.00
+      Sugar White 1kg          ₹45.00
+      Tea Leaves 250g          ₹75.00
+      Milk Packet 500ml        ₹25.00
+      =====================================
+      Subtotal:                ₹350.00
+      Tax (5%):                ₹17.50
+      Total:                   ₹367.50
+      =====================================
+      Thank you for shopping!
+    `,
+    `
+      GROCERY STORE
+      ${new Date().toLocaleDateString()}
+      Receipt #: GS${Math.floor(Math.random() * 1000)}
+      ------------------------
+      Bread                    ₹30.00
+      Butter 100g              ₹45.00
+      Eggs 12pcs               ₹60.00
+      Onion 1kg                ₹25.00
+      Potato 2kg               ₹40.00
+      ------------------------
+      Subtotal:                ₹200.00
+      GST (12%):               ₹24.00
+      Total Amount:            ₹224.00
+      ------------------------
+    `,
+    `
+      RETAIL MART BILL
+      Date: ${new Date().toISOString().split('T')[0]}
+      =====================================
+      Shampoo 200ml            ₹95.00
+      Soap Pack                ₹45.00
+      Toothpaste               ₹55.00
+      Detergent 1kg            ₹85.00
+      =====================================
+      Sub Total:               ₹280.00
+      Tax (18%):               ₹50.40
+      Final Total:             ₹330.40
+      =====================================
+    `,
+    `
+      शर्मा किराना स्टोर
+      SHARMA KIRANA STORE
+      Johari Bazar Road, Jaipur, Rajasthan 302003
+      GSTIN: 08ABCPS1234F1ZX
+      दिनांक Date: ${new Date().toISOString().split('T')[0]}
+      =====================================
+      चावल बासमती 1kg          ₹85.00
+      अरहर दाल 1kg             ₹140.00
+      चीनी 1kg                 ₹45.00
+      सरसों तेल 1L             ₹160.00
+      =====================================
+      उप योग Subtotal:         ₹430.00
+      CGST 2.5%:               ₹10.75
+      SGST 2.5%:               ₹10.75
+      कुल योग Total:           ₹451.50
+      =====================================
+      धन्यवाद! फिर आइए
+    `
+  ];
+}
+
+// Handwritten kirana estimates, returned when handwriting recognition is asked for
+function handwrittenSampleTexts() {
+  const today = new Date();
+  const written = `${today.getDate()}/${today.getMonth() + 1}/${today.getFullYear()}`;
+  return [
+    `
+      Gupta Kirana Store
+      Date ${written}
+      Chawal   2kg   45   90/-
+      Arhar dal   1kg   140   140/-
+      Cheeni   2kg   42   84
+      Sarso tel   1L   165   165/-
+      Namak   1   20   20
+      ---------------
+      Total   (499)
+    `,
+    `
+      Estimate
+      Sharma General Store
+      ${written}
+      1. Atta 5kg - 240
+      2. Doodh 2 - 56 - 112
+      3. Anda 12 - 6 - 72
+      4. Sabun 3 x 35 = 105
+      5. Biscuit   10
+      ______
+      539
+      Less 9
+      (530)
+    `,
+    `
+      राम किराना
+      दिनांक ${written}
+      चावल 2kg 45 90
+      दाल 1kg 140 140
+      तेल 1L 160
+      कुल 390
+    `
+  ];
+}
+
+// Sample receipt texts for demos and development without OCR (PROCESSING_MODE=mock)
+// Parsing and validation still run for real on the returned text
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.handwriting = true;
+  }
+
+  async initialize() {}
+
+  // Ignores the image and returns one of the sample receipts (a handwritten one for handwriting)
+  async extractText(image, { onProgress = () => {}, handwriting = false } = {}) {
+    console.log('🎭 Using mock OCR data for demo...');
+    
+    // Simulate processing time, reporting progress like the real worker
+    onProgress({ stage: 'preprocessing', status: 'skipped' });
+    onProgress({ stage: 'ocr', status: 'started', progress: 0 });
+    const duration = 1000 + Math.random() * 2000;
+    for (let progress = 20; progress <= 100; progress += 20) {
+      await new Promise(resolve => setTimeout(resolve, duration / 5));
+      onProgress({ stage: 'ocr', status: 'progress', progress });
+    }
+    onProgress({ stage: 'ocr', status: 'done', progress: 100 });
+
+    const samples = handwriting ? handwrittenSampleTexts() : sampleTexts();
+    const randomText = samples[Math.floor(Math.random() * samples.length)];
+    const scripts = detectScripts(randomText);
+
+    const text = randomText.trim();
+    const layout = layoutFromText(text);
+    if (handwriting) {
+      // Handwriting reads unevenly, some words well below the confidence asked for confirmation
+      layout.lines.forEach(line => line.words.forEach(word => {
+        word.confidence = parseFloat((60 + Math.random() * 38).toFixed(1));
+      }));
+    }
+    return {
+      text,
+      layout,
+      confidence: handwriting ? 65 + Math.random() * 15 : 85 + Math.random() * 10, // 65-80% handwritten, 85-95% printed
+      processingTime: 1500 + Math.random() * 1000,
+      languages: scripts.map(entry => entry.code),
+      scripts: scripts.map(({ script, share }) => ({ script, share }))
+    };
+  }
+
+  getStats() {
+    return { samples: sampleTexts().length, handwrittenSamples: handwrittenSampleTexts().length };
+  }
+
+  async cleanup() {}
+}
+
+module.exports = MockProvider;
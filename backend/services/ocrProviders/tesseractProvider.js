@@ -0,0 +1,313 @@
+const Tesseract = require('tesseract.js');
+const sharp = require('sharp');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const { detectScripts } = require('../../utils/scripts');
+const { cleanText } = require('../../utils/ocrText');
+const imagePreprocessor = require('../imagePreprocessor');
+const OCRWorkerPool = require('../ocrWorkerPool');
+const { layoutFromTesseract, transformLayout, layoutToText } = require('../../utils/layout');
+
+// Local OCR with Tesseract.js: language packs, worker pool and multi-pass image preprocessing
+class TesseractProvider {
+  constructor() {
+    this.name = 'tesseract';
+    this.handwriting = false; // trained on print, handwritten bills come out garbled
+    this.pool = new OCRWorkerPool({
+      ...config.ocr.pool,
+      createWorker: languages => this.createWorker(languages)
+    });
+    this.isInitialized = false;
+    this.availableLanguages = [];
+    this.languageFiles = {}; // code -> 'plain' | 'gzip'
+    this.progressListeners = new Map(); // OCR job id -> progress callback
+    this.jobCounter = 0;
+  }
+
+  // Find the configured language packs and start a pooled worker for all of them
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      console.log('🔄 Initializing Tesseract OCR...');
+      await this.resolveLanguagePacks();
+      await this.pool.warmUp(this.availableLanguages);
+
+      this.isInitialized = true;
+      console.log(`✅ Tesseract OCR initialized successfully (${this.availableLanguages.join('+')})`);
+    } catch (error) {
+      console.error('❌ Failed to initialize Tesseract OCR:', error);
+      throw new Error('Tesseract initialization failed');
+    }
+  }
+
+  // Check which configured languages have a traineddata file in the language directory
+  async resolveLanguagePacks() {
+    const { langPath, languages } = config.ocr;
+
+    for (const code of languages) {
+      const candidates = [[`${code}.traineddata`, 'plain'], [`${code}.traineddata.gz`, 'gzip']];
+      for (const [fileName, type] of candidates) {
+        try {
+          await fs.access(path.join(langPath, fileName));
+          this.languageFiles[code] = type;
+          break;
+        } catch (error) {
+          // Try the next file name
+        }
+      }
+      if (!this.languageFiles[code]) {
+        console.warn(`⚠️ No traineddata for "${code}" in ${langPath}, language disabled`);
+      }
+    }
+
+    // Both file types cannot be mixed in one worker, keep whichever covers more languages
+    const found = Object.keys(this.languageFiles);
+    const gzipCount = found.filter(code => this.languageFiles[code] === 'gzip').length;
+    this.gzip = gzipCount > found.length - gzipCount;
+    this.availableLanguages = found.filter(code => (this.languageFiles[code] === 'gzip') === this.gzip);
+    const skipped = found.filter(code => !this.availableLanguages.includes(code));
+    if (skipped.length > 0) {
+      console.warn(`⚠️ Skipping ${skipped.join(', ')}: store all packs either gzipped or uncompressed`);
+    }
+
+    if (this.availableLanguages.length === 0) {
+      // Nothing local: let Tesseract.js download English like before
+      console.warn('⚠️ No local language packs found, using the default English pack');
+      this.availableLanguages = ['eng'];
+      this.languageFiles = {};
+    }
+  }
+
+  // Run one recognition on a pooled worker for the given languages
+  // jobId routes the worker's progress log to the listener registered for this extraction
+  recognize(languages, image, options = {}, jobId) {
+    return this.pool.run(languages, worker => worker.recognize(image, {}, options, jobId));
+  }
+
+  async createWorker(languages) {
+    console.log(`🔄 Loading OCR languages: ${languages.join('+')}`);
+    const local = languages.every(code => this.languageFiles[code]);
+    const worker = await Tesseract.createWorker(languages, 1, {
+      logger: m => this.handleWorkerLog(m),
+      ...(local && { langPath: config.ocr.langPath, gzip: this.gzip, cacheMethod: 'none' })
+    });
+
+    await worker.setParameters({
+      // The Latin whitelist would drop every Indic character, so it only applies to English-only workers
+      ...(languages.length === 1 && languages[0] === 'eng' && {
+        tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz.,!@#$%^&*()_+-=[]{}|;:\'\"<>?/~` ₹'
+      }),
+      tessedit_pageseg_mode: Tesseract.PSM.AUTO,
+      preserve_interword_spaces: '1'
+    });
+
+    return worker;
+  }
+
+  // Languages to read a bill with: the packs for every script that makes up a real share of the probe text
+  // English stays in the mix for digits, units and printed labels
+  selectLanguages(probeText) {
+    const detected = detectScripts(probeText, { minShare: config.ocr.scriptMinShare })
+      .map(entry => entry.code)
+      .filter(code => this.availableLanguages.includes(code));
+
+    if (this.availableLanguages.includes('eng') && !detected.includes('eng')) {
+      detected.push('eng');
+    }
+    return detected.length > 0 ? detected : this.availableLanguages;
+  }
+
+  // Keep only language codes we have packs for
+  filterLanguages(languages) {
+    const usable = languages.filter(code => this.availableLanguages.includes(code));
+    const ignored = languages.filter(code => !usable.includes(code));
+    if (ignored.length > 0) {
+      console.warn(`⚠️ Ignoring unavailable OCR languages: ${ignored.join(', ')}`);
+    }
+    return usable.length > 0 ? usable : this.availableLanguages;
+  }
+
+  // Route Tesseract progress to the job that started the recognition
+  handleWorkerLog(m) {
+    if (m.status !== 'recognizing text') return;
+
+    const job = this.progressListeners.get(m.userJobId);
+    if (!job) {
+      console.log(`OCR Progress: ${(m.progress * 100).toFixed(1)}%`);
+      return;
+    }
+
+    // Report in 5% steps, Tesseract logs far more often than a client needs
+    const progress = Math.round(m.progress * 100);
+    if (progress - job.lastProgress >= 5 || (progress === 100 && job.lastProgress < 100)) {
+      job.lastProgress = progress;
+      job.onProgress({ stage: 'ocr', status: 'progress', progress });
+    }
+  }
+
+  // Correct the page geometry and render the configured variants lazily
+  // Falls back to the untouched upload (single 'original' variant) when the image cannot be processed
+  async preprocessImage(imagePath) {
+    try {
+      const prepared = await imagePreprocessor.prepare(imagePath);
+      return {
+        ...prepared,
+        variants: imagePreprocessor.variants,
+        render: (variant) => imagePreprocessor.render(prepared, variant)
+      };
+    } catch (error) {
+      console.error('Image preprocessing failed:', error.message);
+      const metadata = await sharp(imagePath).metadata().catch(() => ({}));
+      return {
+        page: metadata.width ? { width: metadata.width, height: metadata.height } : null,
+        corrections: null,
+        variants: ['original'],
+        render: async () => (Buffer.isBuffer(imagePath) ? imagePath : fs.readFile(imagePath)),
+        mapPoint: (x, y) => ({ x, y })
+      };
+    }
+  }
+
+  // Extract text from image using Tesseract.js
+  // Each preprocessing variant is read until one reaches the target confidence, the best one is kept
+  // onProgress receives { stage, status, progress } events for preprocessing and recognition
+  // languages (e.g. ['hin', 'eng']) skips script detection
+  async extractText(imagePath, { onProgress = () => {}, languages } = {}) {
+    const jobId = `ocr-${++this.jobCounter}`;
+    const { targetConfidence } = config.ocr.preprocessing;
+
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      console.log('📖 Starting OCR text extraction...');
+      const startTime = Date.now();
+
+      onProgress({ stage: 'preprocessing', status: 'started' });
+      const prepared = await this.preprocessImage(imagePath);
+      onProgress({ stage: 'preprocessing', status: 'done', corrections: prepared.corrections });
+
+      onProgress({ stage: 'ocr', status: 'started', progress: 0 });
+      const images = new Map(); // variant -> rendered image, the first one is shared with script detection
+      const renderVariant = async (variant) => {
+        if (!images.has(variant)) images.set(variant, await prepared.render(variant));
+        return images.get(variant);
+      };
+
+      const ocrLanguages = languages
+        ? this.filterLanguages(languages)
+        : await this.detectLanguages(await renderVariant(prepared.variants[0]));
+      const attempts = [];
+      let best = null;
+      for (const [index, variant] of prepared.variants.entries()) {
+        onProgress({
+          stage: 'ocr',
+          status: 'progress',
+          progress: 0,
+          languages: ocrLanguages,
+          variant,
+          message: `Reading ${ocrLanguages.join('+')} (${variant} image, pass ${index + 1}/${prepared.variants.length})`
+        });
+
+        // Perform OCR (blocks give the layout, our job id lets the logger find the listener)
+        this.progressListeners.set(jobId, { onProgress, lastProgress: 0 });
+        const { data } = await this.recognize(
+          ocrLanguages,
+          await renderVariant(variant),
+          { text: true, blocks: true, hocr: false, tsv: false },
+          jobId
+        );
+        images.delete(variant);
+
+        const wordCount = (data.words || []).length;
+        attempts.push({ variant, confidence: parseFloat(data.confidence.toFixed(1)), words: wordCount });
+        if (wordCount > 0 && (!best || data.confidence > best.data.confidence)) {
+          best = { variant, data };
+        }
+        if (best && best.data.confidence >= targetConfidence) break;
+      }
+      onProgress({ stage: 'ocr', status: 'done', progress: 100 });
+
+      if (!best) {
+        throw new Error('No text recognized in any preprocessing variant');
+      }
+      console.log(`🖼️ Preprocessing variant "${best.variant}" won: ${attempts.map(a => `${a.variant} ${a.confidence}%`).join(', ')}`);
+
+      // Boxes refer to the corrected image, map them back onto the upload
+      const layout = {
+        ...transformLayout(
+          layoutFromTesseract(best.data, { cleanWord: cleanText }),
+          prepared.mapPoint
+        ),
+        page: prepared.page
+      };
+
+      const processingTime = Date.now() - startTime;
+      console.log(`✅ OCR completed in ${processingTime}ms`);
+
+      const text = layoutToText(layout);
+      return {
+        text,
+        layout,
+        confidence: best.data.confidence,
+        processingTime,
+        languages: ocrLanguages,
+        scripts: detectScripts(text).map(({ script, share }) => ({ script, share })),
+        preprocessing: {
+          variant: best.variant,
+          attempts,
+          corrections: prepared.corrections
+        }
+      };
+
+    } catch (error) {
+      console.error('OCR extraction failed:', error);
+      throw new Error(`OCR processing failed: ${error.message}`);
+    } finally {
+      this.progressListeners.delete(jobId);
+    }
+  }
+
+  // Probe a reduced copy of the image with every pack and pick languages from the scripts found
+  async detectLanguages(image) {
+    if (!config.ocr.autoDetectScript || this.availableLanguages.length === 1) {
+      return this.availableLanguages;
+    }
+
+    try {
+      const probeImage = await sharp(image)
+        .resize(1000, null, { withoutEnlargement: true, fit: 'inside' })
+        .png()
+        .toBuffer();
+      const { data } = await this.recognize(this.availableLanguages, probeImage);
+
+      const languages = this.selectLanguages(data.text);
+      console.log(`🔤 Detected scripts → OCR languages: ${languages.join('+')}`);
+      return languages;
+    } catch (error) {
+      console.warn('⚠️ Script detection failed, using all languages:', error.message);
+      return this.availableLanguages;
+    }
+  }
+
+  // Get OCR statistics
+  getStats() {
+    return {
+      isInitialized: this.isInitialized,
+      languages: this.availableLanguages,
+      autoDetectScript: config.ocr.autoDetectScript,
+      preprocessingVariants: imagePreprocessor.variants,
+      pool: this.pool.getStats()
+    };
+  }
+
+  // Cleanup resources
+  async cleanup() {
+    await this.pool.terminate();
+  }
+}
+
+module.exports = TesseractProvider;
@@ -0,0 +1,190 @@
+// Pool of Tesseract workers shared by every OCR job
+//
+// Workers are tied to a language combination ('eng', 'hin+eng'). A job runs on an idle worker with its
+// languages, otherwise on a new worker while the pool has room, otherwise an idle worker of another
+// combination is replaced. When every worker is busy the job waits in FIFO order.
+// Workers are recycled after maxJobsPerWorker jobs, after a failed job and after a timeout.
+class OCRWorkerPool {
+  constructor({ size, maxJobsPerWorker, jobTimeoutMs, maxWaiting, createWorker }) {
+    this.size = size;
+    this.maxJobsPerWorker = maxJobsPerWorker;
+    this.jobTimeoutMs = jobTimeoutMs;
+    this.maxWaiting = maxWaiting;
+    this.createWorker = createWorker; // languages -> Promise of a Tesseract worker
+    this.workers = []; // { id, key, languages, worker (promise), busy, jobs, createdAt, lastUsedAt }
+    this.waiting = []; // { key, languages, task, enqueuedAt, resolve, reject }
+    this.workerCounter = 0;
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      recycled: 0,
+      totalWait: 0,
+      maxWait: 0,
+      totalRunTime: 0
+    };
+  }
+
+  // Run task(worker) on a worker for the given languages, resolves with the task result
+  run(languages, task) {
+    if (this.waiting.length >= this.maxWaiting) {
+      const error = new Error('Too many OCR jobs waiting for a worker');
+      error.code = 'OCR_POOL_FULL';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ key: languages.join('+'), languages, task, enqueuedAt: Date.now(), resolve, reject });
+      this.schedule();
+    });
+  }
+
+  // Start a worker for the given languages ahead of the first job
+  async warmUp(languages) {
+    const key = languages.join('+');
+    if (this.workers.some(entry => entry.key === key) || this.workers.length >= this.size) return;
+
+    const entry = this.addWorker(languages);
+    await entry.worker;
+  }
+
+  // Hand waiting jobs to workers, oldest job first
+  schedule() {
+    for (let index = 0; index < this.waiting.length; index++) {
+      const job = this.waiting[index];
+      const entry = this.acquire(job);
+      if (!entry) continue;
+
+      this.waiting.splice(index, 1);
+      index--;
+      this.execute(entry, job);
+    }
+  }
+
+  // Idle worker for a job, creating or replacing one when the pool allows it
+  acquire(job) {
+    const idle = this.workers.filter(entry => !entry.busy);
+    const match = idle.find(entry => entry.key === job.key);
+    if (match) return match;
+
+    if (this.workers.length < this.size) return this.addWorker(job.languages);
+
+    // Replace the idle worker that has gone unused the longest
+    const [oldest] = idle.sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+    if (!oldest) return null;
+    this.removeWorker(oldest, `replaced by ${job.key}`);
+    return this.addWorker(job.languages);
+  }
+
+  addWorker(languages) {
+    const entry = {
+      id: ++this.workerCounter,
+      key: languages.join('+'),
+      languages,
+      worker: this.createWorker(languages),
+      busy: false,
+      jobs: 0,
+      createdAt: Date.now(),
+      lastUsedAt: Date.now()
+    };
+    entry.worker.catch(() => this.removeWorker(entry, 'failed to start'));
+    this.workers.push(entry);
+    return entry;
+  }
+
+  removeWorker(entry, reason) {
+    const index = this.workers.indexOf(entry);
+    if (index === -1) return;
+
+    this.workers.splice(index, 1);
+    entry.worker.then(worker => worker.terminate()).catch(() => {});
+    console.log(`🧹 OCR worker #${entry.id} (${entry.key}) released: ${reason}`);
+  }
+
+  async execute(entry, job) {
+    const startedAt = Date.now();
+    const wait = startedAt - job.enqueuedAt;
+    this.stats.totalWait += wait;
+    this.stats.maxWait = Math.max(this.stats.maxWait, wait);
+
+    entry.busy = true;
+    entry.jobs++;
+    let timer;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new Error(`OCR job timed out after ${this.jobTimeoutMs}ms`);
+          error.code = 'OCR_TIMEOUT';
+          reject(error);
+        }, this.jobTimeoutMs);
+      });
+      const result = await Promise.race([entry.worker.then(worker => job.task(worker)), timeout]);
+
+      this.stats.completed++;
+      if (entry.jobs >= this.maxJobsPerWorker) {
+        this.stats.recycled++;
+        this.removeWorker(entry, `recycled after ${entry.jobs} jobs`);
+      }
+      job.resolve(result);
+    } catch (error) {
+      // A worker that timed out is still busy and one that threw may be broken, never reuse either
+      this.stats.failed++;
+      if (error.code === 'OCR_TIMEOUT') this.stats.timedOut++;
+      this.stats.recycled++;
+      this.removeWorker(entry, error.code === 'OCR_TIMEOUT' ? 'job timed out' : `job failed (${error.message})`);
+      job.reject(error);
+    } finally {
+      clearTimeout(timer);
+      this.stats.totalRunTime += Date.now() - startedAt;
+      entry.busy = false;
+      entry.lastUsedAt = Date.now();
+      this.schedule();
+    }
+  }
+
+  getStats() {
+    const finished = this.stats.completed + this.stats.failed;
+    const busy = this.workers.filter(entry => entry.busy).length;
+
+    return {
+      size: this.size,
+      workers: this.workers.length,
+      busy,
+      idle: this.workers.length - busy,
+      waiting: this.waiting.length,
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      timedOut: this.stats.timedOut,
+      recycled: this.stats.recycled,
+      averageQueueWait: finished > 0 ? Math.round(this.stats.totalWait / finished) : 0,
+      maxQueueWait: this.stats.maxWait,
+      averageRunTime: finished > 0 ? Math.round(this.stats.totalRunTime / finished) : 0,
+      loadedWorkers: this.workers.map(entry => ({
+        id: entry.id,
+        languages: entry.key,
+        busy: entry.busy,
+        jobs: entry.jobs,
+        age: Date.now() - entry.createdAt
+      }))
+    };
+  }
+
+  // Terminate every worker and fail the jobs still waiting
+  async terminate() {
+    const waiting = this.waiting.splice(0);
+    waiting.forEach(job => job.reject(new Error('OCR worker pool shut down')));
+
+    const workers = this.workers.splice(0);
+    for (const entry of workers) {
+      try {
+        await (await entry.worker).terminate();
+        console.log(`🧹 OCR worker #${entry.id} terminated`);
+      } catch (error) {
+        console.error('Failed to terminate OCR worker:', error);
+      }
+    }
+  }
+}
+
+module.exports = OCRWorkerPool;
@@ -0,0 +1,257 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const config = require('../config');
+const billProcessor = require('./billProcessor');
+const billStore = require('./billStore');
+const progressService = require('./progressService');
+const retentionService = require('./retentionService');
+const qualityService = require('./qualityService');
+const { compactLayout } = require('../utils/layout');
+
+const UNFINISHED_STAGES = ['uploaded', 'ocr_processing', 'parsing', 'validating'];
+const RECOVERY_BATCH_SIZE = 500;
+
+// Detection details worth keeping on the bill, without the file path (per photo when stitched)
+function describeReceipt(receipt) {
+  if (!receipt) return null;
+  if (receipt.parts) return { found: receipt.found, parts: receipt.parts.map(describeReceipt) };
+  const { cropPath, processingTime, ...details } = receipt;
+  return details;
+}
+
+// Background queue that runs OCR → parse → validate outside the HTTP request
+// Emits 'stage', 'completed' and 'failed' events with the bill id
+class ProcessingQueue extends EventEmitter {
+  constructor({ concurrency, maxLength }) {
+    super();
+    this.concurrency = concurrency;
+    this.maxLength = maxLength;
+    this.pending = [];
+    this.jobs = new Map(); // billId -> job
+    this.running = 0;
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      totalProcessingTime: 0,
+      totalQueueWait: 0
+    };
+  }
+
+  isFull() {
+    return !this.hasRoomFor(1);
+  }
+
+  // Whether count more jobs fit, a batch upload is queued whole or not at all
+  hasRoomFor(count) {
+    return this.pending.length + count <= this.maxLength;
+  }
+
+  // Add a stored bill to the queue, returns its 1-based queue position
+  // recovered bills were accepted before a restart and skip the length limit
+  enqueue(billId, { recovered = false } = {}) {
+    if (!recovered && this.isFull()) {
+      const error = new Error('Processing queue is full, please try again shortly');
+      error.code = 'QUEUE_FULL';
+      error.retryAfter = this.getRetryAfter();
+      throw error;
+    }
+
+    const job = { billId, enqueuedAt: Date.now() };
+    job.done = new Promise(resolve => { job.resolve = resolve; });
+
+    this.pending.push(job);
+    this.jobs.set(billId, job);
+    progressService.report(billId, { stage: 'upload', status: 'done' });
+    progressService.report(billId, { stage: 'queued', status: 'started', position: this.pending.length });
+    console.log(`📥 Queued bill ${billId} (${this.pending.length} waiting, ${this.running} running)`);
+
+    setImmediate(() => this.drain());
+    return this.pending.length;
+  }
+
+  // Bills left unfinished by a crash or restart (nothing else would ever finish them):
+  // queued again while their uploads are still there, marked failed otherwise
+  async recover() {
+    const requeued = [];
+    const failed = [];
+
+    try {
+      for (const processingStage of UNFINISHED_STAGES) {
+        const { bills } = await billStore.find({ status: null, processingStage, limit: RECOVERY_BATCH_SIZE });
+        for (const bill of bills.filter(bill => !this.jobs.has(bill._id))) {
+          const uploads = bill.partPaths?.length > 0 ? bill.partPaths : [bill.filePath];
+          const resumable = bill.status !== 'deleted' && !bill.imageDeletedAt
+            && uploads.every(filePath => filePath && fs.existsSync(filePath));
+
+          if (resumable) {
+            await billStore.update(bill._id, { processingStage: 'uploaded' });
+            this.enqueue(bill._id, { recovered: true });
+            requeued.push(bill._id);
+          } else {
+            await billStore.update(bill._id, {
+              processingStage: 'failed',
+              processingError: {
+                code: 'PROCESSING_INTERRUPTED',
+                message: 'Processing was interrupted by a server restart and the upload is no longer available, please upload the bill again'
+              }
+            });
+            failed.push(bill._id);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Failed to recover unfinished bills:', error.message);
+    }
+
+    if (requeued.length > 0 || failed.length > 0) {
+      console.log(`♻️ Unfinished bills after restart: ${requeued.length} queued again, ${failed.length} marked failed`);
+    }
+    return { requeued, failed };
+  }
+
+  // Resolves with { bill, error } once the job has finished
+  waitFor(billId) {
+    const job = this.jobs.get(billId);
+    return job ? job.done : Promise.resolve({ bill: null, error: null });
+  }
+
+  // 1-based position among waiting jobs, 0 when running or unknown
+  getPosition(billId) {
+    return this.pending.findIndex(job => job.billId === billId) + 1;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+
+      this.runJob(job).finally(() => {
+        this.running--;
+        this.jobs.delete(job.billId);
+        this.drain();
+      });
+    }
+  }
+
+  async runJob(job) {
+    const startedAt = Date.now();
+    this.stats.totalQueueWait += startedAt - job.enqueuedAt;
+    progressService.report(job.billId, { stage: 'queued', status: 'done' });
+
+    try {
+      const bill = await this.processBill(job.billId);
+      job.resolve({ bill, error: null });
+    } catch (error) {
+      job.resolve({ bill: await billStore.findById(job.billId), error });
+    } finally {
+      this.stats.totalProcessingTime += Date.now() - startedAt;
+    }
+  }
+
+  // Run the pipeline for a stored bill and record every stage on the bill
+  async processBill(billId) {
+    const bill = await billStore.findById(billId);
+    if (!bill) {
+      throw new Error(`Bill ${billId} not found`);
+    }
+
+    try {
+      const input = bill.partPaths?.length > 1 ? bill.partPaths : bill.filePath;
+      const result = await billProcessor.processBill(input, {
+        onStage: stage => this.setStage(billId, stage),
+        onProgress: event => progressService.report(billId, event),
+        languages: bill.requestedLanguages?.length > 0 ? bill.requestedLanguages : undefined,
+        writing: bill.requestedWriting || undefined,
+        billId
+      });
+
+      const updated = await billStore.update(billId, {
+        ocrText: result.ocr.text,
+        ocrConfidence: result.ocr.confidence,
+        ocrLanguages: result.ocr.languages,
+        ocrScripts: result.ocr.scripts,
+        ocrLayout: compactLayout(result.ocr.layout),
+        ocrProvider: result.ocr.provider,
+        ocrProviderAttempts: result.ocr.providerAttempts || null,
+        ocrPreprocessing: result.ocr.preprocessing || null,
+        documentType: result.ocr.documentType || 'image',
+        ocrPages: result.ocr.pages || null,
+        contentHash: result.hashes.sha256,
+        ocrCache: result.cache,
+        quality: result.quality,
+        cropPath: result.receipt?.cropPath || null,
+        receiptDetection: describeReceipt(result.receipt),
+        stitching: result.ocr.stitching || null,
+        writing: result.ocr.writing || null,
+        einvoice: result.einvoice,
+        billData: result.billData,
+        validation: result.validation,
+        processingTime: result.processingTime,
+        processingStage: 'completed',
+        processedAt: new Date()
+      });
+
+      this.stats.completed++;
+      progressService.report(billId, { stage: 'completed', status: 'done', isValid: result.validation.isValid });
+      this.emit('completed', billId, updated);
+      return updated;
+    } catch (error) {
+      console.error(`❌ Processing bill ${billId} failed:`, error.message);
+      await billStore.update(billId, {
+        processingStage: 'failed',
+        processingError: {
+          code: error.code || 'PROCESSING_FAILED',
+          message: error.message
+        },
+        quality: error.quality || null
+      });
+
+      this.stats.failed++;
+      progressService.report(billId, {
+        stage: 'failed',
+        status: 'error',
+        code: error.code || 'PROCESSING_FAILED',
+        message: error.message,
+        ...(error.quality && { hints: qualityService.retakeHints(error.quality) })
+      });
+      this.emit('failed', billId, error);
+      throw error;
+    } finally {
+      // Without an image retention period the upload is only needed while processing,
+      // the receipt crop stays for reviewers until the sweep removes it (config.retention.receiptHours)
+      if (config.retention.imageHours === 0) {
+        retentionService.removeImage(bill, { keepReceipt: config.retention.receiptHours > 0 })
+          .catch(error => console.warn(`⚠️ Failed to remove image of bill ${billId}:`, error.message));
+      }
+    }
+  }
+
+  async setStage(billId, stage) {
+    await billStore.update(billId, { processingStage: stage });
+    this.emit('stage', billId, stage);
+  }
+
+  // Seconds a client should wait before retrying when the queue is full
+  getRetryAfter() {
+    const finished = this.stats.completed + this.stats.failed;
+    const averageJobTime = finished > 0 ? this.stats.totalProcessingTime / finished : 5000;
+    const seconds = Math.ceil((this.pending.length * averageJobTime) / this.concurrency / 1000);
+    return Math.max(5, seconds);
+  }
+
+  getStats() {
+    const finished = this.stats.completed + this.stats.failed;
+    return {
+      waiting: this.pending.length,
+      running: this.running,
+      concurrency: this.concurrency,
+      maxLength: this.maxLength,
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      averageQueueWait: finished > 0 ? Math.round(this.stats.totalQueueWait / finished) : 0,
+      averageProcessingTime: finished > 0 ? Math.round(this.stats.totalProcessingTime / finished) : 0
+    };
+  }
+}
+
+module.exports = new ProcessingQueue(config.queue);
@@ -0,0 +1,46 @@
+const EventEmitter = require('events');
+
+const MAX_EVENTS_PER_BILL = 200;
+const HISTORY_TTL = 5 * 60 * 1000; // keep finished progress for 5 minutes
+
+// Per-bill progress events (upload, preprocessing, OCR %, parsing, each validation algorithm)
+// Late subscribers get the events they missed replayed first
+class ProgressService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.history = new Map(); // billId -> events
+  }
+
+  report(billId, event) {
+    const entry = { ...event, billId, timestamp: new Date().toISOString() };
+
+    const events = this.history.get(billId) || [];
+    events.push(entry);
+    if (events.length > MAX_EVENTS_PER_BILL) events.shift();
+    this.history.set(billId, events);
+
+    this.emit(billId, entry);
+
+    if (this.isFinal(entry)) {
+      setTimeout(() => this.history.delete(billId), HISTORY_TTL).unref();
+    }
+  }
+
+  // Listen to a bill's progress, returns an unsubscribe function
+  subscribe(billId, listener) {
+    (this.history.get(billId) || []).forEach(listener);
+    this.on(billId, listener);
+    return () => this.off(billId, listener);
+  }
+
+  getEvents(billId) {
+    return this.history.get(billId) || [];
+  }
+
+  isFinal(event) {
+    return event.stage === 'completed' || event.stage === 'failed';
+  }
+}
+
+module.exports = new ProgressService();
@@ -0,0 +1,260 @@
+const sharp = require('sharp');
+const config = require('../config');
+const { otsuLevel, labelRegions, laplacianVariance } = require('../utils/image');
+
+const ANALYSIS_WIDTH = 1000; // metrics are measured on a copy of this size so thresholds do not depend on the camera
+const GLARE_LEVEL = 250; // near-saturated grey level
+const MIN_GLARE_REGION = 0.001; // share of the receipt, smaller specks are ignored
+const EDGE_BAND = 0.015; // share of the width/height checked for text running into the frame edge
+const MM_PER_INCH = 25.4;
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+// Checks a photo before OCR and explains what to change when it is unlikely to read well:
+// blur (variance of the Laplacian), exposure and contrast of the paper, glare spots,
+// resolution (DPI across the receipt) and text running out of the frame
+class QualityService {
+  constructor(options) {
+    this.options = options;
+  }
+
+  // Image path or buffer → { usable, issues: [{ code, severity: 'error' | 'warning', message, hint }], metrics, checkTime }
+  // usable is false when an issue is severe enough that OCR will most likely fail
+  async assess(input) {
+    const startTime = Date.now();
+    const metadata = await sharp(input).metadata();
+    const rotated = metadata.orientation >= 5; // EXIF orientations 5-8 swap width and height
+    const original = {
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height
+    };
+
+    const { data, info } = await sharp(input)
+      .rotate()
+      .greyscale()
+      .resize(ANALYSIS_WIDTH, ANALYSIS_WIDTH, { fit: 'inside', withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const image = { data, width: info.width, height: info.height };
+
+    const paper = this.findPaper(image);
+    const exposure = this.measureExposure(image, paper);
+    const metrics = {
+      blur: this.measureBlur(image, paper, exposure),
+      exposure,
+      glare: this.measureGlare(image, paper),
+      resolution: this.measureResolution(metadata, original, paper, original.width / image.width),
+      framing: this.measureFraming(image, paper)
+    };
+
+    const issues = this.findIssues(metrics);
+    return {
+      usable: !issues.some(issue => issue.severity === 'error'),
+      issues,
+      metrics,
+      checkTime: Date.now() - startTime
+    };
+  }
+
+  // Largest bright region of the photo (the receipt) and the ink/paper threshold
+  findPaper(image) {
+    const { data, width, height } = image;
+    const level = otsuLevel(data);
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < mask.length; i++) mask[i] = data[i] > level ? 1 : 0;
+
+    const { regions } = labelRegions(mask, width, height);
+    const largest = regions.reduce((best, region) => (region.size > best.size ? region : best), { size: 0 });
+    const bbox = largest.size > 0 ? largest.bbox : { x0: 0, y0: 0, x1: width - 1, y1: height - 1 };
+    const area = (bbox.x1 - bbox.x0 + 1) * (bbox.y1 - bbox.y0 + 1);
+
+    return { level, bbox, share: area / (width * height) };
+  }
+
+  // Variance of the Laplacian over the receipt, scaled as if ink were black and paper white
+  // so dim or faded photos are not mistaken for blurred ones
+  measureBlur(image, paper, exposure) {
+    const stretch = 255 / Math.max(exposure.contrast, 10);
+    return { variance: Math.round(laplacianVariance(image, paper.bbox) * stretch * stretch) };
+  }
+
+  // Brightness of paper and ink inside the receipt, contrast between them, share of clipped pixels
+  measureExposure(image, paper) {
+    const { data, width } = image;
+    const { level, bbox } = paper;
+    let paperSum = 0;
+    let paperCount = 0;
+    let inkSum = 0;
+    let inkCount = 0;
+    let clipped = 0;
+
+    for (let y = bbox.y0; y <= bbox.y1; y++) {
+      for (let x = bbox.x0; x <= bbox.x1; x++) {
+        const value = data[y * width + x];
+        if (value > level) {
+          paperSum += value;
+          paperCount++;
+        } else {
+          inkSum += value;
+          inkCount++;
+        }
+        if (value >= GLARE_LEVEL) clipped++;
+      }
+    }
+
+    const paperBrightness = paperCount > 0 ? paperSum / paperCount : 0;
+    const inkBrightness = inkCount > 0 ? inkSum / inkCount : paperBrightness;
+    return {
+      paperBrightness: Math.round(paperBrightness),
+      inkBrightness: Math.round(inkBrightness),
+      contrast: Math.round(paperBrightness - inkBrightness),
+      clippedShare: round(clipped / (paperCount + inkCount))
+    };
+  }
+
+  // Saturated spots on a receipt that is otherwise not saturated (reflections of a lamp or flash)
+  measureGlare(image, paper) {
+    const { data, width } = image;
+    const { bbox } = paper;
+    const cropWidth = bbox.x1 - bbox.x0 + 1;
+    const cropHeight = bbox.y1 - bbox.y0 + 1;
+    const mask = new Uint8Array(cropWidth * cropHeight);
+    let saturated = 0;
+
+    for (let y = 0; y < cropHeight; y++) {
+      for (let x = 0; x < cropWidth; x++) {
+        if (data[(bbox.y0 + y) * width + bbox.x0 + x] >= GLARE_LEVEL) {
+          mask[y * cropWidth + x] = 1;
+          saturated++;
+        }
+      }
+    }
+
+    // Mostly saturated paper is overexposure (or a clean scan), not glare
+    if (saturated > mask.length * 0.5) return { share: 0, regions: 0 };
+
+    const minSize = MIN_GLARE_REGION * mask.length;
+    const spots = labelRegions(mask, cropWidth, cropHeight).regions.filter(region => region.size >= minSize);
+    return {
+      share: round(spots.reduce((sum, region) => sum + region.size, 0) / mask.length),
+      regions: spots.length
+    };
+  }
+
+  // DPI from the file when a scanner recorded it, otherwise estimated from the receipt's width in pixels
+  measureResolution(metadata, original, paper, scale) {
+    const width = original.width;
+    const height = original.height;
+    if (metadata.density && metadata.density > 72) {
+      return { width, height, dpi: Math.round(metadata.density), dpiSource: 'metadata' };
+    }
+
+    const paperWidth = (paper.bbox.x1 - paper.bbox.x0 + 1) * scale;
+    return {
+      width,
+      height,
+      dpi: Math.round(paperWidth / (this.options.receiptWidthMm / MM_PER_INCH)),
+      dpiSource: 'estimated'
+    };
+  }
+
+  // Frame edges the paper runs into, and those where text crosses the edge (receipt cut off)
+  // Text crosses an edge when paper sits on the edge and a band further in, with ink between them
+  measureFraming(image, paper) {
+    const { data, width, height } = image;
+    const { level } = paper;
+    const touching = [];
+    const cutOff = [];
+
+    SIDES.forEach(side => {
+      const horizontal = side === 'top' || side === 'bottom';
+      const length = horizontal ? width : height;
+      const depth = Math.max(2, Math.round(EDGE_BAND * (horizontal ? height : width)));
+      // Pixel value at position `along` the edge, `inward` pixels from it
+      const at = (along, inward) => {
+        const x = horizontal ? along : (side === 'left' ? inward : width - 1 - inward);
+        const y = horizontal ? (side === 'top' ? inward : height - 1 - inward) : along;
+        return data[y * width + x];
+      };
+
+      let onPaper = 0;
+      let crossed = 0;
+      for (let along = 0; along < length; along++) {
+        if (at(along, 0) <= level) continue;
+        onPaper++;
+        if (at(along, depth * 2) <= level) continue;
+        for (let inward = 1; inward < depth * 2; inward++) {
+          if (at(along, inward) < level - 30) {
+            crossed++;
+            break;
+          }
+        }
+      }
+
+      if (onPaper > length * 0.2) touching.push(side);
+      if (crossed > length * 0.03) cutOff.push(side);
+    });
+
+    return { receiptShare: round(paper.share), touching, cutOff };
+  }
+
+  // What to do differently for the next photo, most severe issues first
+  retakeHints(quality) {
+    const ordered = [
+      ...quality.issues.filter(issue => issue.severity === 'error'),
+      ...quality.issues.filter(issue => issue.severity !== 'error')
+    ];
+    return [...new Set(ordered.map(issue => issue.hint))];
+  }
+
+  findIssues({ blur, exposure, glare, resolution, framing }) {
+    const { minBlurVariance, minBrightness, minContrast, maxGlareShare, minDpi } = this.options;
+    const issues = [];
+    const add = (code, severe, message, hint) => issues.push({ code, severity: severe ? 'error' : 'warning', message, hint });
+
+    if (blur.variance < minBlurVariance) {
+      add('BLURRY', blur.variance < minBlurVariance / 2,
+        'The photo is blurred or out of focus',
+        'Hold the phone steady, tap the receipt to focus and retake the photo');
+    }
+
+    if (exposure.paperBrightness < minBrightness) {
+      add('TOO_DARK', exposure.paperBrightness < minBrightness * 0.6,
+        'The photo is too dark',
+        'Move to better light or turn on the flash');
+    } else if (exposure.contrast < minContrast && exposure.clippedShare > 0.5) {
+      add('OVEREXPOSED', exposure.contrast < minContrast / 2,
+        'The photo is overexposed, the print is washed out',
+        'Avoid direct light and flash, photograph the receipt in even light');
+    } else if (exposure.contrast < minContrast) {
+      add('LOW_CONTRAST', exposure.contrast < minContrast / 2,
+        'The print is faint against the paper',
+        'Use even, bright light without shadows; faded thermal receipts read best from a straight-on photo');
+    }
+
+    if (glare.share > maxGlareShare) {
+      add('GLARE', glare.share > maxGlareShare * 4,
+        `Reflections cover ${(glare.share * 100).toFixed(1)}% of the receipt`,
+        'Tilt the phone or the receipt to remove reflections, or turn off the flash');
+    }
+
+    if (resolution.dpi < minDpi) {
+      add('LOW_RESOLUTION', resolution.dpi < minDpi / 2,
+        `The receipt is only about ${resolution.dpi} DPI (${minDpi} needed)`,
+        'Move closer so the receipt fills the frame, or use a higher camera resolution');
+    }
+
+    if (framing.cutOff.length > 0) {
+      add('RECEIPT_CUT_OFF', false,
+        `Text runs off the ${framing.cutOff.join(' and ')} edge of the photo`,
+        'Move back so the whole receipt, including its edges, is inside the frame');
+    }
+
+    return issues;
+  }
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+module.exports = new QualityService(config.quality);
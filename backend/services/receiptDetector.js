@@ -0,0 +1,144 @@
+const path = require('path');
+const sharp = require('sharp');
+const config = require('../config');
+const { otsuLevel, findDocumentQuad, openMask, perspectiveTransform, warp } = require('../utils/image');
+
+const ANALYSIS_WIDTH = 800; // the outline is searched on a reduced copy
+const OPEN_RADIUS = 2; // pixels of the reduced copy
+const CROP_SUFFIX = '_receipt.png';
+
+// Bump when detection or cropping changes output; invalidates cached OCR results (services/ocrCache.js)
+const DETECTOR_VERSION = 1;
+
+// Finds the receipt in a photo that also shows the table, hands or background,
+// crops it and squares it up, and saves the crop next to the upload for reviewers
+// Receipt paper is bright and nearly colourless, so saturated surroundings (wood, skin, fabric)
+// are left out of the paper mask; brightness alone is tried when that finds nothing (tinted light)
+class ReceiptDetector {
+  constructor(options) {
+    this.options = options;
+    this.version = DETECTOR_VERSION;
+  }
+
+  // Outline of the receipt in upload pixels (after EXIF rotation)
+  // Returns { found, corners?: [topLeft, topRight, bottomRight, bottomLeft], areaShare?, method? }
+  async detect(imagePath) {
+    const { data, info } = await sharp(imagePath)
+      .rotate()
+      .resize(ANALYSIS_WIDTH, ANALYSIS_WIDTH, { fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const { width, height, channels } = info;
+    const { width: fullWidth } = await this.uprightSize(imagePath);
+    const scale = fullWidth / width;
+
+    const grey = new Uint8Array(width * height);
+    const saturation = new Float32Array(width * height);
+    for (let i = 0; i < grey.length; i++) {
+      const r = data[i * channels];
+      const g = channels >= 3 ? data[i * channels + 1] : r;
+      const b = channels >= 3 ? data[i * channels + 2] : r;
+      const max = Math.max(r, g, b);
+      grey[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+      saturation[i] = max === 0 ? 0 : (max - Math.min(r, g, b)) / max;
+    }
+
+    const image = { data: grey, width, height };
+    const level = otsuLevel(grey);
+    const colourMask = new Uint8Array(grey.length);
+    for (let i = 0; i < grey.length; i++) {
+      colourMask[i] = grey[i] > level && saturation[i] <= this.options.maxSaturation ? 1 : 0;
+    }
+
+    const options = { minArea: this.options.minArea, minFill: this.options.minFill };
+    const attempts = [
+      { method: 'colour', mask: openMask(colourMask, width, height, OPEN_RADIUS) },
+      { method: 'brightness', mask: null }
+    ];
+    for (const { method, mask } of attempts) {
+      const quad = findDocumentQuad(image, { ...options, ...(mask && { mask }) });
+      if (quad && !this.isFrame(quad, width, height)) {
+        return {
+          found: true,
+          method,
+          corners: quad.map(point => ({ x: Math.round(point.x * scale), y: Math.round(point.y * scale) })),
+          areaShare: parseFloat((quadArea(quad) / (width * height)).toFixed(3))
+        };
+      }
+    }
+    return { found: false };
+  }
+
+  // Detect, then write the squared-up receipt next to the upload (bill_123.jpg → bill_123_receipt.png)
+  // Returns the detection plus { cropPath, width, height } when a receipt was found
+  async crop(imagePath) {
+    const startTime = Date.now();
+    const detection = await this.detect(imagePath);
+    if (!detection.found) {
+      return { ...detection, processingTime: Date.now() - startTime };
+    }
+
+    // Warp at working resolution, the corners are scaled down with the image
+    const { data, info } = await sharp(imagePath)
+      .rotate()
+      .resize(this.options.maxWidth, null, { withoutEnlargement: true, fit: 'inside' })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const factor = info.width / (await this.uprightSize(imagePath)).width;
+    const quad = detection.corners.map(point => ({ x: point.x * factor, y: point.y * factor }));
+
+    const width = Math.round(Math.max(distance(quad[0], quad[1]), distance(quad[3], quad[2])));
+    const height = Math.round(Math.max(distance(quad[0], quad[3]), distance(quad[1], quad[2])));
+    const rectangle = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+    const matrix = perspectiveTransform(rectangle, quad);
+    if (!matrix) {
+      return { found: false, processingTime: Date.now() - startTime };
+    }
+
+    // warp works on one channel at a time
+    const output = Buffer.alloc(width * height * info.channels);
+    for (let channel = 0; channel < info.channels; channel++) {
+      const plane = Buffer.alloc(info.width * info.height);
+      for (let i = 0; i < plane.length; i++) plane[i] = data[i * info.channels + channel];
+      const warped = warp({ data: plane, width: info.width, height: info.height }, matrix, width, height);
+      for (let i = 0; i < warped.data.length; i++) output[i * info.channels + channel] = warped.data[i];
+    }
+
+    const cropPath = this.cropPathFor(imagePath);
+    await sharp(output, { raw: { width, height, channels: info.channels } }).png().toFile(cropPath);
+
+    return { ...detection, cropPath, width, height, processingTime: Date.now() - startTime };
+  }
+
+  cropPathFor(imagePath) {
+    const { dir, name } = path.parse(imagePath);
+    return path.join(dir, `${name}${CROP_SUFFIX}`);
+  }
+
+  async uprightSize(imagePath) {
+    const { width, height, orientation } = await sharp(imagePath).metadata();
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+  }
+
+  // An outline hugging the photo frame means the receipt already fills the photo
+  isFrame(quad, width, height) {
+    const margin = 0.03 * Math.max(width, height);
+    const frame = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+    return quad.every((point, i) => distance(point, frame[i]) < margin);
+  }
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function quadArea(quad) {
+  return Math.abs(quad.reduce((sum, point, i) => {
+    const next = quad[(i + 1) % 4];
+    return sum + point.x * next.y - next.x * point.y;
+  }, 0)) / 2;
+}
+
+module.exports = new ReceiptDetector(config.receipt);
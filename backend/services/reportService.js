@@ -0,0 +1,331 @@
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const { slabRate } = require('../utils/taxComponents');
+
+class ReportService {
+  constructor() {
+    this.formats = {
+      csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+      pdf: { contentType: 'application/pdf', extension: 'pdf' },
+      xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+    };
+  }
+
+  isSupported(format) {
+    return Boolean(this.formats[format]);
+  }
+
+  // Build a report file for a stored bill, returns { buffer, contentType, extension }
+  async generate(bill, format) {
+    const report = this.buildReportData(bill);
+
+    let buffer;
+    switch (format) {
+      case 'csv':
+        buffer = Buffer.from('﻿' + this.generateCsv(report), 'utf8'); // BOM so Excel reads ₹ correctly
+        break;
+      case 'pdf':
+        buffer = await this.generatePdf(report);
+        break;
+      case 'xlsx':
+        buffer = await this.generateXlsx(report);
+        break;
+      default:
+        throw new Error(`Unsupported report format: ${format}`);
+    }
+
+    return { buffer, ...this.formats[format] };
+  }
+
+  // Collect everything a report shows, with printed and recomputed totals side by side
+  buildReportData(bill) {
+    const billData = bill.billData || {};
+    const validation = bill.validation || {};
+    const items = billData.items || [];
+    const round = (value) => parseFloat((value || 0).toFixed(2));
+
+    const computedSubtotal = items.reduce((sum, item) => sum + (item.price || 0), 0);
+    const computedTax = billData.taxRate > 0 ? computedSubtotal * billData.taxRate / 100 : (billData.tax || 0);
+    const computedTotal = computedSubtotal + computedTax - (billData.discount || 0);
+
+    // CGST / SGST / IGST / cess rows under the tax, computed from their rate when the taxable value is known
+    const components = billData.taxComponents || [];
+    const singleSlab = slabRate(components) !== null;
+    const componentRows = components.length > 1
+      ? components.map(component => {
+        const base = component.taxableValue || (singleSlab ? computedSubtotal : null);
+        return {
+          field: `  ${component.type}${component.rate !== null ? ` (${component.rate}%)` : ''}`,
+          printed: round(component.amount),
+          computed: round(component.rate !== null && base ? base * component.rate / 100 : component.amount)
+        };
+      })
+      : [];
+
+    return {
+      id: String(bill._id),
+      fileName: bill.fileName,
+      processedAt: bill.processedAt ? new Date(bill.processedAt).toISOString() : '',
+      header: {
+        storeName: billData.storeName || '',
+        storeAddress: billData.storeAddress || '',
+        billNumber: billData.billNumber || '',
+        sellerGstin: billData.sellerGstin || '',
+        buyerGstin: billData.buyerGstin || '',
+        date: billData.date || '',
+        currency: billData.currency || '₹'
+      },
+      items: items.map((item, index) => ({
+        index: index + 1,
+        name: item.name,
+        quantity: item.quantity,
+        unitPrice: round(item.unitPrice),
+        price: round(item.price)
+      })),
+      totals: [
+        { field: 'Subtotal', printed: round(billData.subtotal), computed: round(computedSubtotal) },
+        { field: `Tax (${billData.taxRate || 0}%)`, printed: round(billData.tax), computed: round(computedTax) },
+        ...componentRows,
+        { field: 'Discount', printed: round(billData.discount), computed: round(billData.discount) },
+        { field: 'Total', printed: round(billData.total), computed: round(computedTotal) }
+      ].map(row => ({ ...row, difference: round(row.printed - row.computed) })),
+      verdict: {
+        isValid: Boolean(validation.isValid),
+        confidenceScore: validation.confidenceScore || 0,
+        discrepancyAmount: validation.discrepancyAmount || 0
+      },
+      issues: [
+        ...(validation.errors || []).map(error => ({ kind: 'Error', ...error })),
+        ...(validation.warnings || []).map(warning => ({ kind: 'Warning', ...warning }))
+      ].map(issue => ({
+        kind: issue.kind,
+        type: issue.type,
+        severity: issue.severity || '',
+        field: issue.field || '',
+        message: issue.message
+      })),
+      ocrConfidence: bill.ocrConfidence,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  // CSV: one section per block, separated by blank lines
+  generateCsv(report) {
+    const escape = (value) => {
+      let text = value === undefined || value === null ? '' : String(value);
+      // OCR text is untrusted, keep spreadsheets from evaluating it as a formula
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const row = (...values) => values.map(escape).join(',');
+
+    const lines = [
+      row('Bill Verification Report'),
+      row('Bill ID', report.id),
+      row('File', report.fileName),
+      row('Store', report.header.storeName),
+      row('Address', report.header.storeAddress),
+      row('Bill Number', report.header.billNumber),
+      row('Seller GSTIN', report.header.sellerGstin),
+      row('Buyer GSTIN', report.header.buyerGstin),
+      row('Date', report.header.date),
+      row('Result', report.verdict.isValid ? 'VALID' : 'ISSUES FOUND'),
+      row('Confidence Score', report.verdict.confidenceScore),
+      row('Discrepancy Amount', report.verdict.discrepancyAmount),
+      '',
+      row('#', 'Item', 'Quantity', 'Unit Price', 'Amount'),
+      ...report.items.map(item => row(item.index, item.name, item.quantity, item.unitPrice, item.price)),
+      '',
+      row('Field', 'Printed', 'Computed', 'Difference'),
+      ...report.totals.map(total => row(total.field, total.printed, total.computed, total.difference)),
+      '',
+      row('Kind', 'Type', 'Severity', 'Field', 'Message'),
+      ...report.issues.map(issue => row(issue.kind, issue.type, issue.severity, issue.field, issue.message)),
+      '',
+      row('Generated At', report.generatedAt)
+    ];
+
+    return lines.join('\r\n');
+  }
+
+  // Human-readable PDF report
+  generatePdf(report) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      // The built-in PDF fonts have no ₹ glyph
+      const money = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+      const pdfText = (text) => String(text || '').replace(/₹/g, 'Rs. ');
+      const left = doc.page.margins.left;
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+      const table = (columns, rows) => {
+        const drawRow = (values, bold) => {
+          if (doc.y > doc.page.height - doc.page.margins.bottom - 30) doc.addPage();
+          const y = doc.y;
+          let x = left;
+          let rowHeight = 0;
+          doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+          values.forEach((value, index) => {
+            const column = columns[index];
+            doc.text(pdfText(value), x + 2, y, { width: column.width - 4, align: column.align || 'left' });
+            rowHeight = Math.max(rowHeight, doc.y - y);
+            x += column.width;
+          });
+          doc.y = y + rowHeight + 4;
+          doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).strokeColor('#dddddd').stroke();
+        };
+
+        drawRow(columns.map(column => column.label), true);
+        rows.forEach(values => drawRow(values, false));
+        doc.x = left;
+        doc.moveDown();
+      };
+
+      const section = (title) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 60) doc.addPage();
+        doc.font('Helvetica-Bold').fontSize(13).fillColor('#1976d2').text(title, left);
+        doc.fillColor('black').moveDown(0.4);
+      };
+
+      // Title
+      doc.font('Helvetica-Bold').fontSize(18).text('Bill Verification Report', { align: 'center' });
+      doc.font('Helvetica').fontSize(10).fillColor('#666666')
+        .text(`Cyber Comets Smart Bill Verifier - generated ${report.generatedAt}`, { align: 'center' });
+      doc.fillColor('black').moveDown();
+
+      // Verdict
+      doc.font('Helvetica-Bold').fontSize(14)
+        .fillColor(report.verdict.isValid ? '#2e7d32' : '#c62828')
+        .text(report.verdict.isValid ? 'VERIFIED - no errors found' : `ISSUES FOUND - discrepancy ${money(report.verdict.discrepancyAmount)}`);
+      doc.font('Helvetica').fontSize(10).fillColor('black')
+        .text(`Confidence score: ${report.verdict.confidenceScore}%`);
+      doc.moveDown();
+
+      // Bill header
+      section('Bill Details');
+      [
+        ['Store', report.header.storeName],
+        ['Address', report.header.storeAddress],
+        ['Bill number', report.header.billNumber],
+        ['Seller GSTIN', report.header.sellerGstin],
+        ['Buyer GSTIN', report.header.buyerGstin],
+        ['Date', report.header.date],
+        ['File', report.fileName],
+        ['Bill ID', report.id]
+      ].forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true })
+          .font('Helvetica').text(pdfText(value) || '-');
+      });
+      doc.moveDown();
+
+      // Items
+      section(`Items (${report.items.length})`);
+      table(
+        [
+          { label: '#', width: width * 0.06 },
+          { label: 'Item', width: width * 0.46 },
+          { label: 'Qty', width: width * 0.1, align: 'right' },
+          { label: 'Unit price', width: width * 0.19, align: 'right' },
+          { label: 'Amount', width: width * 0.19, align: 'right' }
+        ],
+        report.items.map(item => [item.index, item.name, item.quantity, money(item.unitPrice), money(item.price)])
+      );
+
+      // Printed vs computed totals
+      section('Printed vs Computed Totals');
+      table(
+        [
+          { label: 'Field', width: width * 0.34 },
+          { label: 'Printed', width: width * 0.22, align: 'right' },
+          { label: 'Computed', width: width * 0.22, align: 'right' },
+          { label: 'Difference', width: width * 0.22, align: 'right' }
+        ],
+        report.totals.map(total => [total.field, money(total.printed), money(total.computed), money(total.difference)])
+      );
+
+      // Errors and warnings
+      section(`Errors and Warnings (${report.issues.length})`);
+      if (report.issues.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('No issues detected.');
+      } else {
+        table(
+          [
+            { label: 'Kind', width: width * 0.12 },
+            { label: 'Severity', width: width * 0.12 },
+            { label: 'Type', width: width * 0.2 },
+            { label: 'Message', width: width * 0.56 }
+          ],
+          report.issues.map(issue => [issue.kind, issue.severity.toUpperCase(), issue.type, issue.message])
+        );
+      }
+
+      doc.end();
+    });
+  }
+
+  // Spreadsheet with one sheet per section
+  async generateXlsx(report) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Cyber Comets Smart Bill Verifier';
+    workbook.created = new Date(report.generatedAt);
+
+    const addSheet = (name, columns, rows) => {
+      const sheet = workbook.addWorksheet(name);
+      sheet.columns = columns;
+      sheet.addRows(rows);
+      sheet.getRow(1).font = { bold: true };
+      return sheet;
+    };
+
+    addSheet('Summary', [
+      { header: 'Field', key: 'field', width: 22 },
+      { header: 'Value', key: 'value', width: 50 }
+    ], [
+      { field: 'Bill ID', value: report.id },
+      { field: 'File', value: report.fileName },
+      { field: 'Store', value: report.header.storeName },
+      { field: 'Address', value: report.header.storeAddress },
+      { field: 'Bill Number', value: report.header.billNumber },
+      { field: 'Seller GSTIN', value: report.header.sellerGstin },
+      { field: 'Buyer GSTIN', value: report.header.buyerGstin },
+      { field: 'Date', value: report.header.date },
+      { field: 'Result', value: report.verdict.isValid ? 'VALID' : 'ISSUES FOUND' },
+      { field: 'Confidence Score', value: report.verdict.confidenceScore },
+      { field: 'Discrepancy Amount', value: report.verdict.discrepancyAmount },
+      { field: 'Processed At', value: report.processedAt },
+      { field: 'Generated At', value: report.generatedAt }
+    ]);
+
+    addSheet('Items', [
+      { header: '#', key: 'index', width: 6 },
+      { header: 'Item', key: 'name', width: 40 },
+      { header: 'Quantity', key: 'quantity', width: 10 },
+      { header: 'Unit Price', key: 'unitPrice', width: 14, style: { numFmt: '0.00' } },
+      { header: 'Amount', key: 'price', width: 14, style: { numFmt: '0.00' } }
+    ], report.items);
+
+    addSheet('Totals', [
+      { header: 'Field', key: 'field', width: 18 },
+      { header: 'Printed', key: 'printed', width: 14, style: { numFmt: '0.00' } },
+      { header: 'Computed', key: 'computed', width: 14, style: { numFmt: '0.00' } },
+      { header: 'Difference', key: 'difference', width: 14, style: { numFmt: '0.00' } }
+    ], report.totals);
+
+    addSheet('Issues', [
+      { header: 'Kind', key: 'kind', width: 10 },
+      { header: 'Type', key: 'type', width: 20 },
+      { header: 'Severity', key: 'severity', width: 10 },
+      { header: 'Field', key: 'field', width: 18 },
+      { header: 'Message', key: 'message', width: 80 }
+    ], report.issues);
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = new ReportService();
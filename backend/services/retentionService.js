@@ -0,0 +1,197 @@
+const fs = require('fs').promises;
+const config = require('../config');
+const billStore = require('./billStore');
+const ocrCache = require('./ocrCache');
+const receiptDetector = require('./receiptDetector');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const SWEEP_BATCH_SIZE = 500;
+const FINISHED_STAGES = ['completed', 'failed'];
+
+// Every uploaded photo of a bill
+function uploadPaths(bill) {
+  return bill.partPaths?.length > 0 ? bill.partPaths : [bill.filePath].filter(Boolean);
+}
+
+// The receipt crop saved next to each photo (also present when processing failed after cropping)
+function cropPaths(bill) {
+  return uploadPaths(bill).map(filePath => receiptDetector.cropPathFor(filePath));
+}
+
+async function unlinkAll(filePaths) {
+  for (const filePath of filePaths) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+// Background job that enforces the retention policy from config.retention
+// Removes uploaded images, clears OCR text and purges old or soft-deleted bills
+class RetentionService {
+  constructor(policy) {
+    this.policy = policy;
+    this.timer = null;
+    this.sweeping = false;
+    this.lastSweep = null;
+  }
+
+  start() {
+    if (!this.policy.sweepMinutes) {
+      console.log('🧹 Retention sweep disabled (RETENTION_SWEEP_MINUTES=0)');
+      return;
+    }
+
+    this.timer = setInterval(() => this.sweep(), this.policy.sweepMinutes * 60 * 1000);
+    this.timer.unref();
+    setImmediate(() => this.sweep());
+    console.log(`🧹 Retention sweep every ${this.policy.sweepMinutes} min`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Delete the uploaded image of a bill and remember that it is gone
+  // The receipt crop goes with it unless keepReceipt (still within receiptHours, removed by a later sweep)
+  async removeImage(bill, { keepReceipt = false } = {}) {
+    await unlinkAll(uploadPaths(bill));
+    if (!keepReceipt) await unlinkAll(cropPaths(bill));
+    await billStore.update(bill._id, { imageDeletedAt: new Date(), ...(!keepReceipt && { receiptDeletedAt: new Date() }) });
+  }
+
+  // Delete the receipt crop kept after its upload was removed
+  async removeReceipt(bill) {
+    await unlinkAll(cropPaths(bill));
+    await billStore.update(bill._id, { receiptDeletedAt: new Date() });
+  }
+
+  // Delete a bill record together with its images and the OCR results cached for it
+  async removeBill(bill) {
+    if (!bill.receiptDeletedAt) {
+      for (const filePath of [...uploadPaths(bill), ...cropPaths(bill)]) {
+        await fs.unlink(filePath).catch(() => {});
+      }
+    }
+    await billStore.remove(bill._id);
+    await ocrCache.forgetBills([bill._id]);
+  }
+
+  // Run every purge step once, returns the ids removed per category
+  async sweep() {
+    if (this.sweeping) return null;
+    this.sweeping = true;
+
+    const now = Date.now();
+    const removed = { images: [], receipts: [], ocrText: [], deletedBills: [], expiredBills: [] };
+    const receiptCutoff = new Date(now - this.policy.receiptHours * HOUR);
+
+    try {
+      // Images of finished bills (bills still in the pipeline need theirs)
+      const { bills: withImages } = await billStore.find({
+        status: null,
+        hasImage: true,
+        createdBefore: new Date(now - this.policy.imageHours * HOUR),
+        limit: SWEEP_BATCH_SIZE
+      });
+      for (const bill of withImages.filter(bill => FINISHED_STAGES.includes(bill.processingStage))) {
+        await this.removeImage(bill, { keepReceipt: bill.createdAt >= receiptCutoff });
+        removed.images.push(bill._id);
+      }
+
+      // Receipt crops kept for review after their upload was removed
+      const { bills: withReceipts } = await billStore.find({
+        status: null,
+        hasKeptReceipt: true,
+        createdBefore: receiptCutoff,
+        limit: SWEEP_BATCH_SIZE
+      });
+      for (const bill of withReceipts) {
+        await this.removeReceipt(bill);
+        removed.receipts.push(bill._id);
+      }
+
+      if (this.policy.ocrTextDays > 0) {
+        const { bills } = await billStore.find({
+          status: null,
+          hasOcrText: true,
+          createdBefore: new Date(now - this.policy.ocrTextDays * DAY),
+          limit: SWEEP_BATCH_SIZE
+        });
+        for (const bill of bills) {
+          await billStore.update(bill._id, { ocrText: '', ocrLayout: null, ocrTextPurgedAt: new Date() });
+          removed.ocrText.push(bill._id);
+        }
+        // The cached copy of the text goes with it
+        if (removed.ocrText.length > 0) await ocrCache.forgetBills(removed.ocrText);
+      }
+
+      if (this.policy.deletedDays > 0) {
+        const { bills } = await billStore.find({
+          status: 'deleted',
+          deletedBefore: new Date(now - this.policy.deletedDays * DAY),
+          limit: SWEEP_BATCH_SIZE
+        });
+        for (const bill of bills) {
+          await this.removeBill(bill);
+          removed.deletedBills.push(bill._id);
+        }
+      }
+
+      if (this.policy.recordDays > 0) {
+        const { bills } = await billStore.find({
+          status: null,
+          createdBefore: new Date(now - this.policy.recordDays * DAY),
+          limit: SWEEP_BATCH_SIZE
+        });
+        for (const bill of bills.filter(bill => FINISHED_STAGES.includes(bill.processingStage))) {
+          await this.removeBill(bill);
+          removed.expiredBills.push(bill._id);
+        }
+      }
+
+      this.logSweep(removed);
+      this.lastSweep = {
+        finishedAt: new Date().toISOString(),
+        duration: Date.now() - now,
+        removed: Object.fromEntries(Object.entries(removed).map(([key, ids]) => [key, ids.length]))
+      };
+      return removed;
+    } catch (error) {
+      console.error('❌ Retention sweep failed:', error.message);
+      this.lastSweep = { finishedAt: new Date().toISOString(), error: error.message };
+      return null;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  logSweep(removed) {
+    const labels = {
+      images: 'uploaded images removed',
+      receipts: 'receipt crops removed',
+      ocrText: 'OCR texts cleared',
+      deletedBills: 'deleted bills purged',
+      expiredBills: 'expired bills purged'
+    };
+    const entries = Object.entries(removed).filter(([, ids]) => ids.length > 0);
+
+    if (entries.length === 0) return;
+    console.log('🧹 Retention sweep finished:');
+    entries.forEach(([key, ids]) => console.log(`   ${ids.length} ${labels[key]}: ${ids.join(', ')}`));
+  }
+
+  getStatus() {
+    return {
+      policy: this.policy,
+      running: Boolean(this.timer),
+      lastSweep: this.lastSweep
+    };
+  }
+}
+
+module.exports = new RetentionService(config.retention);
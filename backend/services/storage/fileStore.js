@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { roundAmount, formatPeriod, combineSeverities } = require('../../utils/statistics');
+
+const DATE_FIELDS = [
+  'createdAt', 'updatedAt', 'processedAt', 'lastDownloaded',
+  'archivedAt', 'deletedAt', 'imageDeletedAt', 'ocrTextPurgedAt'
+];
+
+// Embedded file-based bill store for laptops and tests without a database
+// Bills live in memory and are written to a single JSON file after every change
+// Records follow the shape of models/Bill.js so they can move to MongoDB unchanged
+class FileBillStore {
+  constructor({ dataDir }) {
+    this.name = 'file';
+    this.filePath = path.join(dataDir, 'bills.json');
+    this.bills = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  async connect() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      const records = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      records.forEach(record => this.bills.set(record._id, this.reviveDates(record)));
+      console.log(`📂 Loaded ${this.bills.size} bills from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load bill store: ${error.message}`);
+      }
+      console.log(`📂 Starting new bill store at ${this.filePath}`);
+    }
+  }
+
+  async disconnect() {
+    await this.writeQueue;
+  }
+
+  reviveDates(record) {
+    DATE_FIELDS.forEach(field => {
+      if (record[field]) record[field] = new Date(record[field]);
+    });
+    return record;
+  }
+
+  // Writes are serialized and go through a temp file so a crash never leaves half a file
+  persist() {
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify([...this.bills.values()]));
+        await fs.rename(tempPath, this.filePath);
+      })
+      .catch(error => console.error('❌ Failed to write bill store:', error.message));
+    return this.writeQueue;
+  }
+
+  // Generate a 24-character hex id (same format as a MongoDB ObjectId)
+  generateId() {
+    const timestamp = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+    return timestamp + crypto.randomBytes(8).toString('hex');
+  }
+
+  async create(data) {
+    const now = new Date();
+    const bill = {
+      _id: this.generateId(),
+      processingStage: 'uploaded',
+      userId: 'anonymous',
+      downloadCount: 0,
+      status: 'active',
+      ...data,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.bills.set(bill._id, bill);
+    await this.persist();
+    return bill;
+  }
+
+  async findById(id) {
+    return this.bills.get(id) || null;
+  }
+
+  async update(id, changes) {
+    const bill = this.bills.get(id);
+    if (!bill) return null;
+
+    Object.assign(bill, changes, { updatedAt: new Date() });
+    await this.persist();
+    return bill;
+  }
+
+  async remove(id) {
+    const removed = this.bills.delete(id);
+    if (removed) await this.persist();
+    return removed;
+  }
+
+  // List bills newest first
+  // status filters the record status (active/archived/deleted), processingStage the pipeline stage
+  // createdBefore, deletedBefore, hasImage, hasKeptReceipt and hasOcrText select bills for the retention purge
+  // (hasKeptReceipt: the receipt crop is still stored after the upload was removed)
+  async find({
+    userId, status = 'active', processingStage, createdBefore, deletedBefore, hasImage, hasKeptReceipt, hasOcrText,
+    limit = 10, offset = 0
+  } = {}) {
+    const matching = [...this.bills.values()]
+      .filter(bill => !userId || bill.userId === userId)
+      .filter(bill => !status || bill.status === status)
+      .filter(bill => !processingStage || bill.processingStage === processingStage)
+      .filter(bill => !createdBefore || bill.createdAt < createdBefore)
+      .filter(bill => !deletedBefore || (bill.deletedAt && bill.deletedAt < deletedBefore))
+      .filter(bill => !hasImage || (bill.filePath && !bill.imageDeletedAt))
+      .filter(bill => !hasKeptReceipt || (bill.imageDeletedAt && !bill.receiptDeletedAt))
+      .filter(bill => !hasOcrText || Boolean(bill.ocrText))
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return {
+      bills: matching.slice(offset, offset + limit),
+      total: matching.length
+    };
+  }
+
+  // Same figures as Bill.getStatistics(), `to` is exclusive
+  async getStatistics({ from, to, userId, period = 'day', timezone = 'UTC', storeLimit = 20 } = {}) {
+    const bills = [...this.bills.values()]
+      .filter(bill => bill.status !== 'deleted')
+      .filter(bill => !userId || bill.userId === userId)
+      .filter(bill => !from || bill.createdAt >= from)
+      .filter(bill => !to || bill.createdAt < to);
+
+    const average = (values) => values.length > 0
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : 0;
+    const emptyFigures = () => ({ bills: 0, validBills: 0, totalAmount: 0, totalDiscrepancy: 0 });
+    const addFigures = (figures, bill) => {
+      figures.bills++;
+      if (bill.validation?.isValid) figures.validBills++;
+      figures.totalAmount += bill.billData?.total || 0;
+      figures.totalDiscrepancy += bill.validation?.discrepancyAmount || 0;
+      return figures;
+    };
+    const roundFigures = (figures) => ({
+      ...figures,
+      totalAmount: roundAmount(figures.totalAmount),
+      totalDiscrepancy: roundAmount(figures.totalDiscrepancy)
+    });
+
+    const stores = new Map();
+    const periods = new Map();
+    const issueTypes = { errors: new Map(), warnings: new Map() };
+    const severities = { errors: {}, warnings: {} };
+
+    bills.forEach(bill => {
+      const storeName = (bill.billData?.storeName || '').trim();
+      const storeKey = storeName.toUpperCase();
+      if (!stores.has(storeKey)) stores.set(storeKey, { storeName, ...emptyFigures() });
+      addFigures(stores.get(storeKey), bill);
+
+      const periodKey = formatPeriod(bill.createdAt, period, timezone);
+      if (!periods.has(periodKey)) periods.set(periodKey, { period: periodKey, ...emptyFigures() });
+      addFigures(periods.get(periodKey), bill);
+
+      ['errors', 'warnings'].forEach(field => {
+        (bill.validation?.[field] || []).forEach(issue => {
+          const entry = issueTypes[field].get(issue.type) || { type: issue.type, count: 0, bills: new Set() };
+          entry.count++;
+          entry.bills.add(bill._id);
+          issueTypes[field].set(issue.type, entry);
+
+          const severity = issue.severity || 'medium';
+          severities[field][severity] = (severities[field][severity] || 0) + 1;
+        });
+      });
+    });
+
+    const totalAmount = bills.reduce((sum, bill) => sum + (bill.billData?.total || 0), 0);
+    const completedBills = bills.filter(bill => bill.processingStage === 'completed').length;
+    const validBills = bills.filter(bill => bill.validation?.isValid).length;
+    const typeList = (entries) => [...entries.values()]
+      .map(entry => ({ type: entry.type, count: entry.count, bills: entry.bills.size }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      totals: {
+        totalBills: bills.length,
+        validBills,
+        invalidBills: bills.length - validBills,
+        completedBills,
+        failedBills: bills.filter(bill => bill.processingStage === 'failed').length,
+        totalAmount: roundAmount(totalAmount),
+        averageAmount: roundAmount(completedBills > 0 ? totalAmount / completedBills : 0),
+        totalDiscrepancy: roundAmount(bills.reduce((sum, bill) => sum + (bill.validation?.discrepancyAmount || 0), 0)),
+        billsWithDiscrepancy: bills.filter(bill => bill.validation?.discrepancyAmount > 0).length,
+        averageConfidence: average(bills.map(bill => bill.validation?.confidenceScore || 0)),
+        averageProcessingTime: average(bills.map(bill => bill.processingTime || 0))
+      },
+      byStore: [...stores.values()]
+        .sort((a, b) => b.bills - a.bills || b.totalAmount - a.totalAmount)
+        .slice(0, storeLimit)
+        .map(roundFigures),
+      byPeriod: [...periods.values()]
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(roundFigures),
+      byErrorType: typeList(issueTypes.errors),
+      byWarningType: typeList(issueTypes.warnings),
+      bySeverity: combineSeverities(severities.errors, severities.warnings)
+    };
+  }
+
+  // Same selection as Bill.getRecentActivity()
+  async getRecentActivity(limit = 10) {
+    const { bills } = await this.find({ status: 'active', limit });
+    return bills.map(bill => ({
+      _id: bill._id,
+      fileName: bill.fileName,
+      validation: {
+        isValid: bill.validation?.isValid || false,
+        confidenceScore: bill.validation?.confidenceScore || 0
+      },
+      createdAt: bill.createdAt,
+      processingTime: bill.processingTime
+    }));
+  }
+}
+
+module.exports = FileBillStore;
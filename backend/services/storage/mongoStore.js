@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Bill = require('../../models/Bill');
+const { PERIOD_FORMATS, roundAmount, combineSeverities } = require('../../utils/statistics');
+
+// MongoDB bill store backed by models/Bill.js
+// Returns plain objects with string ids so callers work the same with every backend
+class MongoBillStore {
+  constructor({ mongoUri }) {
+    this.name = 'mongo';
+    this.mongoUri = mongoUri;
+  }
+
+  async connect() {
+    await mongoose.connect(this.mongoUri);
+    console.log('🍃 Connected to MongoDB');
+  }
+
+  async disconnect() {
+    await mongoose.disconnect();
+  }
+
+  toPlain(doc) {
+    if (!doc) return null;
+    return { ...doc, _id: doc._id.toString() };
+  }
+
+  async create(data) {
+    const bill = await Bill.create(data);
+    return this.toPlain(bill.toObject({ virtuals: false }));
+  }
+
+  async findById(id) {
+    return this.toPlain(await Bill.findById(id).lean());
+  }
+
+  async update(id, changes) {
+    const bill = await Bill.findByIdAndUpdate(
+      id,
+      { $set: { ...changes, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    ).lean();
+    return this.toPlain(bill);
+  }
+
+  async remove(id) {
+    const result = await Bill.deleteOne({ _id: id });
+    return result.deletedCount > 0;
+  }
+
+  // List bills newest first
+  // status filters the record status (active/archived/deleted), processingStage the pipeline stage
+  // createdBefore, deletedBefore, hasImage, hasKeptReceipt and hasOcrText select bills for the retention purge
+  // (hasKeptReceipt: the receipt crop is still stored after the upload was removed)
+  async find({
+    userId, status = 'active', processingStage, createdBefore, deletedBefore, hasImage, hasKeptReceipt, hasOcrText,
+    limit = 10, offset = 0
+  } = {}) {
+    const filter = {};
+    if (userId) filter.userId = userId;
+    if (status) filter.status = status;
+    if (processingStage) filter.processingStage = processingStage;
+    if (createdBefore) filter.createdAt = { $lt: createdBefore };
+    if (deletedBefore) filter.deletedAt = { $lt: deletedBefore };
+    if (hasImage) filter.imageDeletedAt = null;
+    if (hasKeptReceipt) Object.assign(filter, { imageDeletedAt: { $ne: null }, receiptDeletedAt: null });
+    if (hasOcrText) filter.ocrText = { $nin: ['', null] };
+
+    const [bills, total] = await Promise.all([
+      Bill.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+      Bill.countDocuments(filter)
+    ]);
+
+    return {
+      bills: bills.map(bill => this.toPlain(bill)),
+      total
+    };
+  }
+
+  // `to` is exclusive
+  async getStatistics({ from, to, userId, period = 'day', timezone = 'UTC', storeLimit = 20 } = {}) {
+    const match = {};
+    if (userId) match.userId = userId;
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = from;
+      if (to) match.createdAt.$lt = to;
+    }
+
+    const [facets] = await Bill.getStatistics({
+      match,
+      periodFormat: PERIOD_FORMATS[period],
+      timezone,
+      storeLimit
+    });
+    const totals = facets.totals[0] || {};
+    const roundFigures = ({ bills, validBills, totalAmount, totalDiscrepancy }) => ({
+      bills,
+      validBills,
+      totalAmount: roundAmount(totalAmount),
+      totalDiscrepancy: roundAmount(totalDiscrepancy)
+    });
+    const typeList = (entries) => entries.map(({ _id, count, bills }) => ({ type: _id, count, bills }));
+    const severityCounts = (entries) => Object.fromEntries(entries.map(({ _id, count }) => [_id, count]));
+
+    return {
+      totals: {
+        totalBills: totals.bills || 0,
+        validBills: totals.validBills || 0,
+        invalidBills: (totals.bills || 0) - (totals.validBills || 0),
+        completedBills: totals.completedBills || 0,
+        failedBills: totals.failedBills || 0,
+        totalAmount: roundAmount(totals.totalAmount),
+        averageAmount: roundAmount(totals.completedBills > 0 ? totals.totalAmount / totals.completedBills : 0),
+        totalDiscrepancy: roundAmount(totals.totalDiscrepancy),
+        billsWithDiscrepancy: totals.billsWithDiscrepancy || 0,
+        averageConfidence: totals.averageConfidence || 0,
+        averageProcessingTime: totals.averageProcessingTime || 0
+      },
+      byStore: facets.byStore.map(store => ({ storeName: (store.storeName || '').trim(), ...roundFigures(store) })),
+      byPeriod: facets.byPeriod.map(entry => ({ period: entry._id, ...roundFigures(entry) })),
+      byErrorType: typeList(facets.byErrorType),
+      byWarningType: typeList(facets.byWarningType),
+      bySeverity: combineSeverities(severityCounts(facets.errorSeverity), severityCounts(facets.warningSeverity))
+    };
+  }
+
+  async getRecentActivity(limit = 10) {
+    const bills = await Bill.getRecentActivity(limit).lean();
+    return bills.map(bill => this.toPlain(bill));
+  }
+}
+
+module.exports = MongoBillStore;
@@ -0,0 +1,91 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const { declaredType, sniffType, findEmbedded, describeFileTypes } = require('../utils/fileTypes');
+
+const JPEG_QUALITY = 92;
+
+// Checks what an upload really is before it is stored as a bill: the file's magic bytes must match
+// its name and mimetype, and nothing of another format may be hidden inside it (polyglot files).
+// Phone formats (HEIC/HEIF, WebP) and single-page TIFF scans are converted to JPEG/PNG in place.
+class UploadService {
+  // Throws an error with status and code when the upload is rejected
+  // Otherwise updates the multer file (path, mimetype, size) after conversion and sets file.convertedFrom
+  async inspect(file) {
+    const name = file.originalname;
+    const declared = declaredType(name, file.mimetype);
+    if (!declared) {
+      throw uploadError(415, 'UNSUPPORTED_FILE_TYPE', `${name}: only ${describeFileTypes().labels} files are accepted`);
+    }
+
+    const buffer = await fs.readFile(file.path);
+    const actual = sniffType(buffer);
+    if (!actual) {
+      throw uploadError(415, 'UNSUPPORTED_FILE_TYPE', `${name} is not a valid ${declared.label} file`);
+    }
+    if (actual.type !== declared.type) {
+      throw uploadError(415, 'FILE_TYPE_MISMATCH', `${name} is named as ${declared.label} but contains ${actual.label} data`);
+    }
+
+    const embedded = findEmbedded(buffer, actual.type);
+    if (embedded) {
+      throw uploadError(415, 'POLYGLOT_FILE', `${name} is a ${actual.label} file with ${embedded} content hidden inside`);
+    }
+
+    if (actual.convert && !(actual.type === 'tiff' && await this.isMultiPage(buffer))) {
+      await this.convert(file, actual, buffer);
+    }
+    return file;
+  }
+
+  // Write the converted image next to the upload (bill_123.heic → bill_123.jpg) and drop the original
+  async convert(file, actual, buffer) {
+    const { dir, name } = path.parse(file.path);
+    const extension = actual.convert === 'jpeg' ? 'jpg' : actual.convert;
+    const targetPath = path.join(dir, `${name}.${extension}`);
+
+    try {
+      if (actual.type === 'heic') {
+        // Prebuilt sharp/libvips has no HEVC decoder, libheif (wasm) decodes and applies the rotation
+        const output = await heicConvert({ buffer, format: 'JPEG', quality: JPEG_QUALITY / 100 });
+        await fs.writeFile(targetPath, Buffer.from(output));
+      } else {
+        const image = sharp(buffer).rotate();
+        await (actual.convert === 'jpeg' ? image.jpeg({ quality: JPEG_QUALITY }) : image.png()).toFile(targetPath);
+      }
+    } catch (error) {
+      await fs.unlink(targetPath).catch(() => {});
+      throw uploadError(422, 'CONVERSION_FAILED', `${file.originalname} could not be read as a ${actual.label} image`);
+    }
+
+    await fs.unlink(file.path).catch(() => {});
+    const { size } = await fs.stat(targetPath);
+    console.log(`🔄 Converted ${file.originalname} from ${actual.label} to ${actual.convert.toUpperCase()}`);
+    Object.assign(file, {
+      path: targetPath,
+      filename: path.basename(targetPath),
+      mimetype: `image/${actual.convert}`,
+      size,
+      convertedFrom: actual.type
+    });
+  }
+
+  async isMultiPage(buffer) {
+    try {
+      const { pages } = await sharp(buffer).metadata();
+      return pages > 1;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+function uploadError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+module.exports = new UploadService();
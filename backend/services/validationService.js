@@ -1,12 +1,33 @@
+const config = require('../config');
+const { checkGstin, locateAddress, STATE_CODES, NON_TERRITORIAL_CODES } = require('../utils/gstin');
+const { INTRA_STATE_TYPES, INTER_STATE_TYPES, slabRate, amountOf } = require('../utils/taxComponents');
+
 class ValidationService {
   constructor() {
     this.indianTaxRates = [0, 5, 12, 18, 28]; // Common GST rates in India
     this.maxReasonablePrice = 10000; // Maximum reasonable price for a single item
     this.maxBillAge = 365; // Maximum reasonable bill age in days
+
+    // Validation algorithms in the order they run
+    this.algorithms = [
+      { name: 'mathVerification', label: 'Mathematical accuracy', run: 'validateMathematicalAccuracy' },
+      { name: 'taxValidation', label: 'Tax calculation', run: 'validateTaxCalculations' },
+      { name: 'totalCheck', label: 'Total amount', run: 'validateTotalAmount' },
+      { name: 'dateValidation', label: 'Date logic', run: 'validateDateLogic' },
+      { name: 'patternAnalysis', label: 'Pattern analysis', run: 'analyzePatterns' },
+      { name: 'businessLogic', label: 'Business logic', run: 'validateBusinessLogic' },
+      { name: 'anomalyDetection', label: 'Anomaly detection', run: 'detectAnomalies' },
+      { name: 'einvoiceCheck', label: 'E-invoice QR', run: 'validateEInvoice' },
+      { name: 'numberConfidence', label: 'Handwritten numbers', run: 'checkNumberConfidence' },
+      { name: 'gstinCheck', label: 'GSTIN', run: 'validateGstin' },
+      { name: 'gstComponents', label: 'GST components', run: 'validateGstComponents' }
+    ];
   }
 
   // Main validation function
-  validateBill(billData) {
+  // onAlgorithm is called before and after each algorithm runs (used for live progress)
+  // einvoice is the decoded e-invoice QR (services/einvoiceService.js) when the bill has one
+  validateBill(billData, { onAlgorithm = () => {}, einvoice = null } = {}) {
     console.log('🔍 Starting bill validation...');
     const startTime = Date.now();
 
@@ -26,17 +47,26 @@ class ValidationService {
       };
 
       // Run all validation algorithms
-      this.validateMathematicalAccuracy(billData, validation);
-      this.validateTaxCalculations(billData, validation);
-      this.validateTotalAmount(billData, validation);
-      this.validateDateLogic(billData, validation);
-      this.analyzePatterns(billData, validation);
-      this.validateBusinessLogic(billData, validation);
-      this.detectAnomalies(billData, validation);
+      this.algorithms.forEach(({ name, label, run }) => {
+        onAlgorithm({ algorithm: name, label, status: 'started' });
+        const errorsBefore = validation.errors.length;
+
+        this[run](billData, validation, { einvoice });
+
+        const passed = name in validation.algorithmResults
+          ? validation.algorithmResults[name]
+          : validation.errors.length === errorsBefore;
+        onAlgorithm({ algorithm: name, label, status: 'done', passed });
+      });
 
       // Calculate final validation status
       validation.isValid = validation.errors.length === 0;
-      validation.confidenceScore = this.calculateConfidenceScore(validation);
+      // Handwritten bills start from lower trust, their numbers are misread far more often
+      validation.confidenceScore = this.calculateConfidenceScore(
+        validation,
+        billData.handwritten ? config.handwriting.baseScore : 100
+      );
+      validation.discrepancyAmount = this.calculateDiscrepancy(billData);
 
       const processingTime = Date.now() - startTime;
       console.log(`✅ Bill validation completed in ${processingTime}ms`);
@@ -50,6 +80,7 @@ class ValidationService {
         errors: [{ type: 'VALIDATION_ERROR', message: error.message, severity: 'high' }],
         warnings: [],
         confidenceScore: 0,
+        discrepancyAmount: 0,
         algorithmResults: {}
       };
     }
@@ -112,6 +143,13 @@ class ValidationService {
         return;
       }
 
+      // Bills printing the rate of each component (CGST 2.5% + SGST 2.5%) are checked component by component
+      const rated = (billData.taxComponents || []).filter(component => component.rate !== null);
+      if (rated.length > 0) {
+        this.validateTaxComponents(billData, rated, validation);
+        return;
+      }
+
       // Check if tax rate is reasonable
       const actualTaxRate = (billData.tax / billData.subtotal) * 100;
       const closestValidRate = this.findClosestTaxRate(actualTaxRate);
@@ -153,6 +191,43 @@ class ValidationService {
     }
   }
 
+  // Each component is its rate of its taxable value (of the subtotal on a single-slab bill that prints none),
+  // and the GST rate of a single-slab bill must be one of the rates in force
+  validateTaxComponents(billData, components, validation) {
+    const errorsBefore = validation.errors.length;
+    const rate = slabRate(components);
+
+    components.forEach(component => {
+      const base = component.taxableValue ?? (rate !== null ? billData.subtotal : null);
+      if (!base) return;
+
+      const expected = parseFloat((base * component.rate / 100).toFixed(2));
+      if (Math.abs(expected - component.amount) > 0.01) {
+        validation.errors.push({
+          type: 'TAX_ERROR',
+          message: `${component.type} calculation error: ${component.rate}% of ₹${base.toFixed(2)} is ₹${expected.toFixed(2)} vs Printed ₹${component.amount.toFixed(2)}`,
+          severity: 'medium',
+          field: 'tax',
+          expected,
+          actual: component.amount
+        });
+      }
+    });
+
+    if (rate !== null && !this.indianTaxRates.includes(rate)) {
+      validation.errors.push({
+        type: 'TAX_ERROR',
+        message: `Invalid tax rate: ${rate}% (closest valid rate: ${this.findClosestTaxRate(rate)}%)`,
+        severity: 'medium',
+        field: 'tax',
+        expected: this.findClosestTaxRate(rate),
+        actual: rate
+      });
+    }
+
+    validation.algorithmResults.taxValidation = validation.errors.length === errorsBefore;
+  }
+
   // Algorithm 3: Total Amount Verification
   validateTotalAmount(billData, validation) {
     try {
@@ -467,7 +542,8 @@ class ValidationService {
 
   // Check for timing anomalies
   checkTimingAnomalies(billData, validation) {
-    if (!billData.date) return;
+    // Only meaningful when the bill actually printed a time
+    if (!billData.date || !/\d{1,2}:\d{2}/.test(billData.date)) return;
 
     const billDate = new Date(billData.date);
     const hour = billDate.getHours();
@@ -482,6 +558,240 @@ class ValidationService {
     }
   }
 
+  // Algorithm 8: E-invoice QR cross-check
+  // The signed QR is issued by the invoice registration portal, so a printed value that disagrees
+  // with it (or a QR whose signature fails) points at an altered bill rather than an OCR slip
+  validateEInvoice(billData, validation, { einvoice }) {
+    if (!einvoice?.found) return;
+
+    const { signature } = einvoice;
+    if (['invalid', 'malformed'].includes(signature.status)) {
+      validation.errors.push({
+        type: 'EINVOICE_SIGNATURE_INVALID',
+        message: `E-invoice QR signature check failed: ${signature.message}`,
+        severity: 'high',
+        field: 'einvoice'
+      });
+    } else if (signature.status !== 'valid') {
+      validation.warnings.push({
+        type: 'EINVOICE_SIGNATURE_UNVERIFIED',
+        message: `E-invoice QR signature not verified: ${signature.message}`,
+        severity: 'low',
+        field: 'einvoice'
+      });
+    }
+
+    einvoice.fields.forEach(field => {
+      if (field.status === 'mismatch') {
+        validation.errors.push({
+          type: 'EINVOICE_MISMATCH',
+          message: `${field.label} differs from the e-invoice QR: printed ${field.printed} vs QR ${field.qr}`,
+          severity: 'high',
+          field: field.field,
+          expected: field.qr,
+          actual: field.printed
+        });
+      } else if (field.status === 'not_found') {
+        // The item count rests on line-item parsing, a parse miss is not a sign of tampering
+        validation.warnings.push({
+          type: 'EINVOICE_FIELD_NOT_FOUND',
+          message: field.field === 'itemCount'
+            ? `Item count from the e-invoice QR (${field.qr}) differs from the ${field.printed} item(s) read from the bill`
+            : `${field.label} from the e-invoice QR (${field.qr}) was not found on the printed bill`,
+          severity: field.field === 'itemCount' ? 'low' : 'medium',
+          field: field.field
+        });
+      }
+    });
+  }
+
+  // Algorithm 9: Confidence of handwritten numbers
+  // Every amount and quantity of a handwritten bill read below config.handwriting.confirmBelow
+  // (or with no confidence at all, counted at defaultTrust) is listed in validation.needsConfirmation
+  // until the user confirms it (billData.confirmed, POST /api/bills/:id/confirm)
+  checkNumberConfidence(billData, validation) {
+    validation.needsConfirmation = [];
+    if (!billData.handwritten) return;
+
+    const { confirmBelow, defaultTrust } = config.handwriting;
+    const confirmed = new Set((billData.confirmed || []).map(entry => entry.field));
+    validation.needsConfirmation = this.listReadNumbers(billData)
+      .filter(number => !confirmed.has(number.field))
+      .map(number => ({ ...number, confidence: number.confidence ?? defaultTrust }))
+      .filter(number => number.confidence < confirmBelow);
+
+    if (validation.needsConfirmation.length > 0) {
+      validation.warnings.push({
+        type: 'LOW_CONFIDENCE_NUMBER',
+        message: `${validation.needsConfirmation.length} handwritten number(s) read with low confidence, please confirm them: ${validation.needsConfirmation.map(number => number.label).join(', ')}`,
+        severity: 'medium',
+        field: 'handwriting'
+      });
+    }
+  }
+
+  // Algorithm 10: GSTIN checks
+  // Format, state code and mod-36 check digit of the seller's and buyer's GSTIN, and the seller's state code
+  // against the PIN code or state of the store address. A bill charging GST with a missing or invalid
+  // seller GSTIN is the most common sign of a made-up bill in reimbursement claims.
+  validateGstin(billData, validation) {
+    const chargesGst = billData.tax > 0;
+
+    if (!billData.sellerGstin) {
+      if (chargesGst) {
+        validation.warnings.push({
+          type: 'GSTIN_MISSING',
+          message: 'Bill charges GST but no seller GSTIN was found',
+          severity: 'medium',
+          field: 'sellerGstin'
+        });
+      }
+      this.checkGstinFormat(billData, validation, 'buyerGstin', 'Buyer', 'medium');
+      return;
+    }
+
+    const seller = this.checkGstinFormat(billData, validation, 'sellerGstin', 'Seller', chargesGst ? 'high' : 'medium');
+    this.checkGstinFormat(billData, validation, 'buyerGstin', 'Buyer', 'medium');
+    if (!seller?.state || NON_TERRITORIAL_CODES.includes(seller.stateCode)) return;
+
+    const location = locateAddress(billData.storeAddress);
+    if (location && !location.stateCodes.includes(seller.stateCode)) {
+      const place = location.source === 'pin'
+        ? `PIN code ${location.pinCode} (${location.stateCodes.map(code => STATE_CODES[code]).join(' / ')})`
+        : location.stateCodes.map(code => STATE_CODES[code]).join(' / ');
+      validation.errors.push({
+        type: 'GSTIN_STATE_MISMATCH',
+        message: `Seller GSTIN is registered in ${seller.state} (state code ${seller.stateCode}) but the store address is in ${place}`,
+        severity: 'medium',
+        field: 'sellerGstin',
+        expected: location.stateCodes.join('/'),
+        actual: seller.stateCode
+      });
+    }
+  }
+
+  // Error for a GSTIN that fails its format, state code or check digit, returns the check (null without a GSTIN)
+  checkGstinFormat(billData, validation, field, label, severity) {
+    const gstin = billData[field];
+    if (!gstin) return null;
+
+    const check = checkGstin(gstin);
+    if (!check.valid) {
+      validation.errors.push({
+        type: 'GSTIN_INVALID',
+        message: `${label} GSTIN ${gstin} is invalid: ${check.issues.join(', ')}`,
+        severity,
+        field,
+        ...(check.state && check.expectedCheckDigit !== gstin[14] && {
+          expected: `${gstin.slice(0, 14)}${check.expectedCheckDigit}`
+        }),
+        actual: gstin
+      });
+    }
+    return check;
+  }
+
+  // Algorithm 11: GST components
+  // Within a state GST is split evenly into CGST and SGST/UTGST, across states it is charged as IGST alone.
+  // With both GSTINs on the bill their state codes tell which of the two the supply should carry.
+  validateGstComponents(billData, validation) {
+    const components = billData.taxComponents || [];
+    const has = (types) => components.some(component => types.includes(component.type));
+    const intraState = has(INTRA_STATE_TYPES);
+    const interState = has(INTER_STATE_TYPES);
+
+    if (intraState && interState) {
+      validation.errors.push({
+        type: 'TAX_SUPPLY_ERROR',
+        message: 'Bill charges IGST together with CGST/SGST - IGST is charged alone on inter-state supplies',
+        severity: 'high',
+        field: 'tax'
+      });
+      return;
+    }
+
+    if (intraState) {
+      const central = amountOf(components, ['CGST']);
+      const state = amountOf(components, ['SGST', 'UTGST']);
+      const ratesOf = (types) => components
+        .filter(component => types.includes(component.type) && component.rate !== null)
+        .map(component => component.rate)
+        .sort((a, b) => a - b)
+        .join(', ');
+
+      if (!has(['CGST']) || !has(['SGST', 'UTGST'])) {
+        validation.errors.push({
+          type: 'TAX_SPLIT_ERROR',
+          message: has(['CGST']) ? 'Bill charges CGST without SGST/UTGST' : 'Bill charges SGST/UTGST without CGST',
+          severity: 'medium',
+          field: 'tax'
+        });
+      } else if (Math.abs(central - state) > 0.01) {
+        validation.errors.push({
+          type: 'TAX_SPLIT_ERROR',
+          message: `CGST ₹${central.toFixed(2)} and SGST/UTGST ₹${state.toFixed(2)} differ - intra-state GST is split evenly`,
+          severity: 'medium',
+          field: 'tax',
+          expected: central,
+          actual: state
+        });
+      } else if (ratesOf(['CGST']) !== ratesOf(['SGST', 'UTGST'])) {
+        validation.errors.push({
+          type: 'TAX_SPLIT_ERROR',
+          message: `CGST rates (${ratesOf(['CGST']) || 'none'}%) and SGST/UTGST rates (${ratesOf(['SGST', 'UTGST']) || 'none'}%) differ`,
+          severity: 'medium',
+          field: 'tax'
+        });
+      }
+    }
+
+    const seller = checkGstin(billData.sellerGstin);
+    const buyer = checkGstin(billData.buyerGstin);
+    if (!seller.valid || !buyer.valid || !(intraState || interState)) return;
+
+    const sameState = seller.stateCode === buyer.stateCode;
+    if (sameState && interState) {
+      validation.errors.push({
+        type: 'TAX_SUPPLY_ERROR',
+        message: `Seller and buyer are both registered in ${seller.state}, so CGST + SGST applies, but the bill charges IGST`,
+        severity: 'medium',
+        field: 'tax'
+      });
+    } else if (!sameState && intraState) {
+      validation.errors.push({
+        type: 'TAX_SUPPLY_ERROR',
+        message: `Seller (${seller.state}) and buyer (${buyer.state}) are registered in different states, so IGST applies, but the bill charges CGST + SGST`,
+        severity: 'medium',
+        field: 'tax'
+      });
+    }
+  }
+
+  // Numbers read from the bill (not computed) with their OCR confidence, null when the recognizer gave none
+  listReadNumbers(billData) {
+    const provenance = billData.provenance || {};
+    const numbers = [];
+    const add = (field, label, value, source) => numbers.push({ field, label, value, confidence: source?.confidence ?? null });
+
+    billData.items.forEach((item, index) => {
+      const sources = provenance.items?.[index] || {};
+      const name = `Item ${index + 1} (${item.name})`;
+      if (item.quantity !== 1) add(`items[${index}].quantity`, `${name} quantity`, item.quantity, sources.quantity);
+      add(`items[${index}].price`, `${name} amount`, item.price, sources.price);
+    });
+    [['subtotal', 'Subtotal'], ['tax', 'Tax'], ['discount', 'Discount'], ['total', 'Total']].forEach(([field, label]) => {
+      if (provenance[field]) add(field, label, billData[field], provenance[field]);
+    });
+    return numbers;
+  }
+
+  // Rupee amount by which the printed total differs from the items + tax - discount
+  calculateDiscrepancy(billData) {
+    const itemsTotal = billData.items.reduce((sum, item) => sum + item.price, 0);
+    const expectedTotal = itemsTotal + billData.tax - billData.discount;
+    return parseFloat(Math.abs(billData.total - expectedTotal).toFixed(2));
+  }
+
   // Helper methods
   findClosestTaxRate(actualRate) {
     return this.indianTaxRates.reduce((closest, rate) => {
@@ -512,8 +822,8 @@ class ValidationService {
     return categories;
   }
 
-  calculateConfidenceScore(validation) {
-    let score = 100;
+  calculateConfidenceScore(validation, startScore = 100) {
+    let score = startScore;
 
     // Deduct points for errors
     validation.errors.forEach(error => {
@@ -538,4 +848,15 @@ class ValidationService {
           break;
         case 'medium':
           score -= 5;
-          break;
\ No newline at end of file
+          break;
+        case 'low':
+          score -= 2;
+          break;
+      }
+    });
+
+    return Math.max(0, Math.min(100, score));
+  }
+}
+
+module.exports = new ValidationService();
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const billParser = require('../services/billParser');
+const einvoiceService = require('../services/einvoiceService');
+
+const QR = {
+  sellerGstin: '27AAPFU0939F1ZV',
+  buyerGstin: '29AAACR5055K1Z3',
+  documentNumber: 'INV/2026/0042',
+  documentDate: '05/03/2026',
+  totalValue: 1180,
+  itemCount: 3,
+  irn: 'a5c12dca80e743321740b1fc2c1a2c2e6f1b3e7d0c4b5a69876543210fedcba9'
+};
+const BILL = {
+  sellerGstin: '27AAPFU0939F1ZV',
+  buyerGstin: '29AAACR5055K1Z3',
+  billNumber: 'INV-2026-0042',
+  date: '2026-03-05',
+  total: 1180,
+  items: [{}, {}, {}]
+};
+const TEXT = 'Tax Invoice No: INV/2026/0042 Date: 05/03/2026';
+
+// Status of each compared field
+const statuses = (data, billData, text = TEXT) => Object.fromEntries(
+  einvoiceService.compare({ ...QR, ...data }, { ...BILL, ...billData }, text).map(field => [field.field, field.status]));
+
+test('fields read from the bill match the QR', () => {
+  assert.deepEqual(statuses({}, {}), {
+    sellerGstin: 'match',
+    buyerGstin: 'match',
+    documentNumber: 'match',
+    documentDate: 'match',
+    totalValue: 'match',
+    itemCount: 'match',
+    irn: 'not_found'
+  });
+});
+
+test('dates match day-first or month-first, in any separator and short years', () => {
+  assert.equal(statuses({}, { date: '05/03/2026' }).documentDate, 'match');
+  assert.equal(statuses({}, { date: '03/05/2026' }).documentDate, 'match');
+  assert.equal(statuses({}, { date: '5.3.26' }).documentDate, 'match');
+  assert.equal(statuses({}, { date: '2026-5-3' }).documentDate, 'match');
+  assert.equal(statuses({ documentDate: '5-3-2026' }, {}).documentDate, 'match');
+});
+
+test('a different date is a mismatch, a missing or unreadable one is not', () => {
+  assert.equal(statuses({}, { date: '06/03/2026' }).documentDate, 'mismatch');
+  assert.equal(statuses({}, { date: '2025-03-05' }).documentDate, 'mismatch');
+  assert.equal(statuses({ documentDate: '2026-03-05' }, {}).documentDate, 'not_found');
+  assert.equal(statuses({}, { date: 'Tuesday' }).documentDate, 'not_found');
+  assert.equal(statuses({}, { date: null }).documentDate, 'not_found');
+});
+
+test('a bill number parsed differently is found in the printed text or reported as not found', () => {
+  assert.equal(statuses({}, { billNumber: 'No' }).documentNumber, 'match');
+  assert.equal(statuses({}, { billNumber: 'No' }, 'Tax Invoice').documentNumber, 'not_found');
+  assert.equal(statuses({}, { billNumber: null }, '').documentNumber, 'not_found');
+});
+
+test('an item count difference is not found, never a mismatch', () => {
+  assert.equal(statuses({}, { items: [{}, {}] }).itemCount, 'not_found');
+});
+
+test('GSTINs and totals that differ are mismatches', () => {
+  assert.equal(statuses({}, { sellerGstin: '29AAACR5055K1Z3' }).sellerGstin, 'mismatch');
+  assert.equal(statuses({}, { total: 1100 }).totalValue, 'mismatch');
+  assert.equal(statuses({}, { total: 1180.8 }).totalValue, 'match');
+});
+
+test('an unregistered buyer (URP) and unread GSTINs', () => {
+  assert.equal(statuses({ buyerGstin: 'URP' }, { buyerGstin: null }).buyerGstin, 'match');
+  assert.equal(statuses({}, { sellerGstin: null }).sellerGstin, 'not_found');
+  assert.equal(statuses({}, { sellerGstin: null }, `${TEXT} GSTIN 27AAPFU0939F1ZV`).sellerGstin, 'match');
+});
+
+test('text fields are looked up in the OCR text', () => {
+  assert.equal(statuses({}, {}, `${TEXT} IRN ${QR.irn}`).irn, 'match');
+});
+
+test('a bill parsed in IST matches the date of its QR', (context) => {
+  const timezone = process.env.TZ;
+  process.env.TZ = 'Asia/Kolkata';
+  context.after(() => {
+    if (timezone === undefined) delete process.env.TZ;
+    else process.env.TZ = timezone;
+  });
+  context.mock.method(console, 'log', () => {});
+
+  const billData = billParser.parseBillData([
+    'SHARMA GENERAL STORE',
+    'Invoice No: INV/2026/0042',
+    'Date: 05/03/2026',
+    'Rice 1kg ₹ 1000.00',
+    'Total ₹ 1180.00'
+  ].join('\n'));
+  assert.equal(billData.date, '2026-03-05');
+  assert.equal(statuses({}, billData).documentDate, 'match');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { declaredType, sniffType, findEmbedded } = require('../utils/fileTypes');
+
+const bytes = (...parts) => Buffer.concat(parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part))));
+const typeOf = (buffer) => (sniffType(buffer) || {}).type || null;
+
+test('declared type needs a known extension and an agreeing mimetype', () => {
+  assert.equal(declaredType('bill.JPG', 'image/jpeg').type, 'jpeg');
+  assert.equal(declaredType('scan.tiff', 'application/octet-stream').type, 'tiff');
+  assert.equal(declaredType('photo.heic', '').type, 'heic');
+  assert.equal(declaredType('bill.jpg', 'image/png'), null);
+  assert.equal(declaredType('bill.exe', ''), null);
+  assert.equal(declaredType('bill', 'image/png'), null);
+});
+
+test('real type from the magic bytes', () => {
+  assert.equal(typeOf(bytes([0xff, 0xd8, 0xff, 0xe0], 'JFIF')), 'jpeg');
+  assert.equal(typeOf(bytes('\x89PNG\r\n\x1a\n', [0, 0, 0, 13])), 'png');
+  assert.equal(typeOf(bytes('GIF89a')), 'gif');
+  assert.equal(typeOf(bytes('RIFF', [0x24, 0, 0, 0], 'WEBPVP8 ')), 'webp');
+  assert.equal(typeOf(bytes([0, 0, 0, 0x18], 'ftypheic', [0, 0, 0, 0])), 'heic');
+  assert.equal(typeOf(bytes('ftypmif1')), null);
+  assert.equal(typeOf(bytes([0, 0, 0, 0x18], 'ftypmp42')), null);
+  assert.equal(typeOf(bytes('II*\0')), 'tiff');
+  assert.equal(typeOf(bytes('MM\0*')), 'tiff');
+  assert.equal(typeOf(bytes('%PDF-1.7\n')), 'pdf');
+});
+
+test('unknown, empty and script files have no type', () => {
+  assert.equal(sniffType(bytes('<html><body>')), null);
+  assert.equal(sniffType(bytes('MZ\x90\0')), null);
+  assert.equal(sniffType(Buffer.alloc(0)), null);
+});
+
+test('a second format or script hidden in an image is found', () => {
+  const png = bytes('\x89PNG\r\n\x1a\n', [0, 0, 0, 13]);
+  assert.equal(findEmbedded(bytes(png, '%PDF-1.4\n1 0 obj'), 'png'), 'PDF document');
+  assert.equal(findEmbedded(bytes(png, 'PK\x03\x04\x14\x00'), 'png'), 'ZIP archive');
+  assert.equal(findEmbedded(bytes(png, '<script>alert(1)</script>'), 'png'), 'HTML');
+  assert.equal(findEmbedded(bytes(png, '<?php system($_GET[0]); ?>'), 'png'), 'PHP');
+});
+
+test('clean files and a PDF carrying its own header are not polyglots', () => {
+  assert.equal(findEmbedded(bytes('\x89PNG\r\n\x1a\n', [0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]), 'png'), null);
+  assert.equal(findEmbedded(bytes('%PDF-1.7\n%âãÏÓ\n'), 'pdf'), null);
+  assert.equal(findEmbedded(bytes('%PDF-1.7\n<script>'), 'pdf'), 'HTML');
+});
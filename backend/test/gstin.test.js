@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { gstinCheckDigit, checkGstin, findGstins, locateAddress } = require('../utils/gstin');
+
+test('check digit of the first 14 characters', () => {
+  assert.equal(gstinCheckDigit('27AAPFU0939F1Z'), 'V');
+  assert.equal(gstinCheckDigit('29AAACR5055K1Z'), '3');
+  assert.equal(gstinCheckDigit('08ABCPS1234F1Z'), 'X');
+});
+
+test('a GSTIN with the right check digit and a known state is valid', () => {
+  const result = checkGstin('27aapfu0939f1zv');
+  assert.equal(result.valid, true);
+  assert.equal(result.stateCode, '27');
+  assert.equal(result.state, 'Maharashtra');
+  assert.deepEqual(result.issues, []);
+});
+
+test('a wrong check digit is reported with the expected one', () => {
+  const result = checkGstin('27AAPFU0939F1ZA');
+  assert.equal(result.valid, false);
+  assert.equal(result.expectedCheckDigit, 'V');
+  assert.deepEqual(result.issues, ['check digit should be V, not A']);
+});
+
+test('an unknown state code and a malformed value are invalid', () => {
+  const unknownState = `45AAPFU0939F1Z${gstinCheckDigit('45AAPFU0939F1Z')}`;
+  assert.deepEqual(checkGstin(unknownState).issues, ['unknown state code 45']);
+  assert.deepEqual(checkGstin('27AAPFU0939F1').issues, ['not in GSTIN format']);
+  assert.equal(checkGstin(null).valid, false);
+});
+
+test('GSTINs are found after their label and across spaces', () => {
+  assert.deepEqual(findGstins('GSTIN: 27AAPFU0939F1ZV'), [{ gstin: '27AAPFU0939F1ZV', read: '27AAPFU0939F1ZV' }]);
+  assert.deepEqual(findGstins('GSTIN27AAPFU0939F1ZV').map(found => found.gstin), ['27AAPFU0939F1ZV']);
+  assert.deepEqual(findGstins('Seller 27AAPFU 0939F1ZV Buyer 29AAACR5055K1Z3').map(found => found.gstin),
+    ['27AAPFU0939F1ZV', '29AAACR5055K1Z3']);
+});
+
+test('OCR confusions are repaired only when the checksum then passes', () => {
+  assert.deepEqual(findGstins('GSTIN 27AAPFUO939F1ZV'), [{ gstin: '27AAPFU0939F1ZV', read: '27AAPFUO939F1ZV' }]);
+  assert.deepEqual(findGstins('GSTIN 27AAPFUO939F1ZA'), []);
+  // In GSTIN format as read: kept with its wrong check digit for validation to report
+  assert.deepEqual(findGstins('GSTIN 27AAPFU0939F1ZA').map(found => found.gstin), ['27AAPFU0939F1ZA']);
+});
+
+test('text without a GSTIN', () => {
+  assert.deepEqual(findGstins('Bill No: INV/2026/0042'), []);
+  assert.deepEqual(findGstins(''), []);
+});
+
+test('address located by PIN code, then by state name', () => {
+  assert.deepEqual(locateAddress('12 MG Road, Bengaluru 560 001'), { pinCode: '560001', stateCodes: ['29'], source: 'pin' });
+  assert.deepEqual(locateAddress('Pin Code: 110001, Phone 9876543210'), { pinCode: '110001', stateCodes: ['07'], source: 'pin' });
+  assert.deepEqual(locateAddress('Market Road, Panaji, Goa'), { pinCode: null, stateCodes: ['30'], source: 'state' });
+  assert.equal(locateAddress('Main Street'), null);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ocrCache = require('../services/ocrCache');
+
+// A fresh in-memory cache (no file) with the options of the test
+const createCache = (options = {}) => new ocrCache.constructor({
+  enabled: true,
+  maxEntries: 10,
+  ttlMinutes: 60,
+  filePath: null,
+  ...options
+});
+const result = (text) => ({ ocrResult: { text }, billData: { storeName: text } });
+
+test('files are hashed by their bytes, an ordered set of files by their hashes', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-cache-'));
+  const first = path.join(dir, 'first.png');
+  const second = path.join(dir, 'second.png');
+  await fs.writeFile(first, 'receipt one');
+  await fs.writeFile(second, 'receipt two');
+
+  try {
+    const cache = createCache();
+    const hashes = [await cache.hashFile(first), await cache.hashFile(second)];
+    assert.deepEqual(Object.keys(hashes[0]), ['sha256']);
+    assert.match(hashes[0].sha256, /^[0-9a-f]{64}$/);
+    assert.notEqual(hashes[0].sha256, hashes[1].sha256);
+    assert.deepEqual(await cache.hashFile(first), hashes[0]);
+    assert.notEqual(cache.combineHashes(hashes).sha256, cache.combineHashes([...hashes].reverse()).sha256);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('only the exact content hash and variant are a hit', async () => {
+  const cache = createCache();
+  await cache.set({ sha256: 'aaa' }, 'eng|printed', result('Sharma Store'), 'bill-1');
+
+  const hit = await cache.get({ sha256: 'aaa' }, 'eng|printed', 'bill-2');
+  assert.equal(hit.billData.storeName, 'Sharma Store');
+  assert.equal(hit.cache.match, 'exact');
+  assert.equal(hit.cache.key, 'aaa');
+
+  assert.equal(await cache.get({ sha256: 'aab' }, 'eng|printed'), null);
+  assert.equal(await cache.get({ sha256: 'aaa' }, 'hin|printed'), null);
+  assert.deepEqual({ hits: cache.stats.hits, misses: cache.stats.misses }, { hits: 1, misses: 2 });
+});
+
+test('entries are forgotten with any bill that used them', async () => {
+  const cache = createCache();
+  await cache.set({ sha256: 'aaa' }, '', result('Sharma Store'), 'bill-1');
+  await cache.set({ sha256: 'bbb' }, '', result('Gupta Sweets'), 'bill-2');
+  await cache.get({ sha256: 'aaa' }, '', 'bill-3');
+  assert.deepEqual(cache.entries.get('aaa').billIds, ['bill-1', 'bill-3']);
+
+  assert.equal(await cache.forgetBills(['bill-3']), 1);
+  assert.equal(await cache.get({ sha256: 'aaa' }, ''), null);
+  assert.equal((await cache.get({ sha256: 'bbb' }, '')).billData.storeName, 'Gupta Sweets');
+  assert.equal(await cache.forgetBills(['bill-9']), 0);
+  assert.equal(cache.stats.forgotten, 1);
+});
+
+test('least recently used entries are evicted beyond maxEntries', async () => {
+  const cache = createCache({ maxEntries: 2 });
+  await cache.set({ sha256: 'aaa' }, '', result('first'));
+  await cache.set({ sha256: 'bbb' }, '', result('second'));
+  await cache.get({ sha256: 'aaa' }, '');
+  await cache.set({ sha256: 'ccc' }, '', result('third'));
+
+  assert.deepEqual([...cache.entries.keys()], ['aaa', 'ccc']);
+  assert.equal(cache.stats.evictions, 1);
+});
+
+test('entries expire after the TTL', async () => {
+  const cache = createCache({ ttlMinutes: 1 });
+  await cache.set({ sha256: 'aaa' }, '', result('old'));
+  cache.entries.get('aaa').cachedAt -= 2 * 60 * 1000;
+
+  assert.equal(await cache.get({ sha256: 'aaa' }, ''), null);
+  assert.equal(cache.entries.size, 0);
+});
+
+test('a disabled cache stores nothing', async () => {
+  const cache = createCache({ enabled: false });
+  await cache.set({ sha256: 'aaa' }, '', result('Sharma Store'), 'bill-1');
+  assert.equal(await cache.get({ sha256: 'aaa' }, ''), null);
+  assert.equal(cache.entries.size, 0);
+});
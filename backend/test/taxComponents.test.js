@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { componentType, dropSummaries, slabRate, amountOf } = require('../utils/taxComponents');
+
+const component = (type, rate, amount) => ({ type, rate, taxableValue: null, amount });
+
+test('component type of tax rows', () => {
+  assert.equal(componentType('CGST @ 2.5%'), 'CGST');
+  assert.equal(componentType('C.GST 9%'), 'CGST');
+  assert.equal(componentType('SGST 2.5%'), 'SGST');
+  assert.equal(componentType('UTGST 6%'), 'UTGST');
+  assert.equal(componentType('Integrated Tax 18%'), 'IGST');
+  assert.equal(componentType('Comp. Cess'), 'CESS');
+  assert.equal(componentType('GST 5%'), 'GST');
+  assert.equal(componentType('VAT'), 'VAT');
+  assert.equal(componentType('Total Tax'), 'TAX');
+});
+
+test('rows that mention tax without being a tax amount', () => {
+  assert.equal(componentType('Taxable Value 1000.00'), null);
+  assert.equal(componentType('GSTIN: 27AAPFU0939F1ZV'), null);
+  assert.equal(componentType('TAX INVOICE'), null);
+  assert.equal(componentType('Price incl. of all taxes'), null);
+  assert.equal(componentType('Paneer Tikka'), null);
+});
+
+test('a GST line repeating the CGST + SGST sum is dropped as a summary', () => {
+  const components = [component('CGST', 2.5, 10), component('SGST', 2.5, 10), component('GST', 5, 20)];
+  assert.deepEqual(dropSummaries(components).map(entry => entry.type), ['CGST', 'SGST']);
+});
+
+test('a GST line with another amount and bills without a split are kept', () => {
+  const extra = [component('CGST', 2.5, 10), component('SGST', 2.5, 10), component('TAX', null, 5)];
+  assert.equal(dropSummaries(extra).length, 3);
+  const plain = [component('GST', 5, 20)];
+  assert.equal(dropSummaries(plain), plain);
+});
+
+test('slab rate adds the central and state halves, cess excluded', () => {
+  assert.equal(slabRate([component('CGST', 2.5, 10), component('SGST', 2.5, 10)]), 5);
+  assert.equal(slabRate([component('CGST', 9, 90), component('UTGST', 9, 90), component('CESS', 12, 120)]), 18);
+  assert.equal(slabRate([component('IGST', 12, 120)]), 12);
+  assert.equal(slabRate([component('GST', 5, 20)]), 5);
+});
+
+test('no slab rate for several slabs or when no rate is printed', () => {
+  assert.equal(slabRate([component('CGST', 2.5, 10), component('CGST', 9, 45), component('SGST', 2.5, 10)]), null);
+  assert.equal(slabRate([component('CGST', null, 10), component('SGST', null, 10)]), null);
+  assert.equal(slabRate([]), null);
+});
+
+test('amount of component types rounded to paise', () => {
+  const components = [component('CGST', 2.5, 10.1), component('SGST', 2.5, 10.2), component('CESS', 1, 0.7)];
+  assert.equal(amountOf(components, ['CGST', 'SGST', 'UTGST']), 20.3);
+  assert.equal(amountOf(components, ['IGST']), 0);
+});
@@ -0,0 +1,93 @@
+// Upload types accepted by the API: the one list behind the upload filter, content sniffing,
+// conversion and the client's file picker (served at GET /api/bills/file-types)
+//
+// convert: stored as this format after upload, so OCR providers and browsers only see JPEG/PNG
+// (HEIC/HEIF and WebP from phone cameras, single-page TIFF scans; multi-page TIFFs stay documents)
+
+const FILE_TYPES = [
+  { type: 'jpeg', label: 'JPEG', mimeTypes: ['image/jpeg', 'image/jpg', 'image/pjpeg'], extensions: ['.jpg', '.jpeg', '.jfif'] },
+  { type: 'png', label: 'PNG', mimeTypes: ['image/png'], extensions: ['.png'] },
+  { type: 'gif', label: 'GIF', mimeTypes: ['image/gif'], extensions: ['.gif'] },
+  { type: 'webp', label: 'WebP', mimeTypes: ['image/webp'], extensions: ['.webp'], convert: 'jpeg' },
+  {
+    type: 'heic',
+    label: 'HEIC',
+    mimeTypes: ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'],
+    extensions: ['.heic', '.heif'],
+    convert: 'jpeg'
+  },
+  { type: 'tiff', label: 'TIFF', mimeTypes: ['image/tiff', 'image/tif'], extensions: ['.tif', '.tiff'], convert: 'png' },
+  { type: 'pdf', label: 'PDF', mimeTypes: ['application/pdf'], extensions: ['.pdf'] }
+];
+
+// Browsers and some camera apps send no useful mimetype, the extension decides then
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream'];
+
+// ISO-BMFF brands of HEIC/HEIF still images (ftyp box at byte 4)
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+// Markers of a second format or of script hidden inside an upload (polyglot files)
+const EMBEDDED_SIGNATURES = [
+  { name: 'PDF document', pattern: /%PDF-\d/, except: ['pdf'] },
+  { name: 'ZIP archive', pattern: /PK\x03\x04[\x0a\x14\x2d]\x00/ },
+  { name: 'HTML', pattern: /<(?:html|script|iframe)[\s>]/i },
+  { name: 'PHP', pattern: /<\?php/i }
+];
+
+const byType = (type) => FILE_TYPES.find(entry => entry.type === type) || null;
+
+// Type claimed by the client: the extension must be known, the mimetype (when given) must agree with it
+function declaredType(fileName, mimeType) {
+  const extension = (fileName.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+  const entry = FILE_TYPES.find(candidate => candidate.extensions.includes(extension));
+  if (!entry) return null;
+
+  const mime = (mimeType || '').toLowerCase();
+  if (!GENERIC_MIME_TYPES.includes(mime) && !entry.mimeTypes.includes(mime)) return null;
+  return entry;
+}
+
+// Real type from the first bytes of the file, null when it is none of FILE_TYPES
+function sniffType(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return byType('jpeg');
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return byType('png');
+  if (['GIF87a', 'GIF89a'].includes(ascii(0, 6))) return byType('gif');
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return byType('webp');
+  if (ascii(4, 8) === 'ftyp' && HEIF_BRANDS.includes(ascii(8, 12))) return byType('heic');
+  if (['II*\0', 'MM\0*'].includes(ascii(0, 4))) return byType('tiff');
+  if (ascii(0, 5) === '%PDF-') return byType('pdf');
+  return null;
+}
+
+// Name of a format or script embedded in a file of the given type, null for a clean file
+function findEmbedded(buffer, type) {
+  const text = buffer.toString('latin1');
+  const found = EMBEDDED_SIGNATURES.find(signature =>
+    !(signature.except || []).includes(type) && signature.pattern.test(text));
+  return found ? found.name : null;
+}
+
+// Picker-friendly list for clients: accept attribute, labels, types converted on the server
+function describeFileTypes() {
+  return {
+    types: FILE_TYPES.map(({ type, label, mimeTypes, extensions, convert }) => ({
+      type,
+      label,
+      mimeTypes,
+      extensions,
+      convertedTo: convert || null
+    })),
+    accept: FILE_TYPES.flatMap(entry => [...entry.mimeTypes, ...entry.extensions]).join(','),
+    labels: FILE_TYPES.map(entry => entry.label).join(', ')
+  };
+}
+
+module.exports = {
+  FILE_TYPES,
+  declaredType,
+  sniffType,
+  findEmbedded,
+  describeFileTypes
+};
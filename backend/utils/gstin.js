@@ -0,0 +1,251 @@
+// GSTIN (GST identification number) of the seller and buyer printed on a bill
+//
+// 15 characters: 2-digit state code, the holder's PAN (AAAAA9999A), entity number (1-9, A-Z), Z, check digit.
+// The check digit is a mod-36 checksum of the first 14 characters, so a made-up or mistyped GSTIN rarely passes.
+// OCR mixes up O/0, I/1, S/5, B/8 and Z/2; a reading is only repaired when the repaired GSTIN passes the checksum.
+
+const GSTIN_FORMAT = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_LENGTH = 15;
+const CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// State and union territory codes of the GST registration
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '25': 'Daman and Diu',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '28': 'Andhra Pradesh (before division)',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory',
+  '99': 'Centre Jurisdiction'
+};
+
+// Registrations not tied to a place (no address check)
+const NON_TERRITORIAL_CODES = ['97', '99'];
+
+// State names as written in addresses
+const STATE_NAMES = [
+  { pattern: /jammu\s*(?:and|&)\s*kashmir|\bj\s*&\s*k\b/i, codes: ['01'] },
+  { pattern: /himachal/i, codes: ['02'] },
+  { pattern: /\bpunjab\b/i, codes: ['03'] },
+  { pattern: /chandigarh/i, codes: ['04'] },
+  { pattern: /uttarakhand|uttaranchal/i, codes: ['05'] },
+  { pattern: /haryana/i, codes: ['06'] },
+  { pattern: /\bdelhi\b/i, codes: ['07'] },
+  { pattern: /rajasthan/i, codes: ['08'] },
+  { pattern: /uttar\s*pradesh/i, codes: ['09'] },
+  { pattern: /\bbihar\b/i, codes: ['10'] },
+  { pattern: /sikkim/i, codes: ['11'] },
+  { pattern: /arunachal/i, codes: ['12'] },
+  { pattern: /nagaland/i, codes: ['13'] },
+  { pattern: /manipur/i, codes: ['14'] },
+  { pattern: /mizoram/i, codes: ['15'] },
+  { pattern: /tripura/i, codes: ['16'] },
+  { pattern: /meghalaya/i, codes: ['17'] },
+  { pattern: /\bassam\b/i, codes: ['18'] },
+  { pattern: /west\s*bengal/i, codes: ['19'] },
+  { pattern: /jharkhand/i, codes: ['20'] },
+  { pattern: /odisha|orissa/i, codes: ['21'] },
+  { pattern: /chhattisgarh|chattisgarh/i, codes: ['22'] },
+  { pattern: /madhya\s*pradesh/i, codes: ['23'] },
+  { pattern: /gujarat/i, codes: ['24'] },
+  { pattern: /daman|\bdiu\b|dadra|nagar\s*haveli|silvassa/i, codes: ['26', '25'] },
+  { pattern: /maharashtra/i, codes: ['27'] },
+  { pattern: /karnataka/i, codes: ['29'] },
+  { pattern: /\bgoa\b/i, codes: ['30'] },
+  { pattern: /lakshadweep/i, codes: ['31'] },
+  { pattern: /kerala/i, codes: ['32'] },
+  { pattern: /tamil\s*nadu/i, codes: ['33'] },
+  { pattern: /puducherry|pondicherry/i, codes: ['34'] },
+  { pattern: /andaman|nicobar/i, codes: ['35'] },
+  { pattern: /telangana/i, codes: ['36'] },
+  { pattern: /andhra\s*pradesh/i, codes: ['37', '28'] },
+  { pattern: /ladakh/i, codes: ['38'] }
+];
+
+// States served by a PIN code prefix, first matching entry wins: [from, to, state codes]
+// Postal circles cross a few state borders, those prefixes list every state they serve
+const PIN_PREFIXES = [
+  ['160', '160', ['04', '03']],
+  ['194', '194', ['38', '01']],
+  ['244', '249', ['09', '05']],
+  ['262', '263', ['09', '05']],
+  ['362', '362', ['24', '26', '25']],
+  ['396', '396', ['24', '26', '25']],
+  ['403', '403', ['30']],
+  ['533', '533', ['37', '34']],
+  ['605', '605', ['33', '34']],
+  ['607', '607', ['33', '34']],
+  ['609', '609', ['33', '34']],
+  ['673', '673', ['32', '34']],
+  ['682', '682', ['32', '31']],
+  ['737', '737', ['11']],
+  ['744', '744', ['35']],
+  ['790', '792', ['12']],
+  ['793', '794', ['17']],
+  ['795', '795', ['14']],
+  ['796', '796', ['15']],
+  ['797', '798', ['13']],
+  ['799', '799', ['16']],
+  ['11', '11', ['07']],
+  ['12', '13', ['06']],
+  ['14', '16', ['03']],
+  ['17', '17', ['02']],
+  ['18', '19', ['01']],
+  ['20', '28', ['09']],
+  ['30', '34', ['08']],
+  ['36', '39', ['24']],
+  ['40', '44', ['27']],
+  ['45', '48', ['23']],
+  ['49', '49', ['22']],
+  ['50', '50', ['36']],
+  ['51', '53', ['37']],
+  ['56', '59', ['29']],
+  ['60', '64', ['33']],
+  ['67', '69', ['32']],
+  ['70', '74', ['19']],
+  ['75', '77', ['21']],
+  ['78', '78', ['18']],
+  ['80', '80', ['10']],
+  ['81', '83', ['10', '20']],
+  ['84', '85', ['10']]
+];
+
+// Labelled PIN codes first, otherwise the last 6-digit number of the address (560001 or 560 001)
+const LABELLED_PIN = /\bpin(?:\s*code)?\s*(?:no\.?)?\s*[:.\-]?\s*([1-9]\d{2})\s?(\d{3})\b/i;
+const PIN = /(?<!\w)([1-9]\d{2})\s?(\d{3})(?!\w)/g;
+
+// OCR misreadings by the kind of character expected at a position
+const TO_DIGIT = { O: '0', D: '0', Q: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', T: '7', B: '8' };
+const TO_LETTER = { 0: 'O', 1: 'I', 2: 'Z', 5: 'S', 6: 'G', 8: 'B' };
+const DIGIT_POSITIONS = [0, 1, 7, 8, 9, 10];
+const LETTER_POSITIONS = [2, 3, 4, 5, 6, 11];
+const LABEL_PREFIX = /^(?:GSTIN|GSTNO|GST)(?=[0-9A-Z]{15}$)/;
+
+// Check digit for the first 14 characters
+function gstinCheckDigit(first14) {
+  const sum = [...first14].reduce((total, char, index) => {
+    const product = CHARSET.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / CHARSET.length) + (product % CHARSET.length);
+  }, 0);
+  return CHARSET[(CHARSET.length - (sum % CHARSET.length)) % CHARSET.length];
+}
+
+// Format, state code and check digit of a GSTIN
+// Returns { valid, stateCode, state, expectedCheckDigit, issues } (issues in words, empty when valid)
+function checkGstin(gstin) {
+  const value = String(gstin || '').toUpperCase();
+  if (!GSTIN_FORMAT.test(value)) {
+    return { valid: false, stateCode: null, state: null, expectedCheckDigit: null, issues: ['not in GSTIN format'] };
+  }
+
+  const issues = [];
+  const stateCode = value.slice(0, 2);
+  if (!STATE_CODES[stateCode]) issues.push(`unknown state code ${stateCode}`);
+
+  const expectedCheckDigit = gstinCheckDigit(value.slice(0, 14));
+  if (value[14] !== expectedCheckDigit) issues.push(`check digit should be ${expectedCheckDigit}, not ${value[14]}`);
+
+  return { valid: issues.length === 0, stateCode, state: STATE_CODES[stateCode] || null, expectedCheckDigit, issues };
+}
+
+// A 15-character reading with the usual OCR confusions undone for the character kind expected at each position
+function repairReading(read) {
+  return [...read].map((char, index) => {
+    if (DIGIT_POSITIONS.includes(index)) return TO_DIGIT[char] || char;
+    if (LETTER_POSITIONS.includes(index)) return TO_LETTER[char] || char;
+    if (index === 13 && char === '2') return 'Z';
+    return char;
+  }).join('');
+}
+
+// GSTINs in a line of OCR text, left to right: [{ gstin, read }]
+// read is the text as recognised (spaces and dashes inside the number are allowed), gstin the number itself.
+// A reading in GSTIN format is taken as printed even with a wrong check digit (validation reports it);
+// one that only fits after repairing OCR confusions must also pass the checksum.
+function findGstins(text) {
+  const tokens = String(text || '')
+    .toUpperCase()
+    .split(/[^0-9A-Z]+/)
+    .filter(Boolean)
+    .map(token => token.replace(LABEL_PREFIX, ''));
+
+  const found = [];
+  let start = 0;
+  while (start < tokens.length) {
+    let read = '';
+    let end = start;
+    while (end < tokens.length && read.length < GSTIN_LENGTH) read += tokens[end++];
+
+    const repaired = read.length === GSTIN_LENGTH && !GSTIN_FORMAT.test(read) ? repairReading(read) : read;
+    if (read.length === GSTIN_LENGTH && GSTIN_FORMAT.test(repaired)
+      && (repaired === read || gstinCheckDigit(repaired.slice(0, 14)) === repaired[14])) {
+      found.push({ gstin: repaired, read });
+      start = end;
+    } else {
+      start++;
+    }
+  }
+  return found;
+}
+
+// States an address lies in, from its PIN code or else the state named in it
+// Returns { pinCode, stateCodes, source: 'pin' | 'state' } or null when the address shows neither
+function locateAddress(address) {
+  const text = String(address || '');
+  const labelled = text.match(LABELLED_PIN);
+  const unlabelled = [...text.matchAll(PIN)].pop();
+  const pin = labelled || unlabelled;
+  if (pin) {
+    const pinCode = `${pin[1]}${pin[2]}`;
+    const entry = PIN_PREFIXES.find(([from, to]) => {
+      const prefix = pinCode.slice(0, from.length);
+      return prefix >= from && prefix <= to;
+    });
+    if (entry) return { pinCode, stateCodes: entry[2], source: 'pin' };
+  }
+
+  const stateCodes = [...new Set(STATE_NAMES.filter(({ pattern }) => pattern.test(text)).flatMap(({ codes }) => codes))];
+  return stateCodes.length > 0 ? { pinCode: null, stateCodes, source: 'state' } : null;
+}
+
+module.exports = {
+  STATE_CODES,
+  NON_TERRITORIAL_CODES,
+  gstinCheckDigit,
+  checkGstin,
+  findGstins,
+  locateAddress
+};
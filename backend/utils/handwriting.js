@@ -0,0 +1,141 @@
+// Handwritten bills: kirana estimates and hand-filled bill books
+//
+// Handwritten rows carry no printed ₹ prices: amounts are bare numbers, often ending in /- ("140/-"),
+// columns are split by dashes, @, x or = ("Atta 5kg - 48 - 240") and quantities carry their unit ("2kg").
+// The total is usually circled ("(530)" once read) or underlined, with or without a "Total" label.
+
+// Bare amount as written: 140, 140/-, 1,250.50, (530) for a circled total
+const AMOUNT = /^[([{]?(?:₹|rs\.?)?(\d{1,3}(?:,\d{3})+|\d{1,6})(?:\.(\d{1,2}))?(?:\/[-=]?|[-=])?[)\]}]?$/i;
+
+// Quantity with an optional unit: 2, 2kg, 1.5L, ½kg, 1/2 kg, 12pcs
+const QUANTITY = /^(\d{1,4}(?:\.\d{1,3})?|½|¼|¾|1\/2|1\/4|3\/4)(kgs?|g|gms?|grams?|l|lt|ltrs?|litres?|ml|pcs?|nos?|dz|doz|dozen|pkts?|packets?|box)?$/i;
+const UNIT = /^(kgs?|g|gms?|grams?|l|lt|ltrs?|litres?|ml|pcs?|nos?|dz|doz|dozen|pkts?|packets?|box)$/i;
+const FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '1/2': 0.5, '1/4': 0.25, '3/4': 0.75 };
+
+// Written between the columns of a row
+const SEPARATORS = /[–—=@×|:*]/g;
+const STANDALONE_SEPARATORS = new Set(['-', 'x', 'X', '/-']);
+
+const MAX_NUMBER_COLUMNS = 3; // qty, rate, amount
+
+// Handwriting signals (see detectHandwriting)
+const UNEVEN_LINES = 0.22; // mean spread of word centres in a row, in word heights; print stays well below
+const MIN_MEASURED_ROWS = 3;
+
+// Value of a written amount, null for anything else
+function parseHandwrittenAmount(text) {
+  const match = String(text || '').trim().match(AMOUNT);
+  if (!match) return null;
+  return parseFloat(`${match[1].replace(/,/g, '')}${match[2] ? `.${match[2]}` : ''}`);
+}
+
+// { value, unit } of a written quantity, null for anything else
+function parseQuantity(text) {
+  const match = String(text || '').trim().match(QUANTITY);
+  if (!match) return null;
+  const value = FRACTIONS[match[1]] ?? parseFloat(match[1]);
+  return { value, unit: match[2] ? match[2].toLowerCase() : null };
+}
+
+// Description and the numbers written after it (at most qty, rate and amount), left to right
+// numbers: [{ value, unit, text }], the amount is the last one and never has a unit
+function splitHandwrittenRow(text) {
+  const tokens = String(text || '')
+    .replace(/(\d)\s*\/\s*[-=]/g, '$1') // 140/- → 140
+    .replace(SEPARATORS, ' ')
+    .split(/\s+/)
+    .filter(token => token.length > 0 && !STANDALONE_SEPARATORS.has(token));
+
+  // A unit written apart from its number belongs to it ("2 kg")
+  const merged = [];
+  tokens.forEach(token => {
+    const previous = merged[merged.length - 1];
+    if (previous && UNIT.test(token) && /^[\d½¼¾/.]+$/.test(previous)) {
+      merged[merged.length - 1] = `${previous}${token}`;
+    } else {
+      merged.push(token);
+    }
+  });
+
+  const numbers = [];
+  while (merged.length > 0 && numbers.length < MAX_NUMBER_COLUMNS) {
+    const token = merged[merged.length - 1];
+    const amount = parseHandwrittenAmount(token);
+    const quantity = amount === null ? parseQuantity(token) : null;
+    if (amount === null && !quantity) break;
+
+    numbers.unshift(amount !== null ? { value: amount, unit: null, text: token } : { ...quantity, text: token });
+    merged.pop();
+  }
+
+  if (numbers.length > 0 && numbers[numbers.length - 1].unit) {
+    return { description: [...merged, ...numbers.map(number => number.text)].join(' '), numbers: [] };
+  }
+  return { description: merged.join(' '), numbers };
+}
+
+// Share of word height by which word centres in a row wander, averaged over rows with word boxes
+// null when too few rows have boxes (text-only layouts)
+function lineUnevenness(rows) {
+  const spreads = rows
+    .map(row => (row.words || []).filter(word => word.bbox))
+    .filter(words => words.length >= 3)
+    .map(words => {
+      const heights = words.map(({ bbox }) => bbox.y1 - bbox.y0).sort((a, b) => a - b);
+      const height = heights[Math.floor(heights.length / 2)] || 1;
+      const centres = words.map(({ bbox }) => (bbox.y0 + bbox.y1) / 2);
+      const mean = centres.reduce((sum, centre) => sum + centre, 0) / centres.length;
+      const deviation = Math.sqrt(centres.reduce((sum, centre) => sum + (centre - mean) ** 2, 0) / centres.length);
+      return deviation / height;
+    });
+
+  if (spreads.length < MIN_MEASURED_ROWS) return null;
+  return spreads.reduce((sum, spread) => sum + spread, 0) / spreads.length;
+}
+
+// Rows ending in an amount: with a printed price (₹, Rs, INR or paise) or a bare written number
+function countAmountRows(rows) {
+  let printed = 0;
+  let bare = 0;
+  rows.forEach(row => {
+    const text = row.text || '';
+    if (/(?:₹|\bRs\.?|\bINR)\s*\d|\d\s*₹|\d+\.\d{2}\s*$/.test(text)) {
+      printed++;
+    } else if (splitHandwrittenRow(text).numbers.length > 0) {
+      bare++;
+    }
+  });
+  return { printed, bare };
+}
+
+// Signs that an OCR result was read from handwriting rather than print
+// Returns { handwritten, score (share of signals seen), signals, unevenness }; two signals make a handwritten bill
+function detectHandwriting(ocrResult, { detectBelowConfidence }) {
+  const rows = ocrResult.layout?.lines || [];
+  if (ocrResult.provider === 'pdf-text') {
+    return { handwritten: false, score: 0, signals: [], unevenness: null };
+  }
+
+  const signals = [];
+  if ((ocrResult.confidence || 0) < detectBelowConfidence) signals.push('low_confidence');
+
+  const unevenness = lineUnevenness(rows);
+  if (unevenness !== null && unevenness > UNEVEN_LINES) signals.push('uneven_lines');
+
+  const amounts = countAmountRows(rows);
+  if (amounts.printed === 0 && amounts.bare >= 2) signals.push('no_printed_prices');
+
+  return {
+    handwritten: signals.length >= 2,
+    score: parseFloat((signals.length / 3).toFixed(2)),
+    signals,
+    unevenness: unevenness !== null ? parseFloat(unevenness.toFixed(3)) : null
+  };
+}
+
+module.exports = {
+  parseHandwrittenAmount,
+  parseQuantity,
+  splitHandwrittenRow,
+  detectHandwriting
+};
@@ -0,0 +1,396 @@
+// Pixel operations on single-channel (greyscale) raw images used by the OCR preprocessing
+//
+// image = { data: Uint8Array | Buffer, width, height }, one byte per pixel, row by row
+// Transforms are 3x3 matrices (row-major arrays of 9 numbers) that map output coordinates to input
+// coordinates, so warping samples the input for every output pixel and points can be mapped back.
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+// Otsu's global threshold: the grey level that best separates ink from paper
+function otsuLevel(data) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+  const total = data.length;
+  const sum = histogram.reduce((acc, count, level) => acc + count * level, 0);
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = { level: 127, variance: -1 };
+
+  for (let level = 0; level < 256; level++) {
+    weightBackground += histogram[level];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += level * histogram[level];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > best.variance) best = { level, variance };
+  }
+
+  return best.level;
+}
+
+// Angle of the text lines in degrees (positive: lines fall to the right)
+// Projection profile search: rows of ink line up best when projected along the text direction
+function estimateSkew(image, { maxAngle = 15, maxPoints = 40000 } = {}) {
+  const { data, width, height } = image;
+  const level = otsuLevel(data);
+  const stride = Math.max(1, Math.ceil(Math.sqrt((width * height) / (maxPoints * 4))));
+
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y += stride) {
+    for (let x = 0; x < width; x += stride) {
+      if (data[y * width + x] < level) {
+        xs.push(x - width / 2);
+        ys.push(y - height / 2);
+      }
+    }
+  }
+  if (xs.length < 50) return 0;
+
+  // Bins as wide as the sampling stride, narrower bins would favour angles that line up with the sampling grid
+  const diagonal = Math.ceil(Math.hypot(width, height) / stride);
+  const bins = new Float64Array(diagonal + 1);
+  const score = (angle) => {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      bins[Math.round((ys[i] * cos - xs[i] * sin) / stride + diagonal / 2)]++;
+    }
+    let total = 0;
+    for (let i = 0; i < bins.length; i++) total += bins[i] * bins[i];
+    return total;
+  };
+
+  const search = (from, to, step) => {
+    let best = { angle: 0, score: -1 };
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const value = score(angle);
+      if (value > best.score) best = { angle, score: value };
+    }
+    return best.angle;
+  };
+
+  const coarse = search(-maxAngle, maxAngle, 0.5);
+  return Math.round(search(coarse - 0.5, coarse + 0.5, 0.1) * 10) / 10;
+}
+
+// Corners of a bright document (receipt) photographed on a darker background, as
+// [topLeft, topRight, bottomRight, bottomLeft] points, or null when no such outline is found
+// mask (0/1 per pixel) replaces the default paper mask of pixels brighter than Otsu's level
+function findDocumentQuad(image, { minArea = 0.2, minFill = 0.7, mask: paperMask } = {}) {
+  const { data, width, height } = image;
+  let mask = paperMask;
+  if (!mask) {
+    const level = otsuLevel(data);
+    mask = new Uint8Array(width * height);
+    for (let i = 0; i < mask.length; i++) mask[i] = data[i] > level ? 1 : 0;
+  }
+  let bright = 0;
+  for (let i = 0; i < mask.length; i++) bright += mask[i];
+  if (bright < mask.length * 0.1 || bright > mask.length * 0.9) return null;
+
+  // The paper must stand out from the frame: a mostly bright border means it fills the photo
+  let borderBright = 0;
+  let borderTotal = 0;
+  for (let x = 0; x < width; x++) {
+    borderBright += mask[x] + mask[(height - 1) * width + x];
+    borderTotal += 2;
+  }
+  for (let y = 0; y < height; y++) {
+    borderBright += mask[y * width] + mask[y * width + width - 1];
+    borderTotal += 2;
+  }
+  if (borderBright / borderTotal > 0.5) return null;
+
+  // Largest bright connected region
+  const { labels, regions } = labelRegions(mask, width, height);
+  const best = regions.reduce((largest, region) => (region.size > largest.size ? region : largest), { label: 0, size: 0 });
+
+  const corners = { tl: null, tr: null, br: null, bl: null };
+  const extremes = { tl: Infinity, tr: -Infinity, br: -Infinity, bl: Infinity };
+  for (let index = 0; index < labels.length; index++) {
+    if (labels[index] !== best.label) continue;
+    const x = index % width;
+    const y = (index - x) / width;
+    if (x + y < extremes.tl) { extremes.tl = x + y; corners.tl = { x, y }; }
+    if (x + y > extremes.br) { extremes.br = x + y; corners.br = { x, y }; }
+    if (x - y > extremes.tr) { extremes.tr = x - y; corners.tr = { x, y }; }
+    if (x - y < extremes.bl) { extremes.bl = x - y; corners.bl = { x, y }; }
+  }
+
+  const quad = [corners.tl, corners.tr, corners.br, corners.bl];
+  const area = Math.abs(quad.reduce((sum, point, i) => {
+    const next = quad[(i + 1) % 4];
+    return sum + point.x * next.y - next.x * point.y;
+  }, 0)) / 2;
+  if (area < minArea * width * height || best.size < minFill * area) return null;
+
+  return quad;
+}
+
+// Morphological opening of a 0/1 mask with a square of the given radius:
+// removes specks and cuts thin bridges between regions (a receipt touching a white cuff or napkin)
+function openMask(mask, width, height, radius) {
+  const boxCounts = (source) => {
+    const stride = width + 1;
+    const sums = new Int32Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += source[y * width + x];
+        sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+      }
+    }
+    return (x, y) => {
+      const left = Math.max(0, x - radius);
+      const right = Math.min(width, x + radius + 1);
+      const top = Math.max(0, y - radius);
+      const bottom = Math.min(height, y + radius + 1);
+      const count = sums[bottom * stride + right] - sums[top * stride + right]
+        - sums[bottom * stride + left] + sums[top * stride + left];
+      return { count, area: (right - left) * (bottom - top) };
+    };
+  };
+
+  const eroded = new Uint8Array(width * height);
+  const inMask = boxCounts(mask);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const { count, area } = inMask(x, y);
+      eroded[y * width + x] = count === area ? 1 : 0;
+    }
+  }
+
+  const opened = new Uint8Array(width * height);
+  const inEroded = boxCounts(eroded);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      opened[y * width + x] = inEroded(x, y).count > 0 ? 1 : 0;
+    }
+  }
+  return opened;
+}
+
+// Connected regions (4-neighbour) of a mask of 0/1 bytes
+// Returns labels (region label per pixel, 0 outside the mask) and regions: [{ label, size, bbox }]
+function labelRegions(mask, width, height) {
+  const labels = new Int32Array(width * height);
+  const queue = new Int32Array(width * height);
+  const regions = [];
+  let label = 0;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+    label++;
+    const bbox = { x0: width, y0: height, x1: 0, y1: 0 };
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    labels[start] = label;
+    while (head < tail) {
+      const index = queue[head++];
+      const x = index % width;
+      const y = (index - x) / width;
+      if (x < bbox.x0) bbox.x0 = x;
+      if (x > bbox.x1) bbox.x1 = x;
+      if (y < bbox.y0) bbox.y0 = y;
+      if (y > bbox.y1) bbox.y1 = y;
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        index - width,
+        index + width
+      ];
+      for (const next of neighbours) {
+        if (next >= 0 && next < mask.length && mask[next] && !labels[next]) {
+          labels[next] = label;
+          queue[tail++] = next;
+        }
+      }
+    }
+    regions.push({ label, size: tail, bbox });
+  }
+
+  return { labels, regions };
+}
+
+// Variance of the Laplacian: sharp edges give a high value, blur and camera shake a low one
+// region ({ x0, y0, x1, y1 }, inclusive) limits the measurement to part of the image
+function laplacianVariance(image, region = { x0: 0, y0: 0, x1: image.width - 1, y1: image.height - 1 }) {
+  const { data, width, height } = image;
+  let sum = 0;
+  let squares = 0;
+  let count = 0;
+
+  for (let y = Math.max(1, region.y0); y < Math.min(height - 1, region.y1 + 1); y++) {
+    for (let x = Math.max(1, region.x0); x < Math.min(width - 1, region.x1 + 1); x++) {
+      const index = y * width + x;
+      const value = data[index - width] + data[index + width] + data[index - 1] + data[index + 1] - 4 * data[index];
+      sum += value;
+      squares += value * value;
+      count++;
+    }
+  }
+
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return squares / count - mean * mean;
+}
+
+// Solve the 8x8 linear system of a perspective transform taking the 4 `from` points onto the 4 `to` points
+function perspectiveTransform(from, to) {
+  const rows = [];
+  from.forEach(({ x, y }, i) => {
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-12) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k < 9; k++) rows[row][k] -= factor * rows[col][k];
+    }
+  }
+
+  return [...rows.map((row, i) => row[8] / row[i]), 1];
+}
+
+function applyTransform(matrix, x, y) {
+  const w = matrix[6] * x + matrix[7] * y + matrix[8];
+  return {
+    x: (matrix[0] * x + matrix[1] * y + matrix[2]) / w,
+    y: (matrix[3] * x + matrix[4] * y + matrix[5]) / w
+  };
+}
+
+// a after b: maps a point through b first, then through a
+function multiplyTransforms(a, b) {
+  const result = new Array(9).fill(0);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      for (let k = 0; k < 3; k++) result[row * 3 + col] += a[row * 3 + k] * b[k * 3 + col];
+    }
+  }
+  return result;
+}
+
+// Rotation that levels text lines found at `angle` degrees, on a canvas large enough to keep the corners
+function rotationTransform(angle, width, height) {
+  const radians = angle * Math.PI / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const outWidth = Math.round(width * Math.abs(cos) + height * Math.abs(sin));
+  const outHeight = Math.round(width * Math.abs(sin) + height * Math.abs(cos));
+  const [cx, cy, ox, oy] = [width / 2, height / 2, outWidth / 2, outHeight / 2];
+
+  return {
+    matrix: [
+      cos, -sin, cx - cos * ox + sin * oy,
+      sin, cos, cy - sin * ox - cos * oy,
+      0, 0, 1
+    ],
+    width: outWidth,
+    height: outHeight
+  };
+}
+
+// Resample image through a transform (output -> input) with bilinear interpolation
+function warp(image, matrix, width, height, background = 255) {
+  const { data, width: inWidth, height: inHeight } = image;
+  const out = Buffer.alloc(width * height, background);
+
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      const w = matrix[6] * u + matrix[7] * v + matrix[8];
+      const x = (matrix[0] * u + matrix[1] * v + matrix[2]) / w;
+      const y = (matrix[3] * u + matrix[4] * v + matrix[5]) / w;
+      if (x < 0 || y < 0 || x > inWidth - 1 || y > inHeight - 1) continue;
+
+      const x0 = Math.floor(x);
+      const y0 = Math.floor(y);
+      const x1 = Math.min(x0 + 1, inWidth - 1);
+      const y1 = Math.min(y0 + 1, inHeight - 1);
+      const fx = x - x0;
+      const fy = y - y0;
+      const top = data[y0 * inWidth + x0] * (1 - fx) + data[y0 * inWidth + x1] * fx;
+      const bottom = data[y1 * inWidth + x0] * (1 - fx) + data[y1 * inWidth + x1] * fx;
+      out[v * width + u] = Math.round(top * (1 - fy) + bottom * fy);
+    }
+  }
+
+  return { data: out, width, height };
+}
+
+// Sauvola local thresholding: each pixel is compared with the mean and spread of its neighbourhood,
+// so shadows and uneven light do not swallow text. Lower k keeps fainter strokes.
+function sauvolaThreshold(image, { windowSize, k = 0.2, range = 128 } = {}) {
+  const { data, width, height } = image;
+  const radius = Math.floor((windowSize || Math.max(15, Math.round(width / 40))) / 2);
+  const stride = width + 1;
+  const sums = new Float64Array(stride * (height + 1));
+  const squares = new Float64Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSquares = 0;
+    for (let x = 0; x < width; x++) {
+      const value = data[y * width + x];
+      rowSum += value;
+      rowSquares += value * value;
+      sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+      squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+    }
+  }
+
+  const out = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    const top = Math.max(0, y - radius);
+    const bottom = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - radius);
+      const right = Math.min(width, x + radius + 1);
+      const count = (bottom - top) * (right - left);
+      const area = (table) => table[bottom * stride + right] - table[top * stride + right]
+        - table[bottom * stride + left] + table[top * stride + left];
+
+      const mean = area(sums) / count;
+      const deviation = Math.sqrt(Math.max(0, area(squares) / count - mean * mean));
+      const threshold = mean * (1 + k * (deviation / range - 1));
+      out[y * width + x] = data[y * width + x] > threshold ? 255 : 0;
+    }
+  }
+
+  return { data: out, width, height };
+}
+
+module.exports = {
+  IDENTITY,
+  otsuLevel,
+  estimateSkew,
+  labelRegions,
+  laplacianVariance,
+  findDocumentQuad,
+  openMask,
+  perspectiveTransform,
+  applyTransform,
+  multiplyTransforms,
+  rotationTransform,
+  warp,
+  sauvolaThreshold
+};
@@ -0,0 +1,250 @@
+// Structured OCR output: blocks, lines and words in reading order
+//
+// layout = {
+//   source: 'tesseract' | 'google-vision' | 'http' | 'text' | 'pdf-text' | 'mixed',
+//   page: { width, height } | null,                  // pixel size of the uploaded image the boxes refer to
+//   pages: [{ number, source, width, height }],      // multi-page documents only, see mergePageLayouts()
+//   blocks: [{ bbox, confidence, lines: [line] }],   // as segmented by the OCR engine
+//   lines: [line]                                     // visual rows across all blocks, top to bottom
+// }
+// line = { text, bbox, confidence, words: [{ text, bbox, confidence }], columns: [{ text, bbox }], page? }
+//
+// A row of a receipt is often split over several blocks (item names on the left, prices on the right),
+// so `lines` regroups the engine's lines by vertical position. Column gaps survive as runs of spaces in
+// `line.text` and as separate entries in `line.columns`.
+
+const COLUMN_GAP_CHARS = 2; // a horizontal gap this many characters wide starts a new column
+const MAX_GAP_SPACES = 40;
+const ROW_OVERLAP = 0.5; // share of the smaller line height two lines must overlap to form one row
+
+const bboxOf = ({ x0, y0, x1, y1 }) => ({ x0, y0, x1, y1 });
+
+function unionBbox(boxes) {
+  const valid = boxes.filter(Boolean);
+  if (valid.length === 0) return null;
+  return {
+    x0: Math.min(...valid.map(box => box.x0)),
+    y0: Math.min(...valid.map(box => box.y0)),
+    x1: Math.max(...valid.map(box => box.x1)),
+    y1: Math.max(...valid.map(box => box.y1))
+  };
+}
+
+const averageConfidence = (entries) => entries.length > 0
+  ? entries.reduce((sum, entry) => sum + (entry.confidence || 0), 0) / entries.length
+  : 0;
+
+// Line object from plain text, columns are separated by two or more spaces
+function lineFromText(text) {
+  const trimmed = text.replace(/\s+$/, '').replace(/^\s+/, '');
+  const columns = trimmed.split(/\s{2,}/).filter(Boolean).map(column => ({ text: column, bbox: null }));
+  const words = trimmed.split(/\s+/).filter(Boolean).map(word => ({ text: word, bbox: null, confidence: null }));
+
+  return {
+    text: trimmed,
+    bbox: null,
+    confidence: null,
+    words,
+    columns
+  };
+}
+
+// Layout from plain text (mock OCR, providers that only return text); blank lines separate blocks
+function layoutFromText(text) {
+  const blocks = [];
+  let current = null;
+
+  String(text || '').split('\n').forEach(rawLine => {
+    if (rawLine.trim().length === 0) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { bbox: null, confidence: null, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(lineFromText(rawLine));
+  });
+
+  return {
+    source: 'text',
+    page: null,
+    blocks,
+    lines: blocks.flatMap(block => block.lines)
+  };
+}
+
+// Compose a row from words sorted left to right, turning wide gaps into column breaks
+function composeLine(words) {
+  const sorted = [...words].sort((a, b) => a.bbox.x0 - b.bbox.x0);
+  const charWidths = sorted
+    .map(word => (word.bbox.x1 - word.bbox.x0) / Math.max(1, word.text.length))
+    .sort((a, b) => a - b);
+  const charWidth = charWidths[Math.floor(charWidths.length / 2)] || 1;
+
+  const columns = [];
+  let text = '';
+  let column = null;
+
+  sorted.forEach((word, index) => {
+    const gap = index === 0 ? 0 : word.bbox.x0 - sorted[index - 1].bbox.x1;
+    const gapChars = gap / charWidth;
+
+    if (!column || gapChars >= COLUMN_GAP_CHARS) {
+      column = { words: [] };
+      columns.push(column);
+      if (index > 0) text += ' '.repeat(Math.min(MAX_GAP_SPACES, Math.max(2, Math.round(gapChars))));
+    } else {
+      text += ' ';
+    }
+
+    column.words.push(word);
+    text += word.text;
+  });
+
+  return {
+    text,
+    bbox: unionBbox(sorted.map(word => word.bbox)),
+    confidence: averageConfidence(sorted),
+    words: sorted,
+    columns: columns.map(entry => ({
+      text: entry.words.map(word => word.text).join(' '),
+      bbox: unionBbox(entry.words.map(word => word.bbox))
+    }))
+  };
+}
+
+// Group engine lines into visual rows by vertical overlap
+function groupRows(lines) {
+  const rows = [];
+  const sorted = [...lines].sort((a, b) => (a.bbox.y0 + a.bbox.y1) - (b.bbox.y0 + b.bbox.y1));
+
+  sorted.forEach(line => {
+    const row = rows.find(candidate => {
+      const overlap = Math.min(candidate.bbox.y1, line.bbox.y1) - Math.max(candidate.bbox.y0, line.bbox.y0);
+      const height = Math.min(candidate.bbox.y1 - candidate.bbox.y0, line.bbox.y1 - line.bbox.y0);
+      return height > 0 && overlap / height >= ROW_OVERLAP;
+    });
+
+    if (row) {
+      row.words.push(...line.words);
+      row.bbox = unionBbox([row.bbox, line.bbox]);
+    } else {
+      rows.push({ words: [...line.words], bbox: line.bbox });
+    }
+  });
+
+  return rows
+    .sort((a, b) => a.bbox.y0 - b.bbox.y0)
+    .map(row => composeLine(row.words));
+}
+
+// Layout from loose words with boxes (e.g. the text layer of a PDF page), grouped into rows as one block
+function layoutFromWords(words, source) {
+  const lines = groupRows(words.filter(word => word.text.length > 0).map(word => ({ bbox: word.bbox, words: [word] })));
+  return {
+    source,
+    page: null,
+    blocks: lines.length > 0
+      ? [{ bbox: unionBbox(lines.map(line => line.bbox)), confidence: averageConfidence(lines), lines }]
+      : [],
+    lines
+  };
+}
+
+// Layout from a Tesseract.js result (data.blocks), cleanWord filters the text of every word
+function layoutFromTesseract(data, { cleanWord = text => text } = {}) {
+  const blocks = (data.blocks || [])
+    .map(block => ({
+      bbox: bboxOf(block.bbox),
+      confidence: block.confidence,
+      lines: block.paragraphs
+        .flatMap(paragraph => paragraph.lines)
+        .map(line => line.words
+          .map(word => ({ text: cleanWord(word.text || ''), bbox: bboxOf(word.bbox), confidence: word.confidence }))
+          .filter(word => word.text.length > 0))
+        .filter(words => words.length > 0)
+        .map(words => composeLine(words))
+    }))
+    .filter(block => block.lines.length > 0)
+    .sort((a, b) => a.bbox.y0 - b.bbox.y0 || a.bbox.x0 - b.bbox.x0);
+
+  return {
+    source: 'tesseract',
+    page: null,
+    blocks,
+    lines: groupRows(blocks.flatMap(block => block.lines))
+  };
+}
+
+// Map every box through mapPoint(x, y) -> { x, y }, e.g. from the preprocessed image back onto the upload
+// Boxes stay axis-aligned: each becomes the bounding box of its four mapped corners
+function transformLayout(layout, mapPoint) {
+  const transform = (bbox) => {
+    if (!bbox) return bbox;
+    const corners = [[bbox.x0, bbox.y0], [bbox.x1, bbox.y0], [bbox.x1, bbox.y1], [bbox.x0, bbox.y1]]
+      .map(([x, y]) => mapPoint(x, y));
+    return {
+      x0: Math.round(Math.min(...corners.map(point => point.x))),
+      y0: Math.round(Math.min(...corners.map(point => point.y))),
+      x1: Math.round(Math.max(...corners.map(point => point.x))),
+      y1: Math.round(Math.max(...corners.map(point => point.y)))
+    };
+  };
+  const transformLine = (line) => ({
+    ...line,
+    bbox: transform(line.bbox),
+    words: line.words.map(word => ({ ...word, bbox: transform(word.bbox) })),
+    columns: line.columns.map(column => ({ ...column, bbox: transform(column.bbox) }))
+  });
+
+  return {
+    ...layout,
+    blocks: layout.blocks.map(block => ({ ...block, bbox: transform(block.bbox), lines: block.lines.map(transformLine) })),
+    lines: layout.lines.map(transformLine)
+  };
+}
+
+// One layout for a multi-page document, pages = [{ number, layout }] in page order
+// Every row and block is tagged with its page number, boxes stay relative to their own page
+function mergePageLayouts(pages) {
+  const tag = (number) => (entry) => ({ ...entry, page: number });
+  const sources = [...new Set(pages.map(({ layout }) => layout.source))];
+
+  return {
+    source: sources.length === 1 ? sources[0] : 'mixed',
+    page: pages.length === 1 ? pages[0].layout.page : null,
+    pages: pages.map(({ number, layout }) => ({ number, source: layout.source, ...layout.page })),
+    blocks: pages.flatMap(({ number, layout }) => layout.blocks.map(block => ({
+      ...tag(number)(block),
+      lines: block.lines.map(tag(number))
+    }))),
+    lines: pages.flatMap(({ number, layout }) => layout.lines.map(tag(number)))
+  };
+}
+
+// Layout as stored with a bill: blocks keep their box but not their own copy of the lines
+function compactLayout(layout) {
+  if (!layout) return null;
+  return {
+    ...layout,
+    blocks: layout.blocks.map(({ lines, ...block }) => ({ ...block, lineCount: lines.length }))
+  };
+}
+
+// Plain text of a layout, one row per line
+function layoutToText(layout) {
+  return layout.lines.map(line => line.text).join('\n');
+}
+
+module.exports = {
+  unionBbox,
+  lineFromText,
+  layoutFromText,
+  layoutFromWords,
+  layoutFromTesseract,
+  transformLayout,
+  mergePageLayouts,
+  compactLayout,
+  layoutToText
+};
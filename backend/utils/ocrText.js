@@ -0,0 +1,19 @@
+// Text cleanup shared by the OCR providers
+
+// Remove characters OCR invents from table rules and noise, keeping receipt punctuation
+// Letters and combining marks of every script are kept (Devanagari vowel signs are marks), plus the danda
+function cleanText(text) {
+  return text.replace(/[^\p{L}\p{M}\p{N}_\s₹$€£.,:;\-\/%()#@&+*='"!?\u0964\u0965]/gu, '');
+}
+
+// Clean plain OCR text line by line, keeping line breaks and column gaps
+function cleanExtractedText(text) {
+  return text
+    .split('\n')
+    .map(line => cleanText(line).replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n') // Collapse runs of blank lines
+    .trim();
+}
+
+module.exports = { cleanText, cleanExtractedText };
@@ -0,0 +1,39 @@
+// Unicode scripts found on Indian bills and the Tesseract language pack that reads each one
+
+const SCRIPTS = [
+  { script: 'Latin', language: 'english', code: 'eng', pattern: /[A-Za-z]/g },
+  { script: 'Devanagari', language: 'hindi', code: 'hin', pattern: /[\u0900-\u097F]/g },
+  { script: 'Bengali', language: 'bengali', code: 'ben', pattern: /[\u0980-\u09FF]/g },
+  { script: 'Gurmukhi', language: 'punjabi', code: 'pan', pattern: /[\u0A00-\u0A7F]/g },
+  { script: 'Gujarati', language: 'gujarati', code: 'guj', pattern: /[\u0A80-\u0AFF]/g },
+  { script: 'Oriya', language: 'odia', code: 'ori', pattern: /[\u0B00-\u0B7F]/g },
+  { script: 'Tamil', language: 'tamil', code: 'tam', pattern: /[\u0B80-\u0BFF]/g },
+  { script: 'Telugu', language: 'telugu', code: 'tel', pattern: /[\u0C00-\u0C7F]/g },
+  { script: 'Kannada', language: 'kannada', code: 'kan', pattern: /[\u0C80-\u0CFF]/g },
+  { script: 'Malayalam', language: 'malayalam', code: 'mal', pattern: /[\u0D00-\u0D7F]/g }
+];
+
+// Share of each script among the letters of a text, most frequent first
+// Only scripts reaching minShare are returned
+function detectScripts(text, { minShare = 0 } = {}) {
+  const counts = SCRIPTS.map(entry => ({
+    ...entry,
+    count: (String(text || '').match(entry.pattern) || []).length
+  }));
+  const letters = counts.reduce((sum, entry) => sum + entry.count, 0);
+  if (letters === 0) return [];
+
+  return counts
+    .filter(entry => entry.count > 0)
+    .map(({ script, language, code, count }) => ({
+      script,
+      language,
+      code,
+      count,
+      share: parseFloat((count / letters).toFixed(3))
+    }))
+    .filter(entry => entry.share >= minShare)
+    .sort((a, b) => b.count - a.count);
+}
+
+module.exports = { SCRIPTS, detectScripts };
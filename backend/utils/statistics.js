@@ -0,0 +1,48 @@
+// Helpers shared by the bill stores when building the statistics overview
+
+const PERIODS = ['day', 'week', 'month'];
+const SEVERITIES = ['high', 'medium', 'low'];
+
+// $dateToString formats matching formatPeriod()
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const roundAmount = (value) => Math.round((value || 0) * 100) / 100;
+
+// Bucket key for a date in the given time zone: 2026-10-19, 2026-W42 (ISO week) or 2026-10
+function formatPeriod(date, period, timezone) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+  const [year, month, day] = [part('year'), part('month'), part('day')];
+
+  if (period === 'month') return `${year}-${month}`;
+  if (period !== 'week') return `${year}-${month}-${day}`;
+
+  // ISO week: the week belongs to the year of its Thursday
+  const thursday = new Date(Date.UTC(year, month - 1, day));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const firstThursday = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4));
+  firstThursday.setUTCDate(firstThursday.getUTCDate() + 3 - ((firstThursday.getUTCDay() + 6) % 7));
+  const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Merge per-severity counts of errors and warnings into one list with every severity present
+function combineSeverities(errorCounts, warningCounts) {
+  return SEVERITIES.map(severity => {
+    const errors = errorCounts[severity] || 0;
+    const warnings = warningCounts[severity] || 0;
+    return { severity, errors, warnings, total: errors + warnings };
+  });
+}
+
+module.exports = { PERIODS, PERIOD_FORMATS, SEVERITIES, roundAmount, formatPeriod, combineSeverities };
@@ -0,0 +1,121 @@
+// Joining overlapping photos of one long receipt into a single layout
+//
+// Consecutive photos share a few rows: the last rows of one photo are the first rows of the next.
+// Rows are compared by their text (OCR noise allowed), the repeated rows are dropped from the later
+// photo, and a row cut in half by the photo edge may be skipped on either side of the overlap.
+
+const { unionBbox } = require('./layout');
+
+// Letters and digits only, so spacing and punctuation misreads do not matter
+function normalizeRow(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (unused, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 0-1, 1 for rows that read the same
+function rowSimilarity(a, b) {
+  const left = normalizeRow(a);
+  const right = normalizeRow(b);
+  if (left.length === 0 || right.length === 0) return 0;
+  return 1 - editDistance(left, right) / Math.max(left.length, right.length);
+}
+
+// Rows repeated between the end of `previous` and the start of `next` (arrays of row texts)
+// Returns { rows, similarity, skipPrevious, skipNext } with rows = 0 when no overlap is found;
+// skipPrevious/skipNext count rows cut by the photo edge next to the overlap
+function findOverlap(previous, next, { maxRows = 15, minSimilarity = 0.75 } = {}) {
+  let best = { rows: 0, similarity: 0, skipPrevious: 0, skipNext: 0 };
+
+  for (const skipPrevious of [0, 1]) {
+    for (const skipNext of [0, 1]) {
+      const tail = previous.slice(0, previous.length - skipPrevious);
+      const head = next.slice(skipNext);
+      const limit = Math.min(maxRows, tail.length, head.length);
+
+      for (let rows = limit; rows >= 1; rows--) {
+        const scores = head.slice(0, rows).map((text, i) => rowSimilarity(tail[tail.length - rows + i], text));
+        const similarity = scores.reduce((sum, score) => sum + score, 0) / rows;
+        const matching = scores.filter(score => score >= minSimilarity).length;
+
+        // A single repeated row must be distinctive, not a separator or a one-word header
+        const distinctive = rows > 1 || (normalizeRow(head[0]).length >= 6 && similarity >= 0.9);
+        if (similarity >= minSimilarity && matching >= Math.ceil(rows * 0.75) && distinctive) {
+          // More rows wins, skipping a cut row only counts when it finds a longer or closer match
+          if (rows > best.rows || (rows === best.rows && similarity > best.similarity + 0.05)) {
+            best = { rows, similarity: parseFloat(similarity.toFixed(3)), skipPrevious, skipNext };
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+// One layout from the layouts of ordered photos, parts = [{ number, layout }]
+// Rows keep boxes relative to their own photo and are tagged with its number (row.part);
+// blocks are one per photo. Returns { layout, overlaps: [{ parts: [a, b], rows, similarity }], warnings }
+function stitchLayouts(parts, options = {}) {
+  const overlaps = [];
+  const warnings = [];
+  const kept = parts.map(({ layout }) => layout.lines.slice());
+
+  for (let i = 1; i < parts.length; i++) {
+    const overlap = findOverlap(kept[i - 1].map(line => line.text), kept[i].map(line => line.text), options);
+    overlaps.push({ parts: [parts[i - 1].number, parts[i].number], ...overlap });
+
+    if (overlap.rows === 0) {
+      warnings.push(`No overlapping rows found between photo ${parts[i - 1].number} and photo ${parts[i].number}, rows may be missing or repeated`);
+      continue;
+    }
+    kept[i - 1] = kept[i - 1].slice(0, kept[i - 1].length - overlap.skipPrevious);
+    kept[i] = kept[i].slice(overlap.skipNext + overlap.rows);
+  }
+
+  const tag = (number) => (line) => ({ ...line, part: number });
+  const sources = [...new Set(parts.map(({ layout }) => layout.source))];
+  const layout = {
+    source: sources.length === 1 ? sources[0] : 'mixed',
+    page: null,
+    parts: parts.map(({ number, layout: partLayout }, index) => ({
+      number,
+      source: partLayout.source,
+      rows: kept[index].length,
+      ...partLayout.page
+    })),
+    blocks: parts.map(({ number }, index) => ({
+      part: number,
+      bbox: unionBbox(kept[index].map(line => line.bbox)),
+      confidence: kept[index].length > 0
+        ? kept[index].reduce((sum, line) => sum + (line.confidence || 0), 0) / kept[index].length
+        : 0,
+      lines: kept[index].map(tag(number))
+    })).filter(block => block.lines.length > 0),
+    lines: parts.flatMap(({ number }, index) => kept[index].map(tag(number)))
+  };
+
+  return { layout, overlaps, warnings };
+}
+
+module.exports = {
+  normalizeRow,
+  rowSimilarity,
+  findOverlap,
+  stitchLayouts
+};
@@ -0,0 +1,73 @@
+// GST components of a bill: { type, rate, taxableValue, amount }, rate and taxableValue null when not printed
+//
+// Within a state GST is split evenly into CGST and SGST (UTGST in union territories without a legislature),
+// across states it is charged as IGST alone. Compensation cess comes on top of either. Bills that print a
+// single GST, VAT or tax line keep it as one component of that type.
+
+const INTRA_STATE_TYPES = ['CGST', 'SGST', 'UTGST'];
+const INTER_STATE_TYPES = ['IGST'];
+const GENERIC_TYPES = ['GST', 'VAT', 'TAX'];
+
+// Labels of tax rows, most specific first
+const COMPONENT_LABELS = [
+  { type: 'CGST', pattern: /\bC\.?\s?GST\b|central\s*(?:gst|tax)/i },
+  { type: 'UTGST', pattern: /\bU\.?\s?T\.?\s?GST\b|union\s*territory\s*(?:gst|tax)/i },
+  { type: 'SGST', pattern: /\bS\.?\s?GST\b|state\s*(?:gst|tax)/i },
+  { type: 'IGST', pattern: /\bI\.?\s?GST\b|integrated\s*(?:gst|tax)/i },
+  { type: 'CESS', pattern: /\bcess\b/i },
+  { type: 'GST', pattern: /\bGST\b|जीएसटी/i },
+  { type: 'VAT', pattern: /\bVAT\b/i },
+  { type: 'TAX', pattern: /\btax(?:es)?\b/i }
+];
+
+// Rows that mention tax without being a tax amount
+const TAXABLE_VALUE = /\btaxable\b/i;
+const NOT_TAX = /\bGSTIN\b|\btax\s*invoice\b/i;
+const TAX_INCLUSIVE = /\bincl(?:\.|usive|uding)?\b/i;
+
+// Component type of a tax row, null for any other row
+function componentType(text) {
+  if (TAXABLE_VALUE.test(text) || NOT_TAX.test(text) || TAX_INCLUSIVE.test(text)) return null;
+  const label = COMPONENT_LABELS.find(({ pattern }) => pattern.test(text));
+  return label ? label.type : null;
+}
+
+// A printed "GST 5%" or "Total Tax" line that only repeats the sum of the CGST/SGST/IGST rows is a summary
+function dropSummaries(components) {
+  const split = components.filter(component => [...INTRA_STATE_TYPES, ...INTER_STATE_TYPES].includes(component.type));
+  if (split.length === 0) return components;
+
+  const splitTotal = split.reduce((sum, component) => sum + component.amount, 0);
+  return components.filter(component =>
+    !(GENERIC_TYPES.includes(component.type) && Math.abs(component.amount - splitTotal) <= 0.01));
+}
+
+// GST rate of the bill (CGST + SGST/UTGST, IGST, or a plain GST/VAT/tax rate; cess not included)
+// null when no rate is printed or the bill has items in several slabs
+function slabRate(components) {
+  const ratesOf = (types) => [...new Set(components
+    .filter(component => types.includes(component.type) && component.rate !== null)
+    .map(component => component.rate))];
+  const groups = [['CGST'], ['SGST', 'UTGST'], INTER_STATE_TYPES, GENERIC_TYPES].map(ratesOf);
+
+  if (groups.some(rates => rates.length > 1) || groups.every(rates => rates.length === 0)) return null;
+  return groups.reduce((sum, rates) => sum + (rates[0] || 0), 0);
+}
+
+// Sum of the amounts of the given component types
+function amountOf(components, types) {
+  return parseFloat(components
+    .filter(component => types.includes(component.type))
+    .reduce((sum, component) => sum + component.amount, 0)
+    .toFixed(2));
+}
+
+module.exports = {
+  INTRA_STATE_TYPES,
+  INTER_STATE_TYPES,
+  TAXABLE_VALUE,
+  componentType,
+  dropSummaries,
+  slabRate,
+  amountOf
+};